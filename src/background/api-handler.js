@@ -1,213 +1,286 @@
-import { YOUTUBE_API } from '../shared/constants.js';
-import { chunkArray, normalizeLanguageCode } from '../shared/utils.js';
+import { YOUTUBE_API, DEFAULT_SETTINGS, API_ERROR_KINDS } from '../shared/constants.js';
+import { chunkArray, normalizeLanguageCode, toProvenance, classifyVideoFormat } from '../shared/utils.js';
+import { detectLanguage, toConfidentLanguage } from '../shared/language-detector.js';
+import { toApiError } from './api-transport.js';
+import { getCachedChannels, saveChannels } from './channel-cache.js';
+import { getStaleCategoryIds, saveVideoCategories } from './category-cache.js';
+import { getMetadataProvider, getProviderSetupError } from './providers/index.js';
+
+// Video lookups through the metadata provider chosen in settings (YouTube Data
+// API, Invidious or Piped). Providers only fetch and map; batching, failures,
+// caching and building the stored video objects happen here.
+
+// Quota and key errors would fail every later batch the same way
+const FATAL_ERROR_KINDS = ['quota', 'invalid-key'];
 
 /**
- * Fetch video details from YouTube Data API v3
+ * Fetch video details from the metadata provider
  * @param {string[]} videoIds - Array of video IDs
- * @param {string} apiKey - YouTube API key
- * @returns {Promise<Object[]>} Array of video objects
+ * @param {Object} settings - Settings (metadataProvider, apiKeys, apiMode, apiBaseUrl, providerInstanceUrl)
+ * @param {Object} source - Capture source the IDs were scraped from ({type, query?, channel?})
+ * @param {Object} options - {onBatch(batchNumber, batchCount)}, awaited before each batch;
+ *   throwing from it stops the fetch
+ * @returns {Promise<{videos: Object[], failures: Object[]}>} Video objects, and the IDs each
+ *   failed batch lost ({kind, message, videoIds})
  */
-export async function fetchVideoDetails(videoIds, apiKey) {
+export async function fetchVideoDetails(videoIds, settings, source = { type: 'homepage' }, { onBatch } = {}) {
   if (!videoIds || videoIds.length === 0) {
-    return [];
+    return { videos: [], failures: [] };
   }
 
-  if (!apiKey) {
-    throw new Error('API key is required');
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    throw new Error(setupError);
   }
 
-  // Batch requests (50 IDs per request)
-  const chunks = chunkArray(videoIds, YOUTUBE_API.BATCH_SIZE);
+  const provider = getMetadataProvider(settings);
+  const chunks = chunkArray(videoIds, provider.batchSize);
   const allVideos = [];
+  const failures = [];
+  let fatalError = null;
+
+  for (const [index, chunk] of chunks.entries()) {
+    if (fatalError) {
+      failures.push(toFailure(fatalError, chunk));
+      continue;
+    }
+
+    if (onBatch) {
+      await onBatch(index + 1, chunks.length);
+    }
 
-  for (const chunk of chunks) {
     try {
       // Fetch video details
-      const videos = await fetchVideoBatch(chunk, apiKey);
+      const videos = (await provider.fetchVideos(chunk, settings)).map(metadata => toVideo(metadata, source));
 
       // Extract unique channel IDs
-      const channelIds = [...new Set(videos.map(v => v.channelId))];
+      const channelIds = [...new Set(videos.map(v => v.channelId).filter(Boolean))];
 
-      // Fetch channel details (including country)
-      const channelDetails = await fetchChannelDetails(channelIds, apiKey);
+      // Get channel details (including country), cached across captures
+      const channelDetails = await fetchChannelDetails(channelIds, settings);
 
       // Merge channel country into videos
       videos.forEach(video => {
         const channel = channelDetails[video.channelId];
         if (channel && channel.country) {
           video.regionCode = channel.country;
+          video.provenance.country = toProvenance('channel');
         }
       });
 
+      // Category names are only looked up for categories not seen before
+      await fetchCategoryNames([...new Set(videos.map(v => v.categoryId).filter(Boolean))], settings);
+
       allVideos.push(...videos);
 
       // Small delay between requests to avoid rate limiting
-      if (chunks.length > 1) {
+      if (chunks.length > 1 && settings.apiMode !== 'replay') {
         await sleep(150);
       }
     } catch (error) {
-      console.error('[API Handler] Error fetching batch:', error);
-      // Continue with other batches even if one fails
+      // Keep going with other batches, unless they are bound to fail too
+      const apiError = toApiError(error);
+      console.error(`[API Handler] Batch ${index + 1} failed (${apiError.kind}):`, apiError.message);
+
+      failures.push(toFailure(apiError, chunk));
+      if (FATAL_ERROR_KINDS.includes(apiError.kind)) {
+        fatalError = apiError;
+      }
     }
   }
 
-  return allVideos;
+  return { videos: allVideos, failures };
 }
 
 /**
- * Fetch a batch of video details
- * @param {string[]} videoIds - Array of video IDs (max 50)
- * @param {string} apiKey - YouTube API key
- * @returns {Promise<Object[]>} Array of video objects
+ * Fetch only the statistics of videos whose metadata is already stored
+ * @param {string[]} videoIds - Array of video IDs
+ * @param {Object} settings - Settings (metadataProvider, apiKeys, apiMode, apiBaseUrl, providerInstanceUrl)
+ * @returns {Promise<{statistics: Object, failures: Object[]}>} Map of videoId ->
+ *   {viewCount, likeCount, commentCount, statsUpdatedAt}, and the IDs each failed batch left
+ *   out ({kind, message, videoIds}); those keep their stored statistics
  */
-async function fetchVideoBatch(videoIds, apiKey) {
-  const url = `${YOUTUBE_API.BASE_URL}${YOUTUBE_API.VIDEOS_ENDPOINT}?` +
-    `part=${YOUTUBE_API.PARTS}&` +
-    `id=${videoIds.join(',')}&` +
-    `key=${apiKey}`;
+export async function fetchVideoStatistics(videoIds, settings) {
+  const provider = getMetadataProvider(settings);
+  const statistics = {};
+  const failures = [];
+  let fatalError = null;
+
+  for (const chunk of chunkArray(videoIds, provider.batchSize)) {
+    if (fatalError) {
+      failures.push(toFailure(fatalError, chunk));
+      continue;
+    }
 
-  const response = await fetch(url);
+    try {
+      const fetched = await provider.fetchStatistics(chunk, settings);
+      const statsUpdatedAt = Date.now();
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || `API request failed: ${response.status}`);
+      Object.entries(fetched).forEach(([videoId, counts]) => {
+        statistics[videoId] = { ...counts, statsUpdatedAt };
+      });
+    } catch (error) {
+      const apiError = toApiError(error);
+      console.error(`[API Handler] Statistics batch failed (${apiError.kind}):`, apiError.message);
+
+      failures.push(toFailure(apiError, chunk));
+      if (FATAL_ERROR_KINDS.includes(apiError.kind)) {
+        fatalError = apiError;
+      }
+    }
   }
 
-  const data = await response.json();
-  return parseApiResponse(data);
+  return { statistics, failures };
 }
 
 /**
- * Fetch channel details including country
- * @param {string[]} channelIds - Array of channel IDs (max 50)
- * @param {string} apiKey - YouTube API key
- * @returns {Promise<Object>} Map of channelId -> {country, ...}
+ * Get channel details including country, from the channel table where it is
+ * fresh enough and from the provider otherwise
+ * @param {string[]} channelIds - Array of channel IDs (at most one batch)
+ * @param {Object} settings - Settings (metadataProvider, channelCacheTtlHours, ...)
+ * @returns {Promise<Object>} Map of channelId -> Channel
  */
-async function fetchChannelDetails(channelIds, apiKey) {
+async function fetchChannelDetails(channelIds, settings) {
   if (!channelIds || channelIds.length === 0) {
     return {};
   }
 
-  try {
-    const url = `${YOUTUBE_API.BASE_URL}/channels?` +
-      `part=snippet&` +
-      `id=${channelIds.join(',')}&` +
-      `key=${apiKey}`;
-
-    const response = await fetch(url);
+  const ttlMs = (settings.channelCacheTtlHours ?? DEFAULT_SETTINGS.channelCacheTtlHours) * 60 * 60 * 1000;
+  const { channels, staleIds } = await getCachedChannels(channelIds, ttlMs);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('[API Handler] Channel fetch failed:', errorData.error?.message);
-      return {};
-    }
+  if (staleIds.length === 0) {
+    return channels;
+  }
 
-    const data = await response.json();
-    const channelMap = {};
+  // Stale entries are still better than nothing if the refresh fails
+  try {
+    const fetchedAt = Date.now();
+    const fetched = Object.fromEntries(
+      Object.entries(await getMetadataProvider(settings).fetchChannels(staleIds, settings))
+        .map(([channelId, channel]) => [channelId, { ...channel, fetchedAt }])
+    );
 
-    if (data.items) {
-      data.items.forEach(item => {
-        channelMap[item.id] = {
-          country: item.snippet.country || null,
-          title: item.snippet.title || '',
-          customUrl: item.snippet.customUrl || ''
-        };
-      });
-    }
+    await saveChannels(fetched);
 
-    console.log(`[API Handler] Fetched details for ${Object.keys(channelMap).length} channels`);
-    return channelMap;
+    console.log(`[API Handler] Fetched ${Object.keys(fetched).length} channels ` +
+      `(${channelIds.length - staleIds.length} from cache)`);
+    return { ...channels, ...fetched };
 
   } catch (error) {
-    console.error('[API Handler] Error fetching channel details:', error);
-    return {};
+    const apiError = toApiError(error);
+    console.error(`[API Handler] Channel fetch failed (${apiError.kind}):`, apiError.message);
+    return channels;
   }
 }
 
 /**
- * Parse YouTube API response into video objects
- * @param {Object} apiResponse - YouTube API response
- * @returns {Object[]} Array of video objects
+ * Look up and store the names of categories missing from the category table.
+ * A failed lookup only leaves the names missing until the next capture.
+ * @param {string[]} categoryIds - Category IDs
+ * @param {Object} settings - Settings (metadataProvider, apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<void>}
  */
-function parseApiResponse(apiResponse) {
-  if (!apiResponse.items || apiResponse.items.length === 0) {
-    return [];
+async function fetchCategoryNames(categoryIds, settings) {
+  const staleIds = await getStaleCategoryIds(categoryIds);
+  if (staleIds.length === 0) {
+    return;
+  }
+
+  try {
+    const fetchedAt = Date.now();
+    const names = await getMetadataProvider(settings).fetchCategories(staleIds, settings);
+    const fetched = Object.fromEntries(Object.entries(names).map(([categoryId, title]) => [
+      categoryId,
+      { id: categoryId, title, fetchedAt }
+    ]));
+
+    await saveVideoCategories(fetched);
+    console.log(`[API Handler] Fetched ${Object.keys(fetched).length} video categories`);
+  } catch (error) {
+    const apiError = toApiError(error);
+    console.error(`[API Handler] Category fetch failed (${apiError.kind}):`, apiError.message);
   }
+}
 
-  const videos = apiResponse.items.map(item => {
-    const snippet = item.snippet || {};
-    const statistics = item.statistics || {};
-    const contentDetails = item.contentDetails || {};
-
-    return {
-      id: item.id,
-      title: snippet.title || 'Unknown Title',
-      thumbnail: snippet.thumbnails?.medium?.url || snippet.thumbnails?.default?.url || '',
-      channelTitle: snippet.channelTitle || 'Unknown Channel',
-      channelId: snippet.channelId || '',
-      publishedAt: snippet.publishedAt || new Date().toISOString(),
-      // description: snippet.description || '',
-
-      // Language/region data (normalized to avoid duplicates like en-US, en-GB)
-      defaultLanguage: normalizeLanguageCode(snippet.defaultLanguage || snippet.defaultAudioLanguage || detectLanguageFromTitle(snippet.title) || 'unknown'),
-      defaultAudioLanguage: normalizeLanguageCode(snippet.defaultAudioLanguage || snippet.defaultLanguage || 'unknown'),
-      regionCode: inferRegionCode(snippet) || 'unknown',
-
-      // Capture metadata
-      capturedAt: Date.now(),
-      captureSource: 'homepage',
-
-      // Statistics
-      viewCount: parseInt(statistics.viewCount || 0),
-      likeCount: parseInt(statistics.likeCount || 0),
-      commentCount: parseInt(statistics.commentCount || 0),
-
-      // Additional metadata
-      categoryId: snippet.categoryId || '',
-      tags: snippet.tags || [],
-      duration: contentDetails.duration || 'PT0S',
-      definition: contentDetails.definition || 'hd',
-      caption: contentDetails.caption === 'true'
-    };
-  });
-
-  // Filter out English-language videos
-  return videos.filter(video =>
-    video.defaultLanguage !== 'en' && video.defaultAudioLanguage !== 'en'
-  );
+/**
+ * Build a stored video object from provider metadata
+ * @param {ProviderVideo} metadata - Video metadata from the provider
+ * @param {Object} source - Capture source
+ * @returns {Object} Video object
+ */
+function toVideo(metadata, source) {
+  const detected = detectLanguage(metadata.title, metadata.description);
+  const language = metadata.defaultLanguage || metadata.defaultAudioLanguage || toConfidentLanguage(detected);
+  const regionCode = inferRegionCode(metadata) || 'unknown';
+
+  return {
+    id: metadata.id,
+    title: metadata.title || 'Unknown Title',
+    thumbnail: metadata.thumbnail,
+    channelTitle: metadata.channelTitle || 'Unknown Channel',
+    channelId: metadata.channelId,
+    publishedAt: metadata.publishedAt || new Date().toISOString(),
+
+    // Language/region data (normalized to avoid duplicates like en-US, en-GB)
+    defaultLanguage: normalizeLanguageCode(language),
+    defaultAudioLanguage: normalizeLanguageCode(metadata.defaultAudioLanguage || metadata.defaultLanguage || 'unknown'),
+    detectedLanguage: detected?.language || 'unknown',
+    languageConfidence: detected?.confidence || 0,
+    regionCode,
+    // Where the language and country came from; the channel's country replaces the guess later
+    provenance: {
+      language: getLanguageProvenance(metadata, language, detected),
+      country: toProvenance(regionCode === 'unknown' ? 'none' : 'language-region')
+    },
+
+    // Capture metadata
+    capturedAt: Date.now(),
+    captureSource: source.type,
+    captureQuery: source.query || null,
+    captureChannel: source.channel || null,
+    metadataSource: 'api',
+
+    // Statistics
+    statsUpdatedAt: Date.now(),
+    viewCount: metadata.viewCount,
+    likeCount: metadata.likeCount,
+    commentCount: metadata.commentCount,
+
+    // Additional metadata
+    categoryId: metadata.categoryId,
+    topics: metadata.topics,
+    tags: metadata.tags,
+    duration: metadata.duration,
+    format: classifyVideoFormat(metadata),
+    scheduledStartAt: metadata.scheduledStartTime || null,
+    definition: metadata.definition,
+    caption: metadata.caption,
+    // Only some providers list the tracks with the details; the rest are looked up later
+    captionTracks: metadata.captionTracks || null,
+    captionsCheckedAt: metadata.captionTracks ? Date.now() : null
+  };
 }
 
 /**
- * Detect language from title (basic heuristic)
- * @param {string} title - Video title
- * @returns {string|null} Language code or null
+ * Get where a video's language came from
+ * @param {Object} snippet - Provider metadata or YouTube video snippet (defaultLanguage, defaultAudioLanguage)
+ * @param {string} language - Language the video was given
+ * @param {Object|null} detected - Offline detection result
+ * @returns {Object} Provenance
  */
-function detectLanguageFromTitle(title) {
-  if (!title) return null;
-
-  // Very basic detection - check for non-Latin characters
-  const hasJapanese = /[\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/.test(title);
-  const hasKorean = /[\uac00-\ud7af]/.test(title);
-  const hasCyrillic = /[\u0400-\u04ff]/.test(title);
-  const hasArabic = /[\u0600-\u06ff]/.test(title);
-  const hasChinese = /[\u4e00-\u9fff]/.test(title);
-
-  if (hasJapanese) return 'ja';
-  if (hasKorean) return 'ko';
-  if (hasCyrillic) return 'ru';
-  if (hasArabic) return 'ar';
-  if (hasChinese) return 'zh';
-
-  // Default to English for Latin characters
-  return null; // Let caller decide default
+function getLanguageProvenance(snippet, language, detected) {
+  if (snippet.defaultLanguage) return toProvenance('api-language');
+  if (snippet.defaultAudioLanguage) return toProvenance('api-audio');
+  if (language !== 'unknown') return toProvenance('detected', detected.confidence);
+  return toProvenance('none');
 }
 
 /**
  * Infer region code from snippet data
- * @param {Object} snippet - YouTube video snippet
+ * @param {Object} snippet - Provider metadata or YouTube video snippet (defaultLanguage, defaultAudioLanguage)
  * @returns {string|null} Region code or null
  */
-function inferRegionCode(snippet) {
+export function inferRegionCode(snippet) {
   // YouTube API doesn't directly provide region in video snippets
   // We can try to infer from language
   const language = snippet.defaultLanguage || snippet.defaultAudioLanguage;
@@ -257,22 +330,18 @@ function inferRegionCode(snippet) {
 }
 
 /**
- * Validate API key
- * @param {string} apiKey - YouTube API key
- * @returns {Promise<boolean>} True if valid
+ * Check that the chosen provider answers with these settings
+ * @param {Object} settings - Settings (metadataProvider, apiKeys, apiBaseUrl, providerInstanceUrl)
+ * @returns {Promise<{isValid: boolean, message: string}>} Result and a message for the options page
  */
-export async function validateApiKey(apiKey) {
+export async function validateProvider(settings) {
   try {
-    const testUrl = `${YOUTUBE_API.BASE_URL}${YOUTUBE_API.VIDEOS_ENDPOINT}?` +
-      `part=snippet&id=dQw4w9WgXcQ&key=${apiKey}`;
-
-    const response = await fetch(testUrl);
-    const data = await response.json();
-
-    return response.ok && data.items && data.items.length > 0;
+    // Always a live call; a replayed answer says nothing about the key
+    return await getMetadataProvider(settings).validate({ ...settings, apiMode: 'live' });
   } catch (error) {
-    console.error('[API Handler] API key validation error:', error);
-    return false;
+    const apiError = toApiError(error);
+    console.error('[API Handler] Provider validation error:', apiError);
+    return { isValid: false, message: `${API_ERROR_KINDS[apiError.kind]}: ${apiError.message}` };
   }
 }
 
@@ -284,9 +353,40 @@ export async function validateApiKey(apiKey) {
 export function estimateQuotaUsage(videoCount) {
   const requestCount = Math.ceil(videoCount / YOUTUBE_API.BATCH_SIZE);
   // 2 API calls per batch: 1 for videos, 1 for channels
+  // (category names are looked up too rarely to count)
   return requestCount * YOUTUBE_API.REQUEST_COST * 2;
 }
 
+/**
+ * Get estimated quota usage of a statistics-only refresh
+ * @param {number} videoCount - Number of videos to refresh
+ * @returns {number} Estimated quota units
+ */
+export function estimateStatisticsQuotaUsage(videoCount) {
+  // 1 API call per batch: no channel lookup
+  return Math.ceil(videoCount / YOUTUBE_API.BATCH_SIZE) * YOUTUBE_API.REQUEST_COST;
+}
+
+/**
+ * Get how many videos can be fetched within a quota allowance
+ * @param {number} quotaUnits - Quota units available
+ * @returns {number} Largest video count whose estimated usage fits
+ */
+export function getAffordableVideoCount(quotaUnits) {
+  const batchCost = estimateQuotaUsage(1);
+  return Math.floor(Math.max(quotaUnits, 0) / batchCost) * YOUTUBE_API.BATCH_SIZE;
+}
+
+/**
+ * Describe the IDs a failed batch lost
+ * @param {ApiError} error - Batch error
+ * @param {string[]} videoIds - IDs in the batch
+ * @returns {Object} {kind, message, videoIds}
+ */
+function toFailure(error, videoIds) {
+  return { kind: error.kind, message: error.message, videoIds };
+}
+
 /**
  * Sleep helper
  * @param {number} ms - Milliseconds
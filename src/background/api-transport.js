@@ -0,0 +1,303 @@
+import { YOUTUBE_API, STORAGE_KEYS, API_FIXTURES, API_RETRY } from '../shared/constants.js';
+import { getApiKeys } from '../shared/utils.js';
+import { recordQuotaUsage, recordApiKeyError, getApiKeyErrors } from './quota-ledger.js';
+
+// How API requests leave the extension. In record mode, live responses are
+// saved per video/channel ID; in replay mode requests are answered from those
+// recordings, so any batch of recorded IDs can be replayed without quota.
+// Recording, replay and the quota ledger only apply to the YouTube Data API;
+// other metadata providers send plain JSON requests.
+// When a key runs out of quota or is rejected, the request moves on to the
+// next configured key.
+
+// API error reasons (errors[].reason, or details[].reason in newer responses) by kind
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const KEY_REASONS = [
+  'keyInvalid', 'keyExpired', 'API_KEY_INVALID', 'API_KEY_EXPIRED',
+  'accessNotConfigured', 'ipRefererBlocked'
+];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'RATE_LIMIT_EXCEEDED'];
+const RETRYABLE_KINDS = ['rate-limit', 'network', 'server'];
+// Errors that belong to the key, so another key may still succeed
+const KEY_FAILOVER_KINDS = ['quota', 'invalid-key'];
+
+// Quota cost of endpoints that cost more than YOUTUBE_API.REQUEST_COST
+const ENDPOINT_COSTS = {
+  [YOUTUBE_API.CAPTIONS_ENDPOINT]: YOUTUBE_API.CAPTIONS_COST
+};
+
+// Fixture bundle collection for each endpoint; caption lookups are not recorded
+const FIXTURE_COLLECTIONS = {
+  [YOUTUBE_API.VIDEOS_ENDPOINT]: 'videos',
+  [YOUTUBE_API.CHANNELS_ENDPOINT]: 'channels',
+  [YOUTUBE_API.VIDEO_CATEGORIES_ENDPOINT]: 'videoCategories'
+};
+
+/**
+ * Error from a YouTube Data API request, sorted by what went wrong
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message (the API's own message when it sent one)
+   * @param {Object} details - {kind: API_ERROR_KINDS key, status: HTTP status (0 if none), reason: API error reason}
+   */
+  constructor(message, { kind, status = 0, reason = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.reason = reason;
+  }
+
+  /**
+   * Whether the same request may succeed if sent again
+   * @returns {boolean} True for rate limit, network and server errors
+   */
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+/**
+ * Call a YouTube Data API endpoint, or answer it from recorded fixtures.
+ * Transient errors are retried with exponential backoff; quota and key errors
+ * move on to the next API key.
+ * @param {string} endpoint - Endpoint path (YOUTUBE_API.VIDEOS_ENDPOINT, CHANNELS_ENDPOINT,
+ *   VIDEO_CATEGORIES_ENDPOINT or CAPTIONS_ENDPOINT)
+ * @param {Object} params - Query parameters; `id` is a comma-separated ID list
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} If the request fails, or still fails after retries or on every key
+ */
+export async function requestApi(endpoint, params, settings) {
+  if (settings.apiMode === 'replay') {
+    return replayRequest(endpoint, params);
+  }
+
+  const apiKeys = await getKeysInFailoverOrder(settings);
+  if (apiKeys.length === 0) {
+    throw new ApiError('API key not configured', { kind: 'invalid-key' });
+  }
+
+  for (const [index, apiKey] of apiKeys.entries()) {
+    try {
+      const data = await withRetries(() => sendRequest(endpoint, params, settings, apiKey));
+      if (apiKey.failedToday) {
+        await recordApiKeyError(apiKey.id, null);
+      }
+      return data;
+    } catch (error) {
+      const nextKey = apiKeys[index + 1];
+      if (!KEY_FAILOVER_KINDS.includes(error.kind)) {
+        throw error;
+      }
+
+      await recordApiKeyError(apiKey.id, error.kind);
+      if (!nextKey) {
+        throw error;
+      }
+      console.warn(`[API Transport] Key "${apiKey.label}" failed (${error.kind}); switching to "${nextKey.label}"`);
+    }
+  }
+}
+
+/**
+ * GET a JSON document from another metadata provider's API.
+ * Transient errors are retried with exponential backoff.
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} If the request fails, or still fails after retries
+ */
+export async function requestJson(url) {
+  return withRetries(async () => {
+    let response;
+    try {
+      response = await fetch(url, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+      throw new ApiError(`Network error: ${error.message}`, { kind: 'network' });
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw classifyHttpError(response.status, data);
+    }
+    if (data === null) {
+      throw new ApiError(`Not a JSON response from ${new URL(url).origin}`, { kind: 'request' });
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Turn any error thrown while fetching into an ApiError
+ * @param {Error} error - Caught error
+ * @returns {ApiError} The error itself, or a "request" ApiError wrapping it
+ */
+export function toApiError(error) {
+  return error instanceof ApiError
+    ? error
+    : new ApiError(error.message, { kind: 'request' });
+}
+
+/**
+ * Build a request URL against the configured base URL
+ * @param {string} endpoint - Endpoint path
+ * @param {Object} params - Query parameters
+ * @param {Object} settings - Settings (apiBaseUrl)
+ * @param {string} key - API key to send
+ * @returns {string} Request URL
+ */
+export function buildApiUrl(endpoint, params, settings, key) {
+  const baseUrl = (settings.apiBaseUrl || YOUTUBE_API.BASE_URL).replace(/\/+$/, '');
+  const query = new URLSearchParams({ ...params, key: key || '' });
+  return `${baseUrl}${endpoint}?${query}`;
+}
+
+/**
+ * Get the recorded fixture bundle
+ * @returns {Promise<Object>} ApiFixtureBundle
+ */
+export async function getApiFixtures() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.API_FIXTURES);
+  return result[STORAGE_KEYS.API_FIXTURES] || {
+    format: API_FIXTURES.FORMAT,
+    version: API_FIXTURES.VERSION,
+    recordedAt: null,
+    videos: {},
+    channels: {},
+    videoCategories: {}
+  };
+}
+
+// Configured keys with the ones that failed today moved to the end
+async function getKeysInFailoverOrder(settings) {
+  const keyErrors = await getApiKeyErrors();
+  const apiKeys = getApiKeys(settings).map(apiKey => ({ ...apiKey, failedToday: Boolean(keyErrors[apiKey.id]) }));
+
+  return [
+    ...apiKeys.filter(apiKey => !apiKey.failedToday),
+    ...apiKeys.filter(apiKey => apiKey.failedToday)
+  ];
+}
+
+// Send one live request with one key; record its quota cost against that key
+// and, in record mode, its response
+async function sendRequest(endpoint, params, settings, apiKey) {
+  let response;
+  try {
+    response = await fetch(buildApiUrl(endpoint, params, settings, apiKey.key));
+  } catch (error) {
+    throw new ApiError(`Network error: ${error.message}`, { kind: 'network' });
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  // Rejected requests are charged too
+  await recordQuotaUsage(endpoint, apiKey.id, ENDPOINT_COSTS[endpoint] || YOUTUBE_API.REQUEST_COST);
+
+  if (!response.ok) {
+    throw classifyApiError(response.status, data);
+  }
+
+  if (settings.apiMode === 'record') {
+    await recordResponse(endpoint, data);
+  }
+
+  return data;
+}
+
+// Send a request, sending it again after transient errors
+async function withRetries(send) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (!error.retryable || attempt >= API_RETRY.MAX_ATTEMPTS) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt);
+      console.warn(`[API Transport] ${error.message} (${error.kind}); ` +
+        `retry ${attempt} of ${API_RETRY.MAX_ATTEMPTS - 1} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Sort a failed response from a provider without YouTube's error reasons by its HTTP status
+function classifyHttpError(status, data) {
+  const message = data?.error || data?.message || `Request failed: ${status}`;
+
+  let kind = 'request';
+  if (status === 429) {
+    kind = 'rate-limit';
+  } else if (status >= 500) {
+    kind = 'server';
+  }
+
+  return new ApiError(String(message), { kind, status });
+}
+
+// Sort a failed response by its error reason and HTTP status
+function classifyApiError(status, data) {
+  const error = data.error || {};
+  const reason = error.errors?.[0]?.reason || error.details?.[0]?.reason || null;
+  const message = error.message || `API request failed: ${status}`;
+
+  let kind = 'request';
+  if (QUOTA_REASONS.includes(reason)) {
+    kind = 'quota';
+  } else if (KEY_REASONS.includes(reason) || status === 401) {
+    kind = 'invalid-key';
+  } else if (RATE_LIMIT_REASONS.includes(reason) || status === 429) {
+    kind = 'rate-limit';
+  } else if (status >= 500) {
+    kind = 'server';
+  }
+
+  return new ApiError(message, { kind, status, reason });
+}
+
+// Exponential backoff with jitter, so parallel retries spread out
+function getRetryDelay(attempt) {
+  const ceiling = Math.min(API_RETRY.BASE_DELAY_MS * 2 ** (attempt - 1), API_RETRY.MAX_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Answer a request with the recorded items for its IDs, like the API
+// leaves out IDs it does not know
+async function replayRequest(endpoint, params) {
+  const fixtures = await getApiFixtures();
+  const recorded = fixtures[FIXTURE_COLLECTIONS[endpoint]] || {};
+  const ids = (params.id || '').split(',').filter(Boolean);
+  const items = ids.map(id => recorded[id]).filter(Boolean);
+
+  if (items.length < ids.length) {
+    console.warn(`[API Transport] Replay has no recording for ${ids.length - items.length} of ${ids.length} IDs (${endpoint})`);
+  }
+
+  return { kind: 'youtube#replayedListResponse', items };
+}
+
+// Save each returned item under its ID
+async function recordResponse(endpoint, data) {
+  const collection = FIXTURE_COLLECTIONS[endpoint];
+  if (!collection || !data.items) return;
+
+  const fixtures = await getApiFixtures();
+  // Bundles recorded before categories were looked up have no category collection
+  fixtures[collection] = fixtures[collection] || {};
+  data.items.forEach(item => {
+    fixtures[collection][item.id] = item;
+  });
+  fixtures.recordedAt = Date.now();
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.API_FIXTURES]: fixtures });
+  console.log(`[API Transport] Recorded ${data.items.length} ${collection}`);
+}
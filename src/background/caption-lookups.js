@@ -0,0 +1,171 @@
+import { CAPTION_LOOKUPS, SCHEDULER, YOUTUBE_API, DEFAULT_SETTINGS } from '../shared/constants.js';
+import { getVideoFormat } from '../shared/utils.js';
+import { getVideos, updateStoredVideos } from './storage-manager.js';
+import { getQuotaUsage } from './quota-ledger.js';
+import { getCaptureSession, isSessionActive } from './capture-session.js';
+import { getMetadataProvider, usesApiQuota, getProviderSetupError } from './providers/index.js';
+import { toApiError } from './api-transport.js';
+
+// Stored videos get the languages of their caption tracks looked up on an
+// alarm, unless the provider already listed them with the video details.
+// The YouTube Data API charges 50 units per video, so these lookups have a
+// daily budget of their own within the quota budget.
+
+// Streams and premieres only get their tracks once they are over
+const SKIPPED_FORMATS = ['live', 'upcoming', 'premiere'];
+
+/**
+ * Create or clear the caption lookup alarm to match settings
+ * @param {Object} settings - Settings object
+ * @returns {Promise<void>}
+ */
+export async function syncCaptionLookups(settings) {
+  const existing = await chrome.alarms.get(CAPTION_LOOKUPS.ALARM_NAME);
+
+  if (!settings.captionLookups) {
+    if (existing) {
+      await chrome.alarms.clear(CAPTION_LOOKUPS.ALARM_NAME);
+      console.log('[Caption Lookups] Caption lookups disabled');
+    }
+    return;
+  }
+
+  // Leave a running alarm alone so worker restarts don't push the next run back
+  if (existing) {
+    return;
+  }
+
+  await chrome.alarms.create(CAPTION_LOOKUPS.ALARM_NAME, {
+    delayInMinutes: CAPTION_LOOKUPS.INTERVAL_MINUTES,
+    periodInMinutes: CAPTION_LOOKUPS.INTERVAL_MINUTES
+  });
+
+  console.log(`[Caption Lookups] Looking up caption tracks every ${CAPTION_LOOKUPS.INTERVAL_MINUTES} minutes`);
+}
+
+/**
+ * Look up the caption tracks of stored videos that have not been checked yet,
+ * within what is left of today's caption budget
+ * @param {Object} captureSettings - Settings object
+ * @returns {Promise<number>} Number of videos updated
+ */
+export async function runCaptionLookups(captureSettings) {
+  // Lookups ask the provider even when captures scrape the page
+  const settings = { ...captureSettings, metadataSource: 'api' };
+
+  const skipReason = await getSkipReason(settings);
+  if (skipReason) {
+    console.log(`[Caption Lookups] Skipped: ${skipReason}`);
+    return 0;
+  }
+
+  const maxCount = await getMaxVideosToLookUp(settings);
+  if (maxCount <= 0) {
+    return 0;
+  }
+
+  const videoIds = selectVideosForCaptions(await getVideos(), maxCount);
+  if (videoIds.length === 0) {
+    return 0;
+  }
+
+  const tracksById = await fetchCaptionTracks(videoIds, settings);
+  const checkedAt = Date.now();
+  // Applied in the queue of video writes, to the videos as stored by then, so
+  // captures and polls that finished during the lookups are kept
+  const updated = await updateStoredVideos(video => video.id in tracksById
+    ? { ...video, captionTracks: tracksById[video.id], captionsCheckedAt: checkedAt }
+    : video);
+
+  console.log(`[Caption Lookups] Looked up caption tracks of ${updated} of ${videoIds.length} videos`);
+  return updated;
+}
+
+/**
+ * Pick the videos whose caption tracks were never looked up, most recently seen first
+ * @param {Object[]} videos - Stored videos
+ * @param {number} maxCount - Most videos to return
+ * @returns {string[]} Video IDs
+ */
+export function selectVideosForCaptions(videos, maxCount) {
+  return videos
+    .filter(video => video.metadataSource !== 'page' && !video.captionsCheckedAt)
+    .filter(video => !SKIPPED_FORMATS.includes(getVideoFormat(video)))
+    .sort((a, b) => (b.lastSeen || b.capturedAt) - (a.lastSeen || a.capturedAt))
+    .slice(0, maxCount)
+    .map(video => video.id);
+}
+
+// One request per video. Videos the provider refuses are marked as checked so
+// they are not paid for again; any other error ends the run, keeping the
+// tracks looked up so far.
+async function fetchCaptionTracks(videoIds, settings) {
+  const provider = getMetadataProvider(settings);
+  const tracksById = {};
+
+  for (const videoId of videoIds) {
+    try {
+      tracksById[videoId] = await provider.fetchCaptionTracks(videoId, settings);
+    } catch (error) {
+      const apiError = toApiError(error);
+      console.error(`[Caption Lookups] Lookup of ${videoId} failed (${apiError.kind}):`, apiError.message);
+
+      if (apiError.kind !== 'request') {
+        break;
+      }
+      tracksById[videoId] = null;
+    }
+  }
+
+  return tracksById;
+}
+
+// How many videos one run may look up, within the caption budget and
+// leaving the rest of today's quota to captures
+async function getMaxVideosToLookUp(settings) {
+  if (!usesApiQuota(settings)) {
+    return CAPTION_LOOKUPS.MAX_PER_RUN;
+  }
+
+  const usage = await getQuotaUsage(settings);
+  const budget = settings.captionQuotaBudget ?? DEFAULT_SETTINGS.captionQuotaBudget;
+  const spent = getCaptionUnitsSpent(usage);
+
+  if (spent + YOUTUBE_API.CAPTIONS_COST > budget) {
+    console.log(`[Caption Lookups] Skipped: caption budget used up (${spent} of ${budget} units today)`);
+    return 0;
+  }
+
+  const units = Math.min(budget - spent, usage.remaining - SCHEDULER.MIN_QUOTA_REMAINING);
+  const count = Math.min(Math.floor(units / YOUTUBE_API.CAPTIONS_COST), CAPTION_LOOKUPS.MAX_PER_RUN);
+  if (count <= 0) {
+    console.log(`[Caption Lookups] Skipped: quota low (${usage.remaining} units of today's budget left)`);
+  }
+  return count;
+}
+
+// Units caption requests cost today, from the ledger's per-endpoint call counts
+function getCaptionUnitsSpent(usage) {
+  const today = usage.history.find(entry => entry.day === usage.day);
+  const calls = today?.calls[YOUTUBE_API.CAPTIONS_ENDPOINT.replace(/^\//, '')] || 0;
+  return calls * YOUTUBE_API.CAPTIONS_COST;
+}
+
+// Why a lookup run should not happen now, or null to run
+async function getSkipReason(settings) {
+  if (!settings.captionLookups) {
+    return 'Caption lookups are disabled';
+  }
+  if (settings.apiMode === 'replay') {
+    return 'Caption tracks are not recorded for replay';
+  }
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    return setupError;
+  }
+  // Both would rewrite the stored videos
+  if (isSessionActive(await getCaptureSession())) {
+    return 'A capture is running';
+  }
+  return null;
+}
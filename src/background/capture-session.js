@@ -0,0 +1,142 @@
+import { STORAGE_KEYS, CAPTURE_SESSION } from '../shared/constants.js';
+
+// The current capture lives in session storage so a suspended service worker
+// can pick it up again. Only one capture runs at a time; messages for any
+// other session ID are stale and get ignored.
+
+// Serialize read-modify-write updates; progress messages arrive while stages change
+let sessionQueue = Promise.resolve();
+
+/**
+ * Get the current (or most recently finished) capture session
+ * @returns {Promise<Object|null>} CaptureSession
+ */
+export async function getCaptureSession() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.CAPTURE_SESSION);
+  return result[STORAGE_KEYS.CAPTURE_SESSION] || null;
+}
+
+/**
+ * Whether a session is still in progress
+ * @param {Object|null} session - CaptureSession
+ * @returns {boolean} True while running
+ */
+export function isSessionActive(session) {
+  return Boolean(session) && session.status === 'running';
+}
+
+/**
+ * Start a capture session in the opening-tab stage
+ * @param {Object} options - {trigger: 'manual'|'scheduled', source: surface or 'tab'}
+ * @returns {Promise<Object>} New CaptureSession
+ * @throws {Error} If another capture is running
+ */
+export function startCaptureSession({ trigger, source }) {
+  return mutateSession(async current => {
+    if (isSessionActive(current)) {
+      throw new Error('A capture is already running');
+    }
+
+    const now = Date.now();
+    return withStage({
+      id: `capture-${now}`,
+      trigger,
+      source,
+      status: 'running',
+      startedAt: now,
+      tabId: null,
+      closeTab: false,
+      progress: {},
+      payload: null,
+      error: null
+    }, 'opening-tab');
+  });
+}
+
+/**
+ * Update a running session without changing its stage
+ * @param {string} sessionId - Session ID
+ * @param {Object} patch - Fields to merge
+ * @returns {Promise<Object|null>} Updated session, or null if it is no longer running
+ */
+export function updateCaptureSession(sessionId, patch) {
+  return mutateSession(async current => {
+    if (!isCurrent(current, sessionId)) return null;
+    return { ...current, ...patch };
+  });
+}
+
+/**
+ * Move a running session to the next stage and restart the stage timeout
+ * @param {string} sessionId - Session ID
+ * @param {string} stage - CAPTURE_STAGES key
+ * @param {Object} patch - Fields to merge
+ * @returns {Promise<Object|null>} Updated session, or null if it is no longer running
+ */
+export function advanceCaptureStage(sessionId, stage, patch = {}) {
+  return mutateSession(async current => {
+    if (!isCurrent(current, sessionId)) return null;
+    return withStage({ ...current, ...patch, progress: {} }, stage);
+  });
+}
+
+/**
+ * End a running session
+ * @param {string} sessionId - Session ID
+ * @param {string} status - 'completed', 'failed' or 'canceled'
+ * @param {Object} patch - Fields to merge (e.g. {error} or {videoCount})
+ * @returns {Promise<Object|null>} Finished session, or null if it had already ended
+ */
+export function finishCaptureSession(sessionId, status, patch = {}) {
+  return mutateSession(async current => {
+    if (!isCurrent(current, sessionId)) return null;
+
+    await chrome.alarms.clear(CAPTURE_SESSION.TIMEOUT_ALARM);
+    console.log(`[Capture Session] ${sessionId} ${status} during ${current.stage}`);
+
+    // The scraped payload is only needed while the session can resume
+    return { ...current, ...patch, status, payload: null, finishedAt: Date.now() };
+  });
+}
+
+/**
+ * Whether the current stage has run past its timeout
+ * @param {Object} session - CaptureSession
+ * @returns {boolean} True if timed out
+ */
+export function isStageTimedOut(session) {
+  // Allow for the alarm firing a moment before the deadline
+  return isSessionActive(session) && Date.now() >= session.stageDeadline - 1000;
+}
+
+function isCurrent(session, sessionId) {
+  return isSessionActive(session) && session.id === sessionId;
+}
+
+// Enter a stage and arm its timeout alarm (alarms survive worker suspension)
+function withStage(session, stage) {
+  const now = Date.now();
+  const stageDeadline = now + CAPTURE_SESSION.STAGE_TIMEOUTS_MS[stage];
+
+  chrome.alarms.create(CAPTURE_SESSION.TIMEOUT_ALARM, { when: stageDeadline });
+  console.log(`[Capture Session] ${session.id} entering ${stage}`);
+
+  return { ...session, stage, stageStartedAt: now, stageDeadline };
+}
+
+// Apply an update to the stored session; the update returns the new session or null to leave it
+function mutateSession(update) {
+  const run = sessionQueue.then(async () => {
+    const current = await getCaptureSession();
+    const next = await update(current);
+
+    if (next) {
+      await chrome.storage.session.set({ [STORAGE_KEYS.CAPTURE_SESSION]: next });
+    }
+    return next;
+  });
+
+  // Keep the queue going after a rejected update
+  sessionQueue = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,37 @@
+import { STORAGE_KEYS, CATEGORY_CACHE } from '../shared/constants.js';
+
+// Video category names (categoryId -> "Music", "Gaming"...) hardly ever change,
+// so they are looked up once and kept in a table keyed by category ID.
+
+/**
+ * Get the stored category table
+ * @returns {Promise<Object>} Map of categoryId -> VideoCategory
+ */
+export async function getVideoCategories() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.VIDEO_CATEGORIES);
+  return result[STORAGE_KEYS.VIDEO_CATEGORIES] || {};
+}
+
+/**
+ * Find the category IDs that need a lookup
+ * @param {string[]} categoryIds - Category IDs
+ * @returns {Promise<string[]>} IDs that are missing from the table or older than the TTL
+ */
+export async function getStaleCategoryIds(categoryIds) {
+  const table = await getVideoCategories();
+  const staleBefore = Date.now() - CATEGORY_CACHE.TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  return categoryIds.filter(categoryId =>
+    !table[categoryId] || table[categoryId].fetchedAt < staleBefore
+  );
+}
+
+/**
+ * Store freshly fetched categories
+ * @param {Object} categoryMap - Map of categoryId -> VideoCategory (with fetchedAt)
+ * @returns {Promise<void>}
+ */
+export async function saveVideoCategories(categoryMap) {
+  const table = { ...await getVideoCategories(), ...categoryMap };
+  await chrome.storage.local.set({ [STORAGE_KEYS.VIDEO_CATEGORIES]: table });
+}
@@ -0,0 +1,55 @@
+import { STORAGE_KEYS, CHANNEL_CACHE } from '../shared/constants.js';
+
+// Channel details (country, title, subscribers...) change slowly, so they are
+// kept in a table keyed by channel ID and only looked up again once stale.
+
+/**
+ * Get the stored channel table
+ * @returns {Promise<Object>} Map of channelId -> Channel
+ */
+export async function getChannels() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CHANNELS);
+  return result[STORAGE_KEYS.CHANNELS] || {};
+}
+
+/**
+ * Look up channels in the table
+ * @param {string[]} channelIds - Channel IDs
+ * @param {number} ttlMs - How long a stored channel stays fresh
+ * @returns {Promise<{channels: Object, staleIds: string[]}>} Stored channels (fresh or not) and
+ *   the IDs that are missing or past their TTL
+ */
+export async function getCachedChannels(channelIds, ttlMs) {
+  const table = await getChannels();
+  const now = Date.now();
+  const channels = {};
+  const staleIds = [];
+
+  channelIds.forEach(channelId => {
+    const channel = table[channelId];
+    if (channel) {
+      channels[channelId] = channel;
+    }
+    if (!channel || now - channel.fetchedAt > ttlMs) {
+      staleIds.push(channelId);
+    }
+  });
+
+  return { channels, staleIds };
+}
+
+/**
+ * Store freshly fetched channels, dropping ones not refreshed in a long time
+ * @param {Object} channelMap - Map of channelId -> Channel (with fetchedAt)
+ * @returns {Promise<void>}
+ */
+export async function saveChannels(channelMap) {
+  const table = { ...await getChannels(), ...channelMap };
+  const oldest = Date.now() - CHANNEL_CACHE.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  Object.keys(table)
+    .filter(channelId => table[channelId].fetchedAt < oldest)
+    .forEach(channelId => delete table[channelId]);
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.CHANNELS]: table });
+}
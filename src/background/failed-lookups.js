@@ -0,0 +1,44 @@
+import { STORAGE_KEYS, API_RETRY } from '../shared/constants.js';
+
+// Video IDs whose details could not be fetched, kept with the source they were
+// captured from so they can be looked up again later. Any later lookup of an
+// ID, successful or not, replaces its entry.
+
+/**
+ * Get the failed lookups
+ * @returns {Promise<Object>} Map of videoId -> FailedLookup
+ */
+export async function getFailedLookups() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.FAILED_LOOKUPS);
+  return result[STORAGE_KEYS.FAILED_LOOKUPS] || {};
+}
+
+/**
+ * Update failed lookups after fetching details for some IDs
+ * @param {string[]} requestedIds - IDs that were looked up
+ * @param {Object[]} failures - Failed batches ({kind, message, videoIds})
+ * @param {Object} source - Capture source the IDs came from
+ * @returns {Promise<void>}
+ */
+export async function updateFailedLookups(requestedIds, failures, source) {
+  const failed = await getFailedLookups();
+  const failedAt = Date.now();
+
+  // IDs that did not fail were fetched, or do not exist anymore
+  requestedIds.forEach(videoId => delete failed[videoId]);
+
+  failures.forEach(({ kind, message, videoIds }) => {
+    videoIds.forEach(videoId => {
+      failed[videoId] = { videoId, kind, message, source, failedAt };
+    });
+  });
+
+  // Keep the most recent failures
+  const entries = Object.values(failed)
+    .sort((a, b) => b.failedAt - a.failedAt)
+    .slice(0, API_RETRY.MAX_FAILED_LOOKUPS);
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.FAILED_LOOKUPS]: Object.fromEntries(entries.map(entry => [entry.videoId, entry]))
+  });
+}
@@ -0,0 +1,111 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { toProvenance, getProvenance } from '../shared/utils.js';
+
+// Language/country corrections. A correction made on one video only changes
+// that video; a channel override is stored by channel ID and applied to the
+// channel's stored videos and to its videos in every later capture.
+// Corrections made on a single video win over channel overrides.
+
+// Serialize read-modify-write updates; corrections from feed tabs and the
+// options page can overlap
+let overridesQueue = Promise.resolve();
+
+/**
+ * Get the channel overrides
+ * @returns {Promise<Object>} Map of channelId -> ChannelOverride
+ */
+export async function getChannelOverrides() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CHANNEL_OVERRIDES);
+  return result[STORAGE_KEYS.CHANNEL_OVERRIDES] || {};
+}
+
+/**
+ * Store a channel override, merged with any existing one for the channel
+ * @param {string} channelId - Channel ID
+ * @param {Object} correction - {language?, country?}
+ * @param {string} channelTitle - Channel name, for the options page
+ * @returns {Promise<Object>} The stored ChannelOverride
+ */
+export function setChannelOverride(channelId, correction, channelTitle) {
+  return updateChannelOverrides(overrides => {
+    overrides[channelId] = {
+      ...overrides[channelId],
+      ...correction,
+      channelId,
+      channelTitle,
+      updatedAt: Date.now()
+    };
+    return overrides[channelId];
+  });
+}
+
+/**
+ * Stop applying a channel override to new captures. Videos it already
+ * corrected keep their values.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<void>}
+ */
+export async function deleteChannelOverride(channelId) {
+  await updateChannelOverrides(overrides => {
+    delete overrides[channelId];
+  });
+}
+
+// Change the stored overrides once the queued changes are done; the update
+// edits the map in place and its return value is passed on
+function updateChannelOverrides(update) {
+  const run = overridesQueue.then(async () => {
+    const overrides = await getChannelOverrides();
+    const result = update(overrides);
+    await chrome.storage.local.set({ [STORAGE_KEYS.CHANNEL_OVERRIDES]: overrides });
+    return result;
+  });
+
+  // Keep the queue going after a failed write
+  overridesQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Apply channel overrides to captured videos
+ * @param {Object[]} videos - Video objects
+ * @param {Object} overrides - Map of channelId -> ChannelOverride
+ * @returns {Object[]} Videos, corrected where their channel has an override
+ */
+export function applyChannelOverrides(videos, overrides) {
+  return videos.map(video => {
+    const override = video.channelId && overrides[video.channelId];
+    return override ? applyCorrection(video, override, 'channel-rule') : video;
+  });
+}
+
+/**
+ * Set a video's language and/or country, recording where the values came from
+ * @param {Object} video - Video object
+ * @param {Object} correction - {language?, country?}; missing fields are left alone
+ * @param {string} source - 'manual' or 'channel-rule'
+ * @returns {Object} Corrected video (the same object if nothing applied)
+ */
+export function applyCorrection(video, correction, source) {
+  // Channel rules don't override corrections made on the video itself
+  const applies = field => correction[field] &&
+    (source === 'manual' || getProvenance(video, field).source !== 'manual');
+
+  const corrected = { ...video, provenance: { ...video.provenance } };
+  let changed = false;
+
+  // Both language fields, since the language filter matches either
+  if (applies('language')) {
+    corrected.defaultLanguage = correction.language;
+    corrected.defaultAudioLanguage = correction.language;
+    corrected.provenance.language = toProvenance(source);
+    changed = true;
+  }
+  if (applies('country')) {
+    corrected.regionCode = correction.country;
+    corrected.provenance.country = toProvenance(source);
+    changed = true;
+  }
+
+  return changed ? corrected : video;
+}
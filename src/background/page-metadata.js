@@ -0,0 +1,99 @@
+import { detectLanguage, toConfidentLanguage } from '../shared/language-detector.js';
+import { toProvenance, classifyVideoFormat, getVideoFormat } from '../shared/utils.js';
+import { inferRegionCode } from './api-handler.js';
+
+// Thumbnail overlay styles of streams; the page does not tell premieres apart
+const PAGE_BROADCAST_CONTENT = {
+  LIVE: 'live',
+  UPCOMING: 'upcoming'
+};
+
+/**
+ * Build stored video objects from metadata scraped off the YouTube page.
+ * Used by the API-key-free capture mode; fields the page does not show
+ * (likes, tags, category, audio language) are left empty and are filled in
+ * if the video is later captured through the API.
+ * @param {PageVideo[]} pageVideos - Metadata scraped by the content script
+ * @param {Object} source - Capture source the videos were scraped from ({type, query?, channel?})
+ * @returns {Object[]} Array of video objects
+ */
+export function buildVideosFromPage(pageVideos, source = { type: 'homepage' }) {
+  if (!pageVideos || pageVideos.length === 0) {
+    return [];
+  }
+
+  const capturedAt = Date.now();
+
+  return pageVideos
+    .filter(video => video && video.id)
+    .map(video => {
+      const detected = detectLanguage(video.title);
+      const language = toConfidentLanguage(detected);
+      const regionCode = inferRegionCode({ defaultLanguage: language === 'unknown' ? null : language }) || 'unknown';
+
+      return {
+        id: video.id,
+        title: video.title || 'Unknown Title',
+        thumbnail: video.thumbnail || `https://i.ytimg.com/vi/${video.id}/mqdefault.jpg`,
+        channelTitle: video.channelTitle || 'Unknown Channel',
+        channelId: video.channelId || '',
+        channelHandle: video.channelHandle || null,
+        publishedAt: video.publishedAt || null,
+
+        // Only the title is available to detect the language from
+        defaultLanguage: language,
+        defaultAudioLanguage: 'unknown',
+        detectedLanguage: detected?.language || 'unknown',
+        languageConfidence: detected?.confidence || 0,
+        regionCode,
+        provenance: {
+          language: language === 'unknown' ? toProvenance('none') : toProvenance('detected', detected.confidence),
+          country: toProvenance(regionCode === 'unknown' ? 'none' : 'language-region')
+        },
+
+        // Capture metadata
+        capturedAt,
+        captureSource: source.type,
+        captureQuery: source.query || null,
+        captureChannel: source.channel || null,
+        metadataSource: 'page',
+
+        // Statistics (views are rounded as displayed, e.g. "1.2M views")
+        viewCount: video.viewCount || 0,
+        likeCount: 0,
+        commentCount: 0,
+
+        // Additional metadata
+        categoryId: '',
+        tags: [],
+        topics: [],
+        duration: video.duration || 'PT0S',
+        format: classifyVideoFormat({
+          liveBroadcastContent: PAGE_BROADCAST_CONTENT[video.overlayStyle] || 'none',
+          duration: video.duration,
+          isShort: video.isShort || video.overlayStyle === 'SHORTS',
+          title: video.title
+        }),
+        scheduledStartAt: null,
+        definition: 'hd',
+        caption: false
+      };
+    });
+}
+
+/**
+ * Mark API-looked-up videos that the page linked as Shorts. The API has no
+ * Shorts flag, so the page is the only reliable sign.
+ * @param {Object[]} videos - Video objects
+ * @param {PageVideo[]} pageVideos - Metadata scraped by the content script
+ * @returns {Object[]} Videos, with regular ones the page showed as Shorts marked "short"
+ */
+export function applyPageFormats(videos, pageVideos = []) {
+  const shortIds = new Set(pageVideos
+    .filter(video => video && (video.isShort || video.overlayStyle === 'SHORTS'))
+    .map(video => video.id));
+
+  return videos.map(video =>
+    shortIds.has(video.id) && getVideoFormat(video) === 'regular' ? { ...video, format: 'short' } : video
+  );
+}
@@ -0,0 +1,77 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+
+// Per-tab passive capture state lives in session storage so it survives
+// service worker restarts but not a browser restart.
+
+/**
+ * Get passive state for every tab that has sent a batch or been paused
+ * @returns {Promise<Object>} Map of tabId -> PassiveTabState
+ */
+export async function getPassiveTabs() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.PASSIVE_TABS);
+  return result[STORAGE_KEYS.PASSIVE_TABS] || {};
+}
+
+/**
+ * Get passive state for a single tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} PassiveTabState
+ */
+export async function getPassiveTab(tabId) {
+  const tabs = await getPassiveTabs();
+  return tabs[tabId] || { paused: false, count: 0, url: '' };
+}
+
+/**
+ * Pause or resume passive capture in a tab
+ * @param {number} tabId - Tab ID
+ * @param {boolean} paused - Whether passive capture is paused
+ * @returns {Promise<Object>} Updated PassiveTabState
+ */
+export async function setPassivePaused(tabId, paused) {
+  return updatePassiveTab(tabId, state => ({ ...state, paused }));
+}
+
+/**
+ * Add recorded videos to a tab's counter
+ * @param {number} tabId - Tab ID
+ * @param {number} videoCount - Number of videos recorded
+ * @param {string} url - Page the batch came from
+ * @returns {Promise<Object>} Updated PassiveTabState
+ */
+export async function recordPassiveBatch(tabId, videoCount, url) {
+  return updatePassiveTab(tabId, state => ({
+    ...state,
+    count: state.count + videoCount,
+    url
+  }));
+}
+
+/**
+ * Forget a closed tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export async function forgetPassiveTab(tabId) {
+  const tabs = await getPassiveTabs();
+  if (!(tabId in tabs)) return;
+
+  delete tabs[tabId];
+  await chrome.storage.session.set({ [STORAGE_KEYS.PASSIVE_TABS]: tabs });
+}
+
+/**
+ * Apply an update to a tab's state
+ * @param {number} tabId - Tab ID
+ * @param {Function} update - Receives the current state, returns the new one
+ * @returns {Promise<Object>} Updated PassiveTabState
+ */
+async function updatePassiveTab(tabId, update) {
+  const tabs = await getPassiveTabs();
+  const state = update(tabs[tabId] || { paused: false, count: 0, url: '' });
+
+  tabs[tabId] = state;
+  await chrome.storage.session.set({ [STORAGE_KEYS.PASSIVE_TABS]: tabs });
+
+  return state;
+}
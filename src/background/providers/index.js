@@ -0,0 +1,59 @@
+import { METADATA_PROVIDERS, DEFAULT_SETTINGS } from '../../shared/constants.js';
+import { getApiKeys } from '../../shared/utils.js';
+import { youtubeDataApiProvider } from './youtube-data-api.js';
+import { invidiousProvider, pipedProvider } from './instance-api.js';
+
+// Metadata providers by METADATA_PROVIDERS key. Each one looks up videos,
+// statistics, channels and category names in batches of its own size, and
+// caption tracks one video at a time. All map their answers to the same
+// shapes and throw ApiError when a request fails.
+
+const PROVIDERS = {
+  [youtubeDataApiProvider.id]: youtubeDataApiProvider,
+  [invidiousProvider.id]: invidiousProvider,
+  [pipedProvider.id]: pipedProvider
+};
+
+/**
+ * Get the provider chosen in settings
+ * @param {Object} settings - Settings (metadataProvider)
+ * @returns {MetadataProvider} Provider (the YouTube Data API if the setting is unknown)
+ */
+export function getMetadataProvider(settings) {
+  return PROVIDERS[settings.metadataProvider] || PROVIDERS[DEFAULT_SETTINGS.metadataProvider];
+}
+
+/**
+ * Whether lookups with these settings spend YouTube API quota
+ * Page-scraped metadata, other providers and replayed responses cost no quota
+ * @param {Object} settings - Settings (metadataSource, metadataProvider, apiMode)
+ * @returns {boolean} True if the quota ledger and budget apply
+ */
+export function usesApiQuota(settings) {
+  return settings.metadataSource !== 'page' &&
+    getProviderInfo(settings).usesQuota &&
+    settings.apiMode !== 'replay';
+}
+
+/**
+ * Why lookups cannot run with these settings
+ * @param {Object} settings - Settings object
+ * @returns {string|null} What is missing (API key or instance URL), or null if lookups can run
+ */
+export function getProviderSetupError(settings) {
+  if (settings.metadataSource === 'page') return null;
+
+  const info = getProviderInfo(settings);
+  if (info.needsInstance && !settings.providerInstanceUrl) {
+    return `${info.label} URL not configured`;
+  }
+  if (info.requiresApiKey && settings.apiMode !== 'replay' && getApiKeys(settings).length === 0) {
+    return 'API key not configured';
+  }
+  return null;
+}
+
+// Labels and capabilities of the chosen provider
+function getProviderInfo(settings) {
+  return METADATA_PROVIDERS[getMetadataProvider(settings).id];
+}
@@ -0,0 +1,244 @@
+import { INSTANCE_API, YOUTUBE_API } from '../../shared/constants.js';
+import { toCaptionTracks } from '../../shared/utils.js';
+import { requestJson, ApiError } from '../api-transport.js';
+
+// Invidious and Piped instances: alternative front ends that answer with JSON
+// and need no API key or quota. Both take one request per video or channel and
+// leave out language, country and topics, so those fall back to detection.
+// Piped only flags streams that are live now, not upcoming ones.
+// They name a video's category instead of giving its ID, so names of the
+// standard YouTube categories are mapped back to IDs.
+// Caption tracks come with the video details, so their languages cost nothing extra.
+
+const CATEGORY_IDS = {
+  'Film & Animation': '1',
+  'Autos & Vehicles': '2',
+  'Music': '10',
+  'Pets & Animals': '15',
+  'Sports': '17',
+  'Travel & Events': '19',
+  'Gaming': '20',
+  'People & Blogs': '22',
+  'Comedy': '23',
+  'Entertainment': '24',
+  'News & Politics': '25',
+  'Howto & Style': '26',
+  'Education': '27',
+  'Science & Technology': '28',
+  'Nonprofits & Activism': '29'
+};
+const CATEGORY_NAMES = Object.fromEntries(Object.entries(CATEGORY_IDS).map(([name, id]) => [id, name]));
+
+// Paths and response mapping of each API
+const APIS = {
+  invidious: {
+    videoPath: videoId => `/api/v1/videos/${videoId}`,
+    channelPath: channelId => `/api/v1/channels/${channelId}`,
+    toVideo: fromInvidiousVideo,
+    toChannel: fromInvidiousChannel
+  },
+  piped: {
+    videoPath: videoId => `/streams/${videoId}`,
+    channelPath: channelId => `/channel/${channelId}`,
+    toVideo: fromPipedVideo,
+    toChannel: fromPipedChannel
+  }
+};
+
+/**
+ * @type {MetadataProvider}
+ */
+export const invidiousProvider = createInstanceProvider('invidious');
+
+/**
+ * @type {MetadataProvider}
+ */
+export const pipedProvider = createInstanceProvider('piped');
+
+// Both APIs share the batching and error handling; only paths and mapping differ
+function createInstanceProvider(id) {
+  const api = APIS[id];
+
+  // Videos the instance cannot find are left out, like the YouTube API does
+  async function fetchVideos(videoIds, settings) {
+    const videos = await Promise.all(videoIds.map(async videoId => {
+      const data = await requestItem(settings, api.videoPath(videoId));
+      return data && api.toVideo(data, videoId, settings.providerInstanceUrl);
+    }));
+    return videos.filter(Boolean);
+  }
+
+  async function fetchStatistics(videoIds, settings) {
+    const videos = await fetchVideos(videoIds, settings);
+    return Object.fromEntries(videos.map(({ id: videoId, viewCount, likeCount, commentCount }) =>
+      [videoId, { viewCount, likeCount, commentCount }]
+    ));
+  }
+
+  async function fetchChannels(channelIds, settings) {
+    const channels = await Promise.all(channelIds.map(async channelId => {
+      const data = await requestItem(settings, api.channelPath(channelId));
+      return data && api.toChannel(data, channelId, settings.providerInstanceUrl);
+    }));
+    return Object.fromEntries(channels.filter(Boolean).map(channel => [channel.id, channel]));
+  }
+
+  async function fetchCaptionTracks(videoId, settings) {
+    const data = await requestItem(settings, api.videoPath(videoId));
+    return data && api.toVideo(data, videoId, settings.providerInstanceUrl).captionTracks;
+  }
+
+  async function validate(settings) {
+    const [video] = await fetchVideos([YOUTUBE_API.VALIDATION_VIDEO_ID], settings);
+    return video
+      ? { isValid: true, message: 'Instance is reachable' }
+      : { isValid: false, message: 'Instance did not return the test video' };
+  }
+
+  return {
+    id,
+    batchSize: INSTANCE_API.BATCH_SIZE,
+    fetchVideos,
+    fetchStatistics,
+    fetchChannels,
+    fetchCategories,
+    fetchCaptionTracks,
+    validate
+  };
+}
+
+// Category names come from the table above; no request needed
+async function fetchCategories(categoryIds) {
+  return Object.fromEntries(categoryIds
+    .filter(categoryId => CATEGORY_NAMES[categoryId])
+    .map(categoryId => [categoryId, CATEGORY_NAMES[categoryId]]));
+}
+
+// GET one video or channel; null if the instance does not have it
+async function requestItem(settings, path) {
+  if (!settings.providerInstanceUrl) {
+    throw new ApiError('Instance URL not configured', { kind: 'request' });
+  }
+
+  try {
+    return await requestJson(`${settings.providerInstanceUrl.replace(/\/+$/, '')}${path}`);
+  } catch (error) {
+    if (error.kind === 'request' && error.status >= 400 && error.status < 500) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function fromInvidiousVideo(data, videoId, instanceUrl) {
+  const thumbnail = (data.videoThumbnails || []).find(({ quality }) => quality === 'medium') ||
+    (data.videoThumbnails || [])[0];
+
+  return {
+    id: data.videoId || videoId,
+    title: data.title || '',
+    description: data.description || '',
+    thumbnail: thumbnail ? toAbsoluteUrl(thumbnail.url, instanceUrl) : '',
+    channelTitle: data.author || '',
+    channelId: data.authorId || '',
+    publishedAt: data.published ? new Date(data.published * 1000).toISOString() : null,
+    defaultLanguage: null,
+    defaultAudioLanguage: null,
+    viewCount: data.viewCount || 0,
+    likeCount: data.likeCount || 0,
+    commentCount: 0,
+    categoryId: CATEGORY_IDS[data.genre] || '',
+    topics: [],
+    tags: data.keywords || [],
+    duration: toIsoDuration(data.lengthSeconds),
+    definition: 'hd',
+    caption: (data.captions || []).length > 0,
+    // Only the label tells auto-generated tracks apart ("English (auto-generated)")
+    captionTracks: toCaptionTracks((data.captions || []).map(track => ({
+      language: track.language_code || track.languageCode,
+      auto: /auto-generated/i.test(track.label || '')
+    }))),
+    liveBroadcastContent: data.liveNow ? 'live' : data.isUpcoming ? 'upcoming' : 'none',
+    scheduledStartTime: data.isUpcoming && data.premiereTimestamp
+      ? new Date(data.premiereTimestamp * 1000).toISOString()
+      : null
+  };
+}
+
+function fromInvidiousChannel(data, channelId, instanceUrl) {
+  const thumbnails = data.authorThumbnails || [];
+  // Smallest avatar, like the Data API's default thumbnail
+  const thumbnail = [...thumbnails].sort((a, b) => a.width - b.width)[0];
+
+  return {
+    id: data.authorId || channelId,
+    country: null,
+    title: data.author || '',
+    customUrl: '',
+    thumbnail: thumbnail ? toAbsoluteUrl(thumbnail.url, instanceUrl) : '',
+    subscriberCount: Number.isFinite(data.subCount) ? data.subCount : null
+  };
+}
+
+function fromPipedVideo(data, videoId, instanceUrl) {
+  const uploaded = data.uploadDate || data.uploaded;
+
+  return {
+    id: videoId,
+    title: data.title || '',
+    description: data.description || '',
+    thumbnail: data.thumbnailUrl ? toAbsoluteUrl(data.thumbnailUrl, instanceUrl) : '',
+    channelTitle: data.uploader || '',
+    channelId: (data.uploaderUrl || '').split('/channel/')[1] || '',
+    publishedAt: uploaded ? new Date(uploaded).toISOString() : null,
+    defaultLanguage: null,
+    defaultAudioLanguage: null,
+    viewCount: Math.max(data.views || 0, 0),
+    likeCount: Math.max(data.likes || 0, 0),
+    commentCount: 0,
+    categoryId: CATEGORY_IDS[data.category] || '',
+    topics: [],
+    tags: data.tags || [],
+    duration: toIsoDuration(data.duration),
+    definition: 'hd',
+    caption: (data.subtitles || []).length > 0,
+    captionTracks: toCaptionTracks((data.subtitles || []).map(track => ({
+      language: track.code,
+      auto: track.autoGenerated
+    }))),
+    // Piped does not tell upcoming streams apart
+    liveBroadcastContent: data.livestream ? 'live' : 'none',
+    scheduledStartTime: null
+  };
+}
+
+function fromPipedChannel(data, channelId, instanceUrl) {
+  return {
+    id: data.id || channelId,
+    country: null,
+    title: data.name || '',
+    customUrl: '',
+    thumbnail: data.avatarUrl ? toAbsoluteUrl(data.avatarUrl, instanceUrl) : '',
+    subscriberCount: data.subscriberCount >= 0 ? data.subscriberCount : null
+  };
+}
+
+// Instances may answer with paths on themselves or protocol-relative URLs
+function toAbsoluteUrl(url, instanceUrl) {
+  try {
+    return new URL(url, `${instanceUrl.replace(/\/+$/, '')}/`).href;
+  } catch {
+    return '';
+  }
+}
+
+// Seconds to the ISO 8601 duration the Data API uses (PT1H2M10S)
+function toIsoDuration(seconds) {
+  if (!seconds || seconds < 0) return 'PT0S';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = Math.floor(seconds % 60);
+
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${rest || (!hours && !minutes) ? `${rest}S` : ''}`;
+}
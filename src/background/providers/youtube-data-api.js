@@ -0,0 +1,195 @@
+import { YOUTUBE_API, CATEGORY_CACHE } from '../../shared/constants.js';
+import { toCaptionTracks } from '../../shared/utils.js';
+import { requestApi } from '../api-transport.js';
+
+// The YouTube Data API v3 provider: batches of up to 50 IDs per request, with
+// the quota ledger and record/replay handled by the API transport. Caption
+// tracks are the exception: one video per request, at 50 units each.
+
+/**
+ * @type {MetadataProvider}
+ */
+export const youtubeDataApiProvider = {
+  id: 'youtube-data-api',
+  batchSize: YOUTUBE_API.BATCH_SIZE,
+  fetchVideos,
+  fetchStatistics,
+  fetchChannels,
+  fetchCategories,
+  fetchCaptionTracks,
+  validate
+};
+
+/**
+ * Fetch a batch of video details
+ * @param {string[]} videoIds - Array of video IDs (max 50)
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<ProviderVideo[]>} Videos the API knows; unknown IDs are left out
+ * @throws {ApiError} If the request fails
+ */
+async function fetchVideos(videoIds, settings) {
+  const data = await requestApi(YOUTUBE_API.VIDEOS_ENDPOINT, {
+    part: YOUTUBE_API.PARTS,
+    id: videoIds.join(',')
+  }, settings);
+
+  return (data.items || []).map(toProviderVideo);
+}
+
+/**
+ * Fetch the statistics of a batch of videos
+ * @param {string[]} videoIds - Array of video IDs (max 50)
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<Object>} Map of videoId -> {viewCount, likeCount, commentCount}
+ * @throws {ApiError} If the request fails
+ */
+async function fetchStatistics(videoIds, settings) {
+  const data = await requestApi(YOUTUBE_API.VIDEOS_ENDPOINT, {
+    part: 'statistics',
+    id: videoIds.join(',')
+  }, settings);
+
+  return Object.fromEntries((data.items || []).map(item => [item.id, {
+    viewCount: parseInt(item.statistics?.viewCount || 0),
+    likeCount: parseInt(item.statistics?.likeCount || 0),
+    commentCount: parseInt(item.statistics?.commentCount || 0)
+  }]));
+}
+
+/**
+ * Fetch channel details including country
+ * @param {string[]} channelIds - Array of channel IDs (max 50)
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<Object>} Map of channelId -> Channel (without fetchedAt)
+ * @throws {ApiError} If the request fails
+ */
+async function fetchChannels(channelIds, settings) {
+  const data = await requestApi(YOUTUBE_API.CHANNELS_ENDPOINT, {
+    part: 'snippet,statistics',
+    id: channelIds.join(',')
+  }, settings);
+
+  return Object.fromEntries((data.items || []).map(item => {
+    const snippet = item.snippet || {};
+    const statistics = item.statistics || {};
+
+    return [item.id, {
+      id: item.id,
+      country: snippet.country || null,
+      title: snippet.title || '',
+      customUrl: snippet.customUrl || '',
+      thumbnail: snippet.thumbnails?.default?.url || '',
+      // Channels can hide their subscriber count
+      subscriberCount: statistics.subscriberCount && !statistics.hiddenSubscriberCount
+        ? parseInt(statistics.subscriberCount)
+        : null
+    }];
+  }));
+}
+
+/**
+ * Fetch category names
+ * @param {string[]} categoryIds - Category IDs
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<Object>} Map of categoryId -> name
+ * @throws {ApiError} If the request fails
+ */
+async function fetchCategories(categoryIds, settings) {
+  const data = await requestApi(YOUTUBE_API.VIDEO_CATEGORIES_ENDPOINT, {
+    part: 'snippet',
+    id: categoryIds.join(','),
+    hl: CATEGORY_CACHE.LANGUAGE
+  }, settings);
+
+  return Object.fromEntries((data.items || []).map(item => [item.id, item.snippet?.title || '']));
+}
+
+/**
+ * Fetch the caption track languages of one video (YOUTUBE_API.CAPTIONS_COST units)
+ * @param {string} videoId - Video ID
+ * @param {Object} settings - Settings (apiKeys, apiMode, apiBaseUrl)
+ * @returns {Promise<CaptionTracks|null>} Track languages; null if the API does not know the video
+ * @throws {ApiError} If the request fails
+ */
+async function fetchCaptionTracks(videoId, settings) {
+  let data;
+  try {
+    data = await requestApi(YOUTUBE_API.CAPTIONS_ENDPOINT, { part: 'snippet', videoId }, settings);
+  } catch (error) {
+    // Deleted and private videos
+    if (error.kind === 'request' && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  // trackKind is "standard", "ASR" (speech recognition) or "forced"
+  return toCaptionTracks((data.items || []).map(item => ({
+    language: item.snippet?.language,
+    auto: (item.snippet?.trackKind || '').toLowerCase() === 'asr'
+  })));
+}
+
+/**
+ * Check the API key with a one-video lookup
+ * @param {Object} settings - Settings (apiKeys, apiBaseUrl); always a live call
+ * @returns {Promise<{isValid: boolean, message: string}>} Result and a message for the options page
+ * @throws {ApiError} If the request fails
+ */
+async function validate(settings) {
+  const data = await requestApi(YOUTUBE_API.VIDEOS_ENDPOINT, {
+    part: 'snippet',
+    id: YOUTUBE_API.VALIDATION_VIDEO_ID
+  }, settings);
+
+  const isValid = Array.isArray(data.items) && data.items.length > 0;
+  return { isValid, message: isValid ? 'API key is valid' : 'API key is invalid' };
+}
+
+// Map a videos.list item to the provider-neutral shape
+function toProviderVideo(item) {
+  const snippet = item.snippet || {};
+  const statistics = item.statistics || {};
+  const contentDetails = item.contentDetails || {};
+  const topicDetails = item.topicDetails || {};
+  const liveStreamingDetails = item.liveStreamingDetails || {};
+
+  return {
+    id: item.id,
+    title: snippet.title || '',
+    description: snippet.description || '',
+    thumbnail: snippet.thumbnails?.medium?.url || snippet.thumbnails?.default?.url || '',
+    channelTitle: snippet.channelTitle || '',
+    channelId: snippet.channelId || '',
+    publishedAt: snippet.publishedAt || null,
+    defaultLanguage: snippet.defaultLanguage || null,
+    defaultAudioLanguage: snippet.defaultAudioLanguage || null,
+    viewCount: parseInt(statistics.viewCount || 0),
+    likeCount: parseInt(statistics.likeCount || 0),
+    commentCount: parseInt(statistics.commentCount || 0),
+    categoryId: snippet.categoryId || '',
+    topics: parseTopicCategories(topicDetails.topicCategories),
+    tags: snippet.tags || [],
+    duration: contentDetails.duration || 'PT0S',
+    definition: contentDetails.definition || 'hd',
+    caption: contentDetails.caption === 'true',
+    // Looked up separately (see fetchCaptionTracks)
+    captionTracks: null,
+    liveBroadcastContent: snippet.liveBroadcastContent || 'none',
+    scheduledStartTime: liveStreamingDetails.scheduledStartTime || null
+  };
+}
+
+// Topic category URLs to topic names
+// (https://en.wikipedia.org/wiki/Role-playing_video_game -> "Role-playing video game")
+function parseTopicCategories(topicCategories = []) {
+  return topicCategories
+    .map(url => {
+      try {
+        return decodeURIComponent(url.split('/wiki/')[1] || '').replace(/_/g, ' ');
+      } catch {
+        return '';
+      }
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,167 @@
+import { STORAGE_KEYS, YOUTUBE_API, QUOTA_LEDGER } from '../shared/constants.js';
+import { getApiKeys } from '../shared/utils.js';
+
+// Units spent per Pacific-time day, recorded as each live API call is made.
+// The ledger is keyed by day, so a new day starts at zero without a reset job.
+// Each day also keeps the units each API key spent and which keys failed, so a
+// key that ran out of quota is tried last until the quota resets.
+
+// Serialize read-modify-write updates; channel and video calls can overlap
+let ledgerQueue = Promise.resolve();
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: QUOTA_LEDGER.TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Get the quota day a timestamp falls in
+ * @param {number} timestamp - Timestamp in ms
+ * @returns {string} Pacific-time date (YYYY-MM-DD)
+ */
+export function getQuotaDay(timestamp = Date.now()) {
+  return dayFormat.format(new Date(timestamp));
+}
+
+/**
+ * Record units spent by an API call
+ * @param {string} endpoint - Endpoint path (YOUTUBE_API.VIDEOS_ENDPOINT or CHANNELS_ENDPOINT)
+ * @param {string|null} keyId - ID of the API key that sent the call
+ * @param {number} units - Quota units the call cost
+ * @returns {Promise<void>}
+ */
+export function recordQuotaUsage(endpoint, keyId = null, units = YOUTUBE_API.REQUEST_COST) {
+  return updateToday(entry => {
+    const call = endpoint.replace(/^\//, '');
+
+    entry.units += units;
+    entry.calls[call] = (entry.calls[call] || 0) + 1;
+    if (keyId) {
+      entry.keys = entry.keys || {};
+      entry.keys[keyId] = (entry.keys[keyId] || 0) + units;
+    }
+  });
+}
+
+/**
+ * Record that an API key failed today, or clear that once it works again
+ * @param {string} keyId - API key ID
+ * @param {string|null} kind - "quota" or "invalid-key", or null to clear
+ * @returns {Promise<void>}
+ */
+export function recordApiKeyError(keyId, kind) {
+  return updateToday(entry => {
+    entry.keyErrors = entry.keyErrors || {};
+    if (kind) {
+      entry.keyErrors[keyId] = kind;
+    } else {
+      delete entry.keyErrors[keyId];
+    }
+  });
+}
+
+/**
+ * Get the API keys that failed today
+ * @returns {Promise<Object<string, string>>} Map of keyId -> error kind
+ */
+export async function getApiKeyErrors() {
+  const ledger = await getLedger();
+  return ledger[getQuotaDay()]?.keyErrors || {};
+}
+
+/**
+ * Get today's usage against the budget, with recent daily history
+ * @param {Object} settings - Settings (dailyQuotaBudget)
+ * @returns {Promise<Object>} QuotaUsage
+ */
+export async function getQuotaUsage(settings) {
+  const ledger = await getLedger();
+  const today = getQuotaDay();
+  const used = ledger[today]?.units || 0;
+  const keys = ledger[today]?.keys || {};
+  const keyErrors = ledger[today]?.keyErrors || {};
+  const budget = getQuotaBudget(settings);
+
+  // Oldest first, including days without any calls
+  const history = [];
+  for (let offset = QUOTA_LEDGER.CHART_DAYS - 1; offset >= 0; offset--) {
+    const day = shiftDay(today, -offset);
+    history.push({
+      day,
+      units: ledger[day]?.units || 0,
+      calls: ledger[day]?.calls || {},
+      keys: ledger[day]?.keys || {}
+    });
+  }
+
+  return {
+    day: today,
+    used,
+    budget,
+    remaining: Math.max(Math.min(budget - used, getKeyCapacity(settings, keys, keyErrors)), 0),
+    keys,
+    keyErrors,
+    history
+  };
+}
+
+/**
+ * Get the configured daily budget, capped at the API's own daily quota per key
+ * @param {Object} settings - Settings (dailyQuotaBudget, apiKeys)
+ * @returns {number} Quota units per day
+ */
+export function getQuotaBudget(settings) {
+  const budget = parseInt(settings.dailyQuotaBudget) || YOUTUBE_API.DAILY_QUOTA;
+  const limit = YOUTUBE_API.DAILY_QUOTA * Math.max(getApiKeys(settings).length, 1);
+  return Math.min(Math.max(budget, 0), limit);
+}
+
+// Units the configured keys have left today; keys that failed today have none.
+// Without keys (replay, other providers) only the budget counts.
+function getKeyCapacity(settings, keys, keyErrors) {
+  const apiKeys = getApiKeys(settings);
+  if (apiKeys.length === 0) return Infinity;
+
+  return apiKeys
+    .filter(apiKey => !keyErrors[apiKey.id])
+    .reduce((sum, apiKey) => sum + Math.max(YOUTUBE_API.DAILY_QUOTA - (keys[apiKey.id] || 0), 0), 0);
+}
+
+// Change today's entry, dropping days older than the history window
+function updateToday(update) {
+  const run = ledgerQueue.then(async () => {
+    const ledger = await getLedger();
+    const today = getQuotaDay();
+    const entry = ledger[today] || { units: 0, calls: {} };
+
+    update(entry);
+    ledger[today] = entry;
+
+    const oldest = shiftDay(today, -(QUOTA_LEDGER.HISTORY_DAYS - 1));
+    Object.keys(ledger)
+      .filter(day => day < oldest)
+      .forEach(day => delete ledger[day]);
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.QUOTA_LEDGER]: ledger });
+  });
+
+  // Keep the queue going after a failed write
+  ledgerQueue = run.catch(error => {
+    console.error('[Quota Ledger] Error updating the ledger:', error);
+  });
+  return ledgerQueue;
+}
+
+async function getLedger() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.QUOTA_LEDGER);
+  return result[STORAGE_KEYS.QUOTA_LEDGER] || {};
+}
+
+// Move a YYYY-MM-DD day by whole days (noon UTC keeps clear of DST edges)
+function shiftDay(day, days) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
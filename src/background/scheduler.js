@@ -0,0 +1,120 @@
+import { STORAGE_KEYS, SCHEDULER } from '../shared/constants.js';
+import { getQuotaUsage } from './quota-ledger.js';
+import { usesApiQuota, getProviderSetupError } from './providers/index.js';
+
+/**
+ * Create, update or clear the capture alarm to match settings
+ * @param {Object} settings - Settings object
+ * @returns {Promise<void>}
+ */
+export async function syncCaptureSchedule(settings) {
+  const existing = await chrome.alarms.get(SCHEDULER.ALARM_NAME);
+
+  if (!settings.autoCapture) {
+    if (existing) {
+      await chrome.alarms.clear(SCHEDULER.ALARM_NAME);
+      console.log('[Scheduler] Scheduled capture disabled');
+    }
+    return;
+  }
+
+  const interval = clampInterval(settings.captureInterval);
+
+  // Leave a matching alarm alone so worker restarts don't push the next run back
+  if (existing && existing.periodInMinutes === interval) {
+    return;
+  }
+
+  await chrome.alarms.create(SCHEDULER.ALARM_NAME, {
+    delayInMinutes: interval,
+    periodInMinutes: interval
+  });
+
+  console.log(`[Scheduler] Scheduled capture every ${interval} minutes`);
+}
+
+/**
+ * Decide whether a scheduled run should be skipped
+ * @param {Object} settings - Settings object
+ * @returns {Promise<string|null>} Reason to skip, or null to run
+ */
+export async function getSkipReason(settings) {
+  if (!settings.autoCapture) {
+    return 'Scheduled capture is disabled';
+  }
+
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    return setupError;
+  }
+
+  const idleState = await chrome.idle.queryState(SCHEDULER.IDLE_DETECTION_SECONDS);
+  if (idleState !== 'active') {
+    return `Browser is ${idleState}`;
+  }
+
+  // Page-scraped, replayed and Invidious/Piped captures cost no quota
+  if (!usesApiQuota(settings)) {
+    return null;
+  }
+
+  const { remaining } = await getQuotaUsage(settings);
+  if (remaining < SCHEDULER.MIN_QUOTA_REMAINING) {
+    return `Quota low (${remaining} units of today's budget left)`;
+  }
+
+  return null;
+}
+
+/**
+ * Record the outcome of a scheduled run
+ * @param {Object} run - ScheduledRun without timestamp
+ * @param {number} startedAt - When the run started
+ * @returns {Promise<void>}
+ */
+export async function recordScheduledRun(run, startedAt = Date.now()) {
+  const runs = await getScheduledRuns();
+
+  runs.push({ timestamp: startedAt, ...run });
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.SCHEDULED_RUNS]: runs.slice(-SCHEDULER.MAX_RUN_HISTORY)
+  });
+
+  console.log(`[Scheduler] Run ${run.status}${run.reason ? `: ${run.reason}` : ''}`);
+}
+
+/**
+ * Get recorded scheduled runs (oldest first)
+ * @returns {Promise<Object[]>} ScheduledRun entries
+ */
+export async function getScheduledRuns() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULED_RUNS);
+  return result[STORAGE_KEYS.SCHEDULED_RUNS] || [];
+}
+
+/**
+ * Get the next and last scheduled run
+ * @returns {Promise<Object>} {enabled, nextRunAt, lastRun}
+ */
+export async function getScheduleStatus() {
+  const alarm = await chrome.alarms.get(SCHEDULER.ALARM_NAME);
+  const runs = await getScheduledRuns();
+
+  return {
+    enabled: Boolean(alarm),
+    intervalMinutes: alarm?.periodInMinutes || null,
+    nextRunAt: alarm?.scheduledTime || null,
+    lastRun: runs[runs.length - 1] || null
+  };
+}
+
+/**
+ * Keep the interval within what chrome.alarms and the quota can sustain
+ * @param {number} minutes - Requested interval
+ * @returns {number} Interval in minutes
+ */
+function clampInterval(minutes) {
+  const interval = parseInt(minutes) || SCHEDULER.MIN_INTERVAL_MINUTES;
+  return Math.min(Math.max(interval, SCHEDULER.MIN_INTERVAL_MINUTES), SCHEDULER.MAX_INTERVAL_MINUTES);
+}
@@ -0,0 +1,93 @@
+import { STORAGE_KEYS, BUILTIN_SELECTOR_PROFILES, SELECTOR_HEALTH_STATUS } from '../shared/constants.js';
+
+// The content script cannot import shared modules, so it asks the service
+// worker for the active selector profile and reports back how well it matched.
+
+/**
+ * Get the active selector profile, with anything a custom profile leaves out
+ * filled in from the default profile
+ * @param {Object} settings - Settings object
+ * @returns {Object} SelectorProfile
+ */
+export function getSelectorProfile(settings) {
+  const fallback = BUILTIN_SELECTOR_PROFILES.default;
+  const profileId = settings.selectorProfileId || fallback.id;
+  const profile = BUILTIN_SELECTOR_PROFILES[profileId] ||
+    (settings.selectorProfiles || {})[profileId];
+
+  if (!profile) {
+    console.warn(`[Selector Profiles] Unknown profile "${profileId}", using default`);
+    return fallback;
+  }
+
+  return {
+    id: profileId,
+    name: profile.name || profileId,
+    surfaces: { ...fallback.surfaces, ...profile.surfaces },
+    metadata: { ...fallback.metadata, ...profile.metadata }
+  };
+}
+
+/**
+ * Store the latest selector match counts for a surface
+ * @param {Object} report - {profileId, surface, url, selectors: [{selector, matches}], videoCount}
+ * @returns {Promise<Object>} Stored SelectorReport, including its status
+ */
+export async function recordSelectorReport(report) {
+  const health = await getSelectorHealth();
+  const entry = {
+    ...report,
+    timestamp: Date.now(),
+    status: getReportStatus(report)
+  };
+
+  health[report.profileId] = {
+    ...health[report.profileId],
+    [report.surface]: entry
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.SELECTOR_HEALTH]: health });
+
+  if (entry.status !== SELECTOR_HEALTH_STATUS.OK) {
+    console.warn(`[Selector Profiles] ${report.profileId}/${report.surface} is ${entry.status}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Get the latest selector reports
+ * @returns {Promise<Object>} Map of profileId -> surface -> SelectorReport
+ */
+export async function getSelectorHealth() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SELECTOR_HEALTH);
+  return result[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+}
+
+/**
+ * Drop reports for a profile, e.g. after its selectors were edited
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<void>}
+ */
+export async function clearSelectorHealth(profileId) {
+  const health = await getSelectorHealth();
+  delete health[profileId];
+  await chrome.storage.local.set({ [STORAGE_KEYS.SELECTOR_HEALTH]: health });
+}
+
+/**
+ * Work out the health of a report from its match counts
+ * @param {Object} report - Selector report
+ * @returns {string} SELECTOR_HEALTH_STATUS value
+ */
+function getReportStatus(report) {
+  const [primary] = report.selectors;
+
+  if (primary && primary.matches > 0) {
+    return SELECTOR_HEALTH_STATUS.OK;
+  }
+
+  return report.videoCount > 0
+    ? SELECTOR_HEALTH_STATUS.FALLBACK
+    : SELECTOR_HEALTH_STATUS.BROKEN;
+}
@@ -1,5 +1,24 @@
-import { MESSAGE_TYPES } from '../shared/constants.js';
-import { fetchVideoDetails, validateApiKey, estimateQuotaUsage } from './api-handler.js';
+import {
+  MESSAGE_TYPES,
+  CAPTURE_URLS,
+  STORAGE_KEYS,
+  SCHEDULER,
+  CAPTURE_STAGES,
+  CAPTURE_SESSION,
+  API_ERROR_KINDS,
+  STATS_POLLING,
+  CAPTION_LOOKUPS
+} from '../shared/constants.js';
+import { getCaptureSource, applyLanguageRules } from '../shared/utils.js';
+import {
+  fetchVideoDetails,
+  fetchVideoStatistics,
+  validateProvider,
+  getAffordableVideoCount
+} from './api-handler.js';
+import { usesApiQuota, getProviderSetupError } from './providers/index.js';
+import { planVideoLookups, fitLookupsToQuota, toKnownVideo } from './video-lookups.js';
+import { buildVideosFromPage, applyPageFormats } from './page-metadata.js';
 import {
   saveVideos,
   getVideos,
@@ -11,8 +30,51 @@ import {
   getStorageUsage,
   getAvailableLanguages,
   getAvailableCountries,
-  getLastCaptureTimestamp
+  getLastCaptureTimestamp,
+  getCaptureHistory,
+  updateStoredVideos
 } from './storage-manager.js';
+import {
+  getPassiveTabs,
+  getPassiveTab,
+  setPassivePaused,
+  recordPassiveBatch,
+  forgetPassiveTab
+} from './passive-capture.js';
+import {
+  syncCaptureSchedule,
+  getSkipReason,
+  recordScheduledRun,
+  getScheduleStatus
+} from './scheduler.js';
+import {
+  getSelectorProfile,
+  recordSelectorReport,
+  getSelectorHealth,
+  clearSelectorHealth
+} from './selector-profiles.js';
+import {
+  getCaptureSession,
+  isSessionActive,
+  startCaptureSession,
+  updateCaptureSession,
+  advanceCaptureStage,
+  finishCaptureSession,
+  isStageTimedOut
+} from './capture-session.js';
+import { getQuotaUsage } from './quota-ledger.js';
+import { getChannels } from './channel-cache.js';
+import { getVideoCategories } from './category-cache.js';
+import { getFailedLookups, updateFailedLookups } from './failed-lookups.js';
+import { syncStatsPolling, runStatsPolling } from './stats-poller.js';
+import { syncCaptionLookups, runCaptionLookups } from './caption-lookups.js';
+import {
+  getChannelOverrides,
+  setChannelOverride,
+  deleteChannelOverride,
+  applyChannelOverrides,
+  applyCorrection
+} from './metadata-corrections.js';
 
 console.log('[YouTube Feed Organizer] Service worker loaded');
 
@@ -30,6 +92,83 @@ chrome.action.onClicked.addListener(() => {
   });
 });
 
+// React to settings saved by the options page
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  const settingsChange = changes[STORAGE_KEYS.SETTINGS];
+  if (areaName !== 'local' || !settingsChange) return;
+
+  const oldSettings = settingsChange.oldValue || {};
+  const newSettings = settingsChange.newValue || {};
+  const settings = await getSettings();
+
+  // Keep YouTube tabs in sync when passive capture is switched on or off
+  if (Boolean(oldSettings.passiveCapture) !== Boolean(newSettings.passiveCapture)) {
+    const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+    tabs.forEach(tab => sendPassiveState(tab.id, settings));
+  }
+
+  if (oldSettings.autoCapture !== newSettings.autoCapture ||
+      oldSettings.captureInterval !== newSettings.captureInterval) {
+    await syncCaptureSchedule(settings);
+  }
+
+  if (oldSettings.statsPolling !== newSettings.statsPolling) {
+    await syncStatsPolling(settings);
+  }
+
+  if (oldSettings.captionLookups !== newSettings.captionLookups) {
+    await syncCaptionLookups(settings);
+  }
+
+  // Push selector edits to open YouTube tabs; old reports no longer apply
+  const oldProfiles = oldSettings.selectorProfiles || {};
+  const newProfiles = newSettings.selectorProfiles || {};
+  const editedProfileIds = Object.keys({ ...oldProfiles, ...newProfiles })
+    .filter(id => JSON.stringify(oldProfiles[id]) !== JSON.stringify(newProfiles[id]));
+
+  for (const profileId of editedProfileIds) {
+    await clearSelectorHealth(profileId);
+  }
+
+  if (editedProfileIds.length > 0 || oldSettings.selectorProfileId !== newSettings.selectorProfileId) {
+    const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+    tabs.forEach(tab => sendSelectorProfile(tab.id, settings));
+  }
+});
+
+// Run scheduled captures, capture stage timeouts, statistics polling and caption lookups
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SCHEDULER.ALARM_NAME) {
+    runScheduledCapture();
+  } else if (alarm.name === CAPTURE_SESSION.TIMEOUT_ALARM) {
+    handleCaptureTimeout();
+  } else if (alarm.name === STATS_POLLING.ALARM_NAME) {
+    pollVideoStatistics();
+  } else if (alarm.name === CAPTION_LOOKUPS.ALARM_NAME) {
+    lookUpCaptionTracks();
+  }
+});
+
+// Make sure the capture, polling and caption alarms match settings whenever the worker starts
+getSettings().then(settings => {
+  syncCaptureSchedule(settings);
+  syncStatsPolling(settings);
+  syncCaptionLookups(settings);
+});
+
+// Resume a capture that was running when the worker was suspended
+recoverCaptureSession();
+
+// Drop passive capture state for closed tabs, and fail captures that lose their tab
+chrome.tabs.onRemoved.addListener(async tabId => {
+  forgetPassiveTab(tabId);
+
+  const session = await getCaptureSession();
+  if (isSessionActive(session) && session.tabId === tabId && session.stage === 'scrolling') {
+    await endCaptureSession(session.id, 'failed', { error: 'The YouTube tab was closed' });
+  }
+});
+
 // Main message router
 async function handleMessage(message, sender, sendResponse) {
   try {
@@ -40,17 +179,36 @@ async function handleMessage(message, sender, sendResponse) {
         break;
 
       case MESSAGE_TYPES.CAPTURE_PROGRESS:
-        // Forward progress to all feed pages
-        broadcastToFeedPages(message);
-        sendResponse({ success: true });
+        await handleCaptureProgress(message.data, sendResponse);
         break;
 
       case MESSAGE_TYPES.CAPTURE_ERROR:
         console.error('[Service Worker] Capture error:', message.data);
-        broadcastToFeedPages(message);
+        await endCaptureSession(message.data.sessionId, 'failed', { error: message.data.error });
         sendResponse({ success: true });
         break;
 
+      case MESSAGE_TYPES.PASSIVE_VIDEOS:
+        await handlePassiveVideos(message.data, sender, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.GET_SELECTOR_PROFILE:
+        await handleGetSelectorProfile(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.SELECTOR_REPORT:
+        await handleSelectorReport(message.data, sendResponse);
+        break;
+
+      // From content script or options page
+      case MESSAGE_TYPES.GET_PASSIVE_STATE:
+        await handleGetPassiveState(message.data, sender, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.SET_PASSIVE_PAUSED:
+        await handleSetPassivePaused(message.data, sender, sendResponse);
+        break;
+
       // From feed page
       case MESSAGE_TYPES.GET_VIDEOS:
         await handleGetVideos(message.data, sendResponse);
@@ -64,10 +222,38 @@ async function handleMessage(message, sender, sendResponse) {
         await handleTriggerCapture(message.data, sendResponse);
         break;
 
+      case MESSAGE_TYPES.CANCEL_CAPTURE:
+        await handleCancelCapture(message.data, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.GET_CAPTURE_SESSION:
+        await handleGetCaptureSession(sendResponse);
+        break;
+
       case MESSAGE_TYPES.CLEAR_VIDEOS:
         await handleClearVideos(sendResponse);
         break;
 
+      case MESSAGE_TYPES.GET_CAPTURE_HISTORY:
+        await handleGetCaptureHistory(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.GET_SCHEDULE_STATUS:
+        await handleGetScheduleStatus(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.GET_QUOTA_USAGE:
+        await handleGetQuotaUsage(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.RETRY_FAILED_LOOKUPS:
+        await handleRetryFailedLookups(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.CORRECT_VIDEO_METADATA:
+        await handleCorrectVideoMetadata(message.data, sendResponse);
+        break;
+
       // From options page
       case MESSAGE_TYPES.SAVE_SETTINGS:
         await handleSaveSettings(message.data, sendResponse);
@@ -77,6 +263,18 @@ async function handleMessage(message, sender, sendResponse) {
         await handleValidateApiKey(message.data, sendResponse);
         break;
 
+      case MESSAGE_TYPES.GET_SELECTOR_HEALTH:
+        await handleGetSelectorHealth(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.GET_CHANNEL_OVERRIDES:
+        await handleGetChannelOverrides(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.DELETE_CHANNEL_OVERRIDE:
+        await handleDeleteChannelOverride(message.data, sendResponse);
+        break;
+
       default:
         console.warn('[Service Worker] Unknown message type:', message.type);
         sendResponse({ success: false, error: 'Unknown message type' });
@@ -87,68 +285,531 @@ async function handleMessage(message, sender, sendResponse) {
   }
 }
 
-// Handle capture videos
+// Handle the video IDs a content script collected for a capture session
 async function handleCaptureVideos(data, sendResponse) {
-  const { videoIds } = data;
+  const { sessionId, videoIds } = data;
+
+  const current = await getCaptureSession();
+  if (!isSessionActive(current) || current.id !== sessionId || current.stage !== 'scrolling') {
+    sendResponse({ success: false, error: 'Capture is no longer running' });
+    return;
+  }
 
   if (!videoIds || videoIds.length === 0) {
+    await endCaptureSession(sessionId, 'failed', { error: 'No video IDs provided' });
     sendResponse({ success: false, error: 'No video IDs provided' });
     return;
   }
 
-  console.log(`[Service Worker] Processing ${videoIds.length} video IDs...`);
+  // Keep the scraped payload so a restarted worker can resume from here
+  const session = await advanceCaptureStage(sessionId, 'fetching', { payload: data });
+  if (!session) {
+    sendResponse({ success: false, error: 'Capture is no longer running' });
+    return;
+  }
+  broadcastCaptureSession(session);
+
+  const finished = await processCapturePayload(session);
+  sendResponse(finished && finished.status === 'completed'
+    ? { success: true, videoCount: finished.videoCount }
+    : { success: false, error: finished?.error || 'Capture is no longer running' });
+}
+
+// Fetch details for a session's payload, save them and finish the session
+async function processCapturePayload(session) {
+  const { videoIds, positions, source = { type: 'homepage' } } = session.payload;
+  console.log(`[Service Worker] Processing ${videoIds.length} video IDs from ${source.type}...`);
 
-  // Get API key
+  // Check the provider is set up (nothing needed when metadata is scraped from the page)
   const settings = await getSettings();
-  if (!settings.apiKey) {
-    sendResponse({ success: false, error: 'API key not configured' });
-    broadcastToFeedPages({
-      type: MESSAGE_TYPES.CAPTURE_ERROR,
-      data: { error: 'API key not configured. Please go to Settings.' }
-    });
-    return;
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    return endCaptureSession(session.id, 'failed', { error: `${setupError}. Please go to Settings.` });
   }
 
-  // Estimate quota usage
-  const quotaUsage = estimateQuotaUsage(videoIds.length);
-  console.log(`[Service Worker] Estimated quota usage: ${quotaUsage} units`);
+  // Ledger reading before the lookups, to report the units they spend
+  const quotaBefore = usesApiQuota(settings) ? (await getQuotaUsage(settings)).used : 0;
 
   try {
-    // Fetch video details from YouTube API
-    const videos = await fetchVideoDetails(videoIds, settings.apiKey);
+    // Look up video details from YouTube API, or use the scraped page metadata
+    const { videos, lookups, lookupErrors, languageFilter } = await loadCapturedVideos(session.payload, settings, source, {
+      onBatch: async (batch, batchCount) => {
+        const updated = await updateCaptureSession(session.id, { progress: { batch, batchCount } });
+        if (!updated) {
+          throw new Error('Capture is no longer running');
+        }
+        broadcastCaptureSession(updated);
+      }
+    });
+    attachFeedPositions(videos, positions, source);
+
+    // Keep feed order for the capture snapshot
+    const feedOrder = new Map(videoIds.map((videoId, index) => [videoId, index]));
+    videos.sort((a, b) => feedOrder.get(a.id) - feedOrder.get(b.id));
 
     if (videos.length === 0) {
-      sendResponse({ success: false, error: 'No videos fetched from API' });
-      return;
+      const [firstError] = lookupErrors;
+      let error = 'No videos fetched from API';
+      if (settings.metadataSource === 'page') {
+        error = 'No video metadata found on the page';
+      } else if (firstError) {
+        error = `${API_ERROR_KINDS[firstError.kind]}: ${firstError.message}`;
+      } else if (languageFilter.removals.length > 0) {
+        error = 'All captured videos were removed by your language rules';
+      }
+      return endCaptureSession(session.id, 'failed', { error, lookupErrors });
     }
 
-    // Save to storage
-    await saveVideos(videos);
+    const saving = await advanceCaptureStage(session.id, 'saving');
+    if (!saving) {
+      return null;
+    }
+    broadcastCaptureSession(saving);
+
+    // Save to storage; the session ID doubles as the capture history ID
+    await saveVideos(videos, {
+      id: session.id,
+      source,
+      settings: {
+        targetVideoCount: settings.targetVideoCount,
+        metadataSource: settings.metadataSource,
+        apiMode: settings.apiMode
+      },
+      lookups,
+      languageFilter
+    });
+
+    // Units actually spent, from the ledger
+    const quotaUsed = usesApiQuota(settings) ? (await getQuotaUsage(settings)).used - quotaBefore : 0;
 
     console.log(`[Service Worker] Successfully captured ${videos.length} videos`);
+    return endCaptureSession(session.id, 'completed', {
+      videoCount: videos.length,
+      quotaUsed,
+      lookups,
+      lookupErrors,
+      languageFilter
+    });
+  } catch (error) {
+    console.error('[Service Worker] Error capturing videos:', error);
+    return endCaptureSession(session.id, 'failed', { error: error.message });
+  } finally {
+    broadcastQuotaUsage(settings);
+  }
+}
 
-    // Notify feed pages
-    broadcastToFeedPages({
-      type: MESSAGE_TYPES.CAPTURE_COMPLETE,
-      data: {
-        videoCount: videos.length,
-        quotaUsed: quotaUsage
+// Handle scroll progress from the content script
+async function handleCaptureProgress(data, sendResponse) {
+  const { sessionId, ...progress } = data;
+  const session = await updateCaptureSession(sessionId, { progress });
+
+  if (session) {
+    broadcastCaptureSession(session);
+  }
+  sendResponse({ success: Boolean(session) });
+}
+
+// Why a capture cannot start, or null if today's quota budget allows at least one batch
+async function getQuotaBlockReason(settings) {
+  if (!usesApiQuota(settings)) return null;
+
+  const quota = await getQuotaUsage(settings);
+  return getAffordableVideoCount(quota.remaining) > 0 ? null : describeQuotaExhausted(quota);
+}
+
+function describeQuotaExhausted(quota) {
+  return `Daily quota budget used up (${quota.used} of ${quota.budget} units). ` +
+    'It resets at midnight Pacific time.';
+}
+
+// Build video objects for a capture or passive batch, then apply channel
+// overrides and the language rules
+// Page mode uses the metadata the content script scraped. API mode looks up new
+// IDs, refreshes stale statistics of stored ones and fits both to today's quota budget.
+async function loadCapturedVideos(data, settings, source, options = {}) {
+  let loaded;
+  if (settings.metadataSource === 'page') {
+    const scraped = new Map((data.videos || []).map(video => [video.id, video]));
+    const pageVideos = data.videoIds.map(videoId => scraped.get(videoId)).filter(Boolean);
+    loaded = { videos: buildVideosFromPage(pageVideos, source), lookups: null, lookupErrors: [] };
+  } else {
+    loaded = await lookUpCapturedVideos(data, settings, source, options);
+    loaded.videos = applyPageFormats(loaded.videos, data.videos);
+  }
+
+  // Corrected languages are what the rules should see
+  loaded.videos = applyChannelOverrides(loaded.videos, await getChannelOverrides());
+
+  // In hide mode matched videos are stored anyway and only left out of the feed
+  const { videos, removals } = applyLanguageRules(loaded.videos, settings.languageRules);
+  const languageFilter = {
+    mode: settings.languageRuleMode,
+    removals: removals.filter(removal => removal.videoCount > 0)
+  };
+
+  return {
+    ...loaded,
+    videos: settings.languageRuleMode === 'hide' ? loaded.videos : videos,
+    languageFilter
+  };
+}
+
+// Look up captured IDs through the API, within today's quota budget
+async function lookUpCapturedVideos(data, settings, source, options) {
+  const storedById = new Map((await getVideos()).map(video => [video.id, video]));
+  let plan = planVideoLookups(data.videoIds, storedById, settings);
+  let skippedForQuota = 0;
+
+  if (usesApiQuota(settings)) {
+    const quota = await getQuotaUsage(settings);
+    ({ plan, skippedForQuota } = fitLookupsToQuota(plan, quota.remaining));
+
+    if (skippedForQuota > 0 && skippedForQuota === data.videoIds.length) {
+      throw new Error(describeQuotaExhausted(quota));
+    }
+    if (skippedForQuota > 0) {
+      console.warn(`[Service Worker] Quota budget left out ${skippedForQuota} of ${data.videoIds.length} videos`);
+    }
+  }
+
+  const details = await fetchVideoDetails(plan.newIds, settings, source, options);
+  const { statistics, failures: statisticsFailures } = await fetchVideoStatistics(plan.staleIds, settings);
+  const known = [...plan.staleIds, ...plan.knownIds]
+    .map(videoId => toKnownVideo(storedById.get(videoId), source, statistics[videoId]));
+
+  // Keep IDs whose details could not be fetched for a later retry
+  await updateFailedLookups(plan.newIds, details.failures, source);
+
+  const lookups = {
+    new: plan.newIds.length,
+    refreshed: Object.keys(statistics).length,
+    skipped: known.length - Object.keys(statistics).length,
+    skippedForQuota,
+    failed: countFailedIds(details.failures)
+  };
+  console.log(`[Service Worker] Lookups: ${lookups.new} new, ${lookups.refreshed} refreshed, ` +
+    `${lookups.skipped} skipped, ${lookups.skippedForQuota} over budget, ${lookups.failed} failed`);
+
+  return {
+    videos: [...details.videos, ...known],
+    lookups,
+    lookupErrors: [
+      ...toLookupErrors(details.failures, 'details'),
+      ...toLookupErrors(statisticsFailures, 'statistics')
+    ]
+  };
+}
+
+// Group failed batches by what went wrong, for the capture error report
+function toLookupErrors(failures, lookup) {
+  const errors = new Map();
+
+  failures.forEach(({ kind, message, videoIds }) => {
+    const key = `${kind}:${message}`;
+    const error = errors.get(key) || { kind, message, lookup, videoCount: 0 };
+    error.videoCount += videoIds.length;
+    errors.set(key, error);
+  });
+
+  return Array.from(errors.values());
+}
+
+function countFailedIds(failures) {
+  return failures.reduce((total, failure) => total + failure.videoIds.length, 0);
+}
+
+// Record where each video appeared in this capture's feed
+function attachFeedPositions(videos, positions = [], source) {
+  const capturedAt = Date.now();
+  const positionsById = new Map(positions.map(position => [position.id, position]));
+
+  videos.forEach(video => {
+    const position = positionsById.get(video.id);
+    if (!position) return;
+
+    video.positions = [{
+      at: capturedAt,
+      source: source.type,
+      rank: position.rank,
+      row: position.row,
+      column: position.column,
+      shelf: position.shelf
+    }];
+  });
+}
+
+// Handle retry of video IDs whose details could not be fetched
+// Like passive batches, retried videos are saved without a capture history entry
+async function handleRetryFailedLookups(sendResponse) {
+  const settings = await getSettings();
+
+  try {
+    if (settings.metadataSource === 'page') {
+      throw new Error('Failed lookups can only be retried with API metadata');
+    }
+    const setupError = getProviderSetupError(settings);
+    if (setupError) {
+      throw new Error(setupError);
+    }
+
+    // Look IDs up again with the source they were captured from
+    const bySource = new Map();
+    Object.values(await getFailedLookups()).forEach(({ videoId, source }) => {
+      const key = JSON.stringify(source);
+      bySource.set(key, [...(bySource.get(key) || []), videoId]);
+    });
+
+    let videoCount = 0;
+    const lookupErrors = [];
+
+    for (const [key, videoIds] of bySource) {
+      const source = JSON.parse(key);
+      const result = await loadCapturedVideos({ videoIds }, settings, source);
+      await saveVideos(result.videos);
+
+      videoCount += result.videos.length;
+      lookupErrors.push(...result.lookupErrors);
+    }
+
+    const remaining = Object.keys(await getFailedLookups()).length;
+    console.log(`[Service Worker] Retried failed lookups: ${videoCount} videos saved, ${remaining} still failing`);
+
+    sendResponse({ success: true, videoCount, remaining, lookupErrors });
+  } catch (error) {
+    console.error('[Service Worker] Error retrying failed lookups:', error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    if (usesApiQuota(settings)) {
+      broadcastQuotaUsage(settings);
+    }
+  }
+}
+
+// Handle a language/country correction from a feed card, optionally kept as a
+// rule for the video's channel
+async function handleCorrectVideoMetadata(data, sendResponse) {
+  try {
+    const { videoId, correction, applyToChannel } = data;
+    const video = (await getVideos()).find(stored => stored.id === videoId);
+    if (!video) {
+      throw new Error('Video is no longer stored');
+    }
+
+    if (applyToChannel) {
+      if (!video.channelId) {
+        throw new Error('The channel of this video is not known');
+      }
+      await setChannelOverride(video.channelId, correction, video.channelTitle);
+    }
+
+    // One update for the video and its channel, so no other write lands in between
+    let channelVideoCount = 0;
+    await updateStoredVideos(stored => {
+      if (stored.id === videoId) {
+        return applyCorrection(stored, correction, 'manual');
+      }
+      if (!applyToChannel || stored.channelId !== video.channelId) {
+        return stored;
       }
+
+      const corrected = applyCorrection(stored, correction, 'channel-rule');
+      if (corrected !== stored) channelVideoCount++;
+      return corrected;
     });
 
-    sendResponse({ success: true, videoCount: videos.length });
+    console.log(`[Service Worker] Corrected ${videoId}` +
+      (applyToChannel ? ` and ${channelVideoCount} other videos of ${video.channelId}` : ''));
+    sendResponse({ success: true, channelVideoCount });
   } catch (error) {
-    console.error('[Service Worker] Error capturing videos:', error);
+    console.error('[Service Worker] Error correcting video metadata:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-    broadcastToFeedPages({
-      type: MESSAGE_TYPES.CAPTURE_ERROR,
-      data: { error: error.message }
+// Handle a batch of video IDs seen while the user browses
+async function handlePassiveVideos(data, sender, sendResponse) {
+  const { positions, source = { type: 'homepage' } } = data;
+  const tabId = sender.tab?.id;
+
+  const settings = await getSettings();
+  const tabState = await getPassiveTab(tabId);
+
+  if (!settings.passiveCapture || tabState.paused) {
+    sendResponse({ success: false, error: 'Passive capture is off for this tab' });
+    return;
+  }
+
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    sendResponse({ success: false, error: setupError });
+    return;
+  }
+
+  try {
+    const { videos } = await loadCapturedVideos(data, settings, source);
+    attachFeedPositions(videos, positions, source);
+
+    // Passive batches are not captures, so they stay out of the capture history
+    await saveVideos(videos);
+
+    const state = await recordPassiveBatch(tabId, videos.length, sender.tab.url);
+    console.log(`[Service Worker] Passive capture recorded ${videos.length} videos from ${source.type}`);
+
+    sendResponse({
+      success: true,
+      videoCount: videos.length,
+      state: toPassiveStateMessage(settings, state)
     });
+  } catch (error) {
+    console.error('[Service Worker] Error recording passive batch:', error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    if (usesApiQuota(settings)) {
+      broadcastQuotaUsage(settings);
+    }
+  }
+}
+
+// Handle get passive state
+// Content scripts get their own tab's state; the options page asks for all tabs
+async function handleGetPassiveState(data, sender, sendResponse) {
+  try {
+    const settings = await getSettings();
+
+    if (!data?.allTabs) {
+      const state = await getPassiveTab(sender.tab?.id);
+      sendResponse({ success: true, state: toPassiveStateMessage(settings, state) });
+      return;
+    }
+
+    const passiveTabs = await getPassiveTabs();
+    const youtubeTabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+
+    const tabs = youtubeTabs.map(tab => ({
+      tabId: tab.id,
+      title: tab.title,
+      url: tab.url,
+      paused: passiveTabs[tab.id]?.paused || false,
+      count: passiveTabs[tab.id]?.count || 0
+    }));
+
+    sendResponse({ success: true, enabled: settings.passiveCapture, tabs });
+  } catch (error) {
+    console.error('[Service Worker] Error getting passive state:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle pause/resume of passive capture for a tab
+async function handleSetPassivePaused(data, sender, sendResponse) {
+  try {
+    const tabId = data.tabId ?? sender.tab?.id;
+    const state = await setPassivePaused(tabId, data.paused);
+    const settings = await getSettings();
 
+    // The options page can pause a tab, so tell the content script too
+    await sendPassiveState(tabId, settings);
+
+    sendResponse({ success: true, state: toPassiveStateMessage(settings, state) });
+  } catch (error) {
+    console.error('[Service Worker] Error setting passive pause:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+// Send a YouTube tab its passive capture state
+async function sendPassiveState(tabId, settings) {
+  const state = await getPassiveTab(tabId);
+
+  chrome.tabs.sendMessage(tabId, {
+    type: MESSAGE_TYPES.PASSIVE_STATE,
+    data: toPassiveStateMessage(settings, state)
+  }).catch(() => {
+    // Ignore errors (content script may not be loaded)
+  });
+}
+
+// Send the active selector profile to a content script
+function sendSelectorProfile(tabId, settings) {
+  chrome.tabs.sendMessage(tabId, {
+    type: MESSAGE_TYPES.SELECTOR_PROFILE,
+    data: getSelectorProfile(settings)
+  }).catch(() => {
+    // Ignore errors (content script may not be loaded)
+  });
+}
+
+// Handle get selector profile
+async function handleGetSelectorProfile(sendResponse) {
+  try {
+    const settings = await getSettings();
+    sendResponse({ success: true, profile: getSelectorProfile(settings) });
+  } catch (error) {
+    console.error('[Service Worker] Error getting selector profile:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle selector match counts reported by the content script
+async function handleSelectorReport(data, sendResponse) {
+  try {
+    const report = await recordSelectorReport(data);
+    sendResponse({ success: true, status: report.status });
+  } catch (error) {
+    console.error('[Service Worker] Error recording selector report:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle get selector health for the active profile
+async function handleGetSelectorHealth(sendResponse) {
+  try {
+    const settings = await getSettings();
+    const profile = getSelectorProfile(settings);
+    const health = await getSelectorHealth();
+
+    sendResponse({
+      success: true,
+      profileId: profile.id,
+      reports: health[profile.id] || {}
+    });
+  } catch (error) {
+    console.error('[Service Worker] Error getting selector health:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle get channel overrides
+async function handleGetChannelOverrides(sendResponse) {
+  try {
+    const overrides = await getChannelOverrides();
+    sendResponse({ success: true, overrides: Object.values(overrides) });
+  } catch (error) {
+    console.error('[Service Worker] Error getting channel overrides:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle delete channel override
+async function handleDeleteChannelOverride(data, sendResponse) {
+  try {
+    await deleteChannelOverride(data.channelId);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('[Service Worker] Error deleting channel override:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Shape passive state for the content script overlay
+function toPassiveStateMessage(settings, state) {
+  return {
+    enabled: Boolean(settings.passiveCapture),
+    paused: state.paused,
+    count: state.count
+  };
+}
+
 // Handle get videos
 async function handleGetVideos(data, sendResponse) {
   try {
@@ -158,10 +819,21 @@ async function handleGetVideos(data, sendResponse) {
     const availableLanguages = await getAvailableLanguages();
     const availableCountries = await getAvailableCountries();
     const storageUsage = await getStorageUsage();
+    const channels = await getChannels();
+    const categories = await getVideoCategories();
+
+    // Hide mode keeps videos matched by the language rules out of the feed
+    const settings = await getSettings();
+    const visible = settings.languageRuleMode === 'hide'
+      ? applyLanguageRules(videos, settings.languageRules).videos
+      : videos;
 
     sendResponse({
       success: true,
-      videos,
+      videos: visible,
+      hiddenCount: videos.length - visible.length,
+      channels,
+      categories,
       lastCaptureTimestamp,
       availableLanguages,
       availableCountries,
@@ -194,49 +866,370 @@ async function handleGetSettings(sendResponse) {
 
 // Handle trigger capture
 async function handleTriggerCapture(data, sendResponse) {
+  let session = null;
+
   try {
     const settings = await getSettings();
 
-    if (!settings.apiKey) {
-      sendResponse({ success: false, error: 'API key not configured' });
+    const setupError = getProviderSetupError(settings);
+    if (setupError) {
+      sendResponse({ success: false, error: setupError });
       return;
     }
 
-    // Find or create YouTube tab
-    const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/' });
+    const quotaBlockReason = await getQuotaBlockReason(settings);
+    if (quotaBlockReason) {
+      sendResponse({ success: false, error: quotaBlockReason });
+      return;
+    }
+
+    session = await startCaptureSession({ trigger: 'manual', source: data?.source || 'homepage' });
+    broadcastCaptureSession(session);
+
+    await launchCapture(session, settings);
+
+    sendResponse({ success: true, sessionId: session.id });
+  } catch (error) {
+    console.error('[Service Worker] Error triggering capture:', error);
+    if (session) {
+      await endCaptureSession(session.id, 'failed', { error: error.message });
+    }
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle cancel capture (defaults to the running session)
+async function handleCancelCapture(data, sendResponse) {
+  try {
+    const sessionId = data?.sessionId || (await getCaptureSession())?.id;
+    const session = await endCaptureSession(sessionId, 'canceled', { error: 'Capture canceled' });
+
+    sendResponse(session
+      ? { success: true }
+      : { success: false, error: 'No capture is running' });
+  } catch (error) {
+    console.error('[Service Worker] Error canceling capture:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle get capture session
+async function handleGetCaptureSession(sendResponse) {
+  try {
+    const session = await getCaptureSession();
+    sendResponse({ success: true, session: session && toSessionMessage(session) });
+  } catch (error) {
+    console.error('[Service Worker] Error getting capture session:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Run a capture on the schedule, in a background tab
+// The session records the run when it finishes
+async function runScheduledCapture() {
+  const startedAt = Date.now();
+  const settings = await getSettings();
+
+  let skipReason = await getSkipReason(settings);
+  if (!skipReason && isSessionActive(await getCaptureSession())) {
+    skipReason = 'Another capture is running';
+  }
+
+  if (skipReason) {
+    await recordScheduledRun({ status: 'skipped', reason: skipReason }, startedAt);
+    broadcastScheduleStatus();
+    return;
+  }
+
+  let session = null;
+
+  try {
+    session = await startCaptureSession({ trigger: 'scheduled', source: 'homepage' });
+    broadcastCaptureSession(session);
+
+    await launchCapture(session, settings);
+  } catch (error) {
+    console.error('[Service Worker] Scheduled capture failed:', error);
 
-    let youtubeTab;
-    if (tabs.length > 0) {
-      // Use existing YouTube tab
-      youtubeTab = tabs[0];
-      await chrome.tabs.update(youtubeTab.id, { active: true });
+    if (session) {
+      await endCaptureSession(session.id, 'failed', { error: error.message });
     } else {
-      // Create new YouTube tab
-      youtubeTab = await chrome.tabs.create({ url: 'https://www.youtube.com/', active: true });
-
-      // Wait for tab to load
-      await new Promise(resolve => {
-        chrome.tabs.onUpdated.addListener(function listener(tabId, info) {
-          if (tabId === youtubeTab.id && info.status === 'complete') {
-            chrome.tabs.onUpdated.removeListener(listener);
-            resolve();
-          }
-        });
-      });
+      await recordScheduledRun({ status: 'error', reason: error.message }, startedAt);
+      broadcastScheduleStatus();
+    }
+  }
+}
+
+// Re-poll statistics of stored videos and refresh open feed pages
+async function pollVideoStatistics() {
+  try {
+    const settings = await getSettings();
+    const updated = await runStatsPolling(settings);
+
+    if (updated > 0) {
+      broadcastToFeedPages({ type: MESSAGE_TYPES.STATS_UPDATED, data: { videoCount: updated } });
+      broadcastQuotaUsage(settings);
+    }
+  } catch (error) {
+    console.error('[Service Worker] Statistics polling failed:', error);
+  }
+}
+
+// Look up caption tracks of stored videos and refresh open feed pages
+async function lookUpCaptionTracks() {
+  try {
+    const settings = await getSettings();
+    const updated = await runCaptionLookups(settings);
+
+    if (updated > 0) {
+      broadcastToFeedPages({ type: MESSAGE_TYPES.CAPTIONS_UPDATED, data: { videoCount: updated } });
+      broadcastQuotaUsage(settings);
+    }
+  } catch (error) {
+    console.error('[Service Worker] Caption lookups failed:', error);
+  }
+}
+
+// Open the session's YouTube tab and start scrolling in it
+// Scheduled sessions use a background tab, closed again if we opened it
+async function launchCapture(session, settings) {
+  const background = session.trigger === 'scheduled';
+  const captureTab = await findOrOpenCaptureTab(session.source, { background });
+
+  if (!captureTab) {
+    throw new Error('No capturable YouTube tab found. Open a search, channel videos or watch page first.');
+  }
+
+  const closeTab = background && captureTab.created;
+  const scrolling = await advanceCaptureStage(session.id, 'scrolling', {
+    tabId: captureTab.tab.id,
+    closeTab
+  });
+
+  // Canceled while the tab was opening
+  if (!scrolling) {
+    if (closeTab) {
+      chrome.tabs.remove(captureTab.tab.id).catch(() => {});
     }
+    return null;
+  }
+
+  broadcastCaptureSession(scrolling);
+  await startCaptureInTab(captureTab.tab.id, session.id, settings);
+  return scrolling;
+}
+
+// Tell the content script in a tab to scroll and capture
+async function startCaptureInTab(tabId, sessionId, settings) {
+  const targetCount = settings.targetVideoCount || 100;
+  const response = await chrome.tabs.sendMessage(tabId, {
+    type: 'TRIGGER_CAPTURE',
+    targetCount,
+    sessionId
+  });
+
+  if (response && !response.success) {
+    throw new Error(response.error);
+  }
+}
+
+// Finish a capture session and notify feed pages, the capture tab and the scheduler
+// Resolves to the finished session, or null if it had already ended
+async function endCaptureSession(sessionId, status, patch = {}) {
+  const session = await finishCaptureSession(sessionId, status, patch);
+  if (!session) return null;
+
+  broadcastCaptureSession(session);
 
-    // Send capture message to content script
-    const targetCount = settings.targetVideoCount || 100;
-    await chrome.tabs.sendMessage(youtubeTab.id, {
-      type: 'TRIGGER_CAPTURE',
-      targetCount
+  if (status === 'completed') {
+    broadcastToFeedPages({
+      type: MESSAGE_TYPES.CAPTURE_COMPLETE,
+      data: {
+        videoCount: session.videoCount,
+        quotaUsed: session.quotaUsed,
+        lookups: session.lookups,
+        lookupErrors: session.lookupErrors,
+        languageFilter: session.languageFilter
+      }
+    });
+  } else if (status === 'failed' && session.trigger === 'manual') {
+    // Scheduled failures show up in the schedule status instead
+    broadcastToFeedPages({
+      type: MESSAGE_TYPES.CAPTURE_ERROR,
+      data: { error: session.error }
     });
+  }
 
-    sendResponse({ success: true });
+  // Stop the content script's scroll loop
+  if (status !== 'completed' && session.stage === 'scrolling') {
+    chrome.tabs.sendMessage(session.tabId, {
+      type: MESSAGE_TYPES.CANCEL_CAPTURE,
+      sessionId
+    }).catch(() => {});
+  }
+
+  if (session.closeTab) {
+    chrome.tabs.remove(session.tabId).catch(() => {});
+  }
+
+  if (session.trigger === 'scheduled') {
+    await recordScheduledRun(
+      status === 'completed'
+        ? { status: 'success', videoCount: session.videoCount }
+        : { status: 'error', reason: session.error },
+      session.startedAt
+    );
+    broadcastScheduleStatus();
+  }
+
+  return session;
+}
+
+// Fail the capture whose current stage ran past its timeout
+async function handleCaptureTimeout() {
+  const session = await getCaptureSession();
+  if (!isStageTimedOut(session)) return;
+
+  const stage = CAPTURE_STAGES[session.stage].toLowerCase();
+  await endCaptureSession(session.id, 'failed', { error: `Capture timed out (${stage})` });
+}
+
+// Pick up a capture that was running when the worker was suspended
+async function recoverCaptureSession() {
+  const session = await getCaptureSession();
+  if (!isSessionActive(session)) return;
+
+  if (isStageTimedOut(session)) {
+    await handleCaptureTimeout();
+    return;
+  }
+
+  console.log(`[Service Worker] Recovering capture ${session.id} (${session.stage})`);
+
+  try {
+    switch (session.stage) {
+      case 'opening-tab':
+        // Waiting for the tab to load did not survive the restart; look for it again
+        await launchCapture(session, await getSettings());
+        break;
+
+      case 'scrolling':
+        // The content script keeps scrolling on its own, as long as its tab is open
+        if (!await chrome.tabs.get(session.tabId).catch(() => null)) {
+          await endCaptureSession(session.id, 'failed', { error: 'The YouTube tab was closed' });
+        }
+        break;
+
+      case 'fetching':
+      case 'saving': {
+        // Saving is a single write, so the capture history shows whether it happened
+        const history = await getCaptureHistory();
+        const saved = history.find(entry => entry.id === session.id);
+
+        if (saved) {
+          await endCaptureSession(session.id, 'completed', { videoCount: saved.videoCount });
+        } else {
+          await processCapturePayload(session);
+        }
+        break;
+      }
+    }
   } catch (error) {
-    console.error('[Service Worker] Error triggering capture:', error);
-    sendResponse({ success: false, error: error.message });
+    console.error('[Service Worker] Error recovering capture:', error);
+    await endCaptureSession(session.id, 'failed', { error: error.message });
+  }
+}
+
+// Push capture session changes to open feed pages
+function broadcastCaptureSession(session) {
+  broadcastToFeedPages({
+    type: MESSAGE_TYPES.CAPTURE_SESSION,
+    data: toSessionMessage(session)
+  });
+}
+
+// Sessions without the scraped payload, for feed pages
+function toSessionMessage(session) {
+  const { payload, ...rest } = session;
+  return rest;
+}
+
+// Find the YouTube tab to capture from, opening the surface's page if needed
+// `source` is a surface from CAPTURE_URLS, or 'tab' for the last used capturable tab.
+// Resolves to {tab, created} or null.
+async function findOrOpenCaptureTab(source, { background = false } = {}) {
+  if (source === 'tab') {
+    const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+    const capturableTabs = tabs
+      .filter(tab => getCaptureSource(tab.url))
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+    if (capturableTabs.length === 0) {
+      return null;
+    }
+
+    await chrome.tabs.update(capturableTabs[0].id, { active: true });
+    return { tab: capturableTabs[0], created: false };
+  }
+
+  const url = CAPTURE_URLS[source] || CAPTURE_URLS.homepage;
+  const tabs = await chrome.tabs.query({ url });
+
+  if (tabs.length > 0) {
+    // Use existing YouTube tab
+    if (!background) {
+      await chrome.tabs.update(tabs[0].id, { active: true });
+    }
+    return { tab: tabs[0], created: false };
+  }
+
+  // Create new YouTube tab
+  const youtubeTab = await chrome.tabs.create({ url, active: !background });
+
+  try {
+    await waitForTabLoad(youtubeTab.id);
+  } catch (error) {
+    if (background) {
+      chrome.tabs.remove(youtubeTab.id).catch(() => {});
+    }
+    throw error;
   }
+
+  return { tab: youtubeTab, created: true };
+}
+
+// Wait for a tab to finish loading; fails if the tab is closed first or takes
+// longer than the opening-tab stage may
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const finish = error => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onUpdated = (updatedTabId, info) => {
+      if (updatedTabId === tabId && info.status === 'complete') {
+        finish();
+      }
+    };
+    const onRemoved = removedTabId => {
+      if (removedTabId === tabId) {
+        finish(new Error('The YouTube tab was closed before it finished loading'));
+      }
+    };
+    const timer = setTimeout(
+      () => finish(new Error('The YouTube tab did not finish loading in time')),
+      CAPTURE_SESSION.STAGE_TIMEOUTS_MS['opening-tab']
+    );
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+  });
 }
 
 // Handle clear videos
@@ -250,6 +1243,52 @@ async function handleClearVideos(sendResponse) {
   }
 }
 
+// Handle get capture history (snapshots)
+async function handleGetCaptureHistory(sendResponse) {
+  try {
+    const history = await getCaptureHistory();
+    sendResponse({ success: true, history });
+  } catch (error) {
+    console.error('[Service Worker] Error getting capture history:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle get schedule status
+async function handleGetScheduleStatus(sendResponse) {
+  try {
+    const status = await getScheduleStatus();
+    sendResponse({ success: true, ...status });
+  } catch (error) {
+    console.error('[Service Worker] Error getting schedule status:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Push the latest schedule status to open feed pages
+async function broadcastScheduleStatus() {
+  const status = await getScheduleStatus();
+  broadcastToFeedPages({ type: MESSAGE_TYPES.SCHEDULE_STATUS, data: status });
+}
+
+// Handle get quota usage
+async function handleGetQuotaUsage(sendResponse) {
+  try {
+    const settings = await getSettings();
+    const usage = await getQuotaUsage(settings);
+    sendResponse({ success: true, ...usage });
+  } catch (error) {
+    console.error('[Service Worker] Error getting quota usage:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Push today's quota usage to open feed pages
+async function broadcastQuotaUsage(settings) {
+  const usage = await getQuotaUsage(settings);
+  broadcastToFeedPages({ type: MESSAGE_TYPES.QUOTA_USAGE, data: usage });
+}
+
 // Handle save settings
 async function handleSaveSettings(data, sendResponse) {
   try {
@@ -270,17 +1309,12 @@ async function handleSaveSettings(data, sendResponse) {
   }
 }
 
-// Handle validate API key
+// Handle validate API key, or the connection to an Invidious/Piped instance
 async function handleValidateApiKey(data, sendResponse) {
   try {
-    const { apiKey } = data;
-    const isValid = await validateApiKey(apiKey);
+    const { isValid, message } = await validateProvider(data);
 
-    sendResponse({
-      success: true,
-      isValid,
-      message: isValid ? 'API key is valid' : 'API key is invalid'
-    });
+    sendResponse({ success: true, isValid, message });
   } catch (error) {
     console.error('[Service Worker] Error validating API key:', error);
     sendResponse({ success: false, error: error.message });
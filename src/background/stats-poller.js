@@ -0,0 +1,129 @@
+import { STATS_POLLING, SCHEDULER, YOUTUBE_API, INSTANCE_API } from '../shared/constants.js';
+import { fetchVideoStatistics } from './api-handler.js';
+import { getVideos, updateVideoStatistics } from './storage-manager.js';
+import { getQuotaUsage } from './quota-ledger.js';
+import { getCaptureSession, isSessionActive } from './capture-session.js';
+import { usesApiQuota, getProviderSetupError } from './providers/index.js';
+
+// Stored videos get their statistics re-polled on an alarm, so each one builds
+// up a view/like time series. Recently recommended videos are polled most often.
+
+/**
+ * Create or clear the polling alarm to match settings
+ * @param {Object} settings - Settings object
+ * @returns {Promise<void>}
+ */
+export async function syncStatsPolling(settings) {
+  const existing = await chrome.alarms.get(STATS_POLLING.ALARM_NAME);
+
+  if (!settings.statsPolling) {
+    if (existing) {
+      await chrome.alarms.clear(STATS_POLLING.ALARM_NAME);
+      console.log('[Stats Poller] Statistics polling disabled');
+    }
+    return;
+  }
+
+  // Leave a running alarm alone so worker restarts don't push the next run back
+  if (existing) {
+    return;
+  }
+
+  await chrome.alarms.create(STATS_POLLING.ALARM_NAME, {
+    delayInMinutes: STATS_POLLING.INTERVAL_MINUTES,
+    periodInMinutes: STATS_POLLING.INTERVAL_MINUTES
+  });
+
+  console.log(`[Stats Poller] Polling statistics every ${STATS_POLLING.INTERVAL_MINUTES} minutes`);
+}
+
+/**
+ * Re-poll statistics of the videos that are due, within the quota left today
+ * @param {Object} captureSettings - Settings object
+ * @returns {Promise<number>} Number of videos updated
+ */
+export async function runStatsPolling(captureSettings) {
+  // Polling asks the provider even when captures scrape the page
+  const settings = { ...captureSettings, metadataSource: 'api' };
+
+  const skipReason = await getSkipReason(settings);
+  if (skipReason) {
+    console.log(`[Stats Poller] Skipped: ${skipReason}`);
+    return 0;
+  }
+
+  const maxCount = await getMaxVideosToPoll(settings);
+  if (maxCount <= 0) {
+    return 0;
+  }
+
+  const videoIds = selectVideosToPoll(await getVideos(), maxCount);
+  if (videoIds.length === 0) {
+    return 0;
+  }
+
+  const { statistics } = await fetchVideoStatistics(videoIds, settings);
+  const updated = await updateVideoStatistics(statistics);
+
+  console.log(`[Stats Poller] Updated statistics of ${updated} of ${videoIds.length} due videos`);
+  return updated;
+}
+
+/**
+ * Pick the videos whose statistics are due, most recently seen first
+ * @param {Object[]} videos - Stored videos
+ * @param {number} maxCount - Most videos to return
+ * @returns {string[]} Video IDs
+ */
+export function selectVideosToPoll(videos, maxCount) {
+  const now = Date.now();
+  const hour = 60 * 60 * 1000;
+
+  return videos
+    .filter(video => video.metadataSource !== 'page')
+    .filter(video => {
+      const lastSeen = video.lastSeen || video.capturedAt;
+      const tier = STATS_POLLING.TIERS.find(({ seenWithinHours }) => now - lastSeen <= seenWithinHours * hour);
+      const updatedAt = video.statsUpdatedAt || video.capturedAt;
+      return tier && now - updatedAt >= tier.everyHours * hour;
+    })
+    .sort((a, b) => (b.lastSeen || b.capturedAt) - (a.lastSeen || a.capturedAt))
+    .slice(0, maxCount)
+    .map(video => video.id);
+}
+
+// How many videos one run may poll. Quota-free providers are limited so a
+// run does not flood the instance with requests.
+async function getMaxVideosToPoll(settings) {
+  if (!usesApiQuota(settings)) {
+    return INSTANCE_API.MAX_STATS_PER_RUN;
+  }
+
+  // Leave the rest of today's budget to captures
+  const { remaining } = await getQuotaUsage(settings);
+  const units = Math.min(STATS_POLLING.MAX_UNITS_PER_RUN, remaining - SCHEDULER.MIN_QUOTA_REMAINING);
+  if (units <= 0) {
+    console.log(`[Stats Poller] Skipped: quota low (${remaining} units of today's budget left)`);
+    return 0;
+  }
+  return units * YOUTUBE_API.BATCH_SIZE;
+}
+
+// Why a polling run should not happen now, or null to run
+async function getSkipReason(settings) {
+  if (!settings.statsPolling) {
+    return 'Statistics polling is disabled';
+  }
+  if (settings.apiMode === 'replay') {
+    return 'Replayed responses have no new statistics';
+  }
+  const setupError = getProviderSetupError(settings);
+  if (setupError) {
+    return setupError;
+  }
+  // Both would rewrite the stored videos
+  if (isSessionActive(await getCaptureSession())) {
+    return 'A capture is running';
+  }
+  return null;
+}
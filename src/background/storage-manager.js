@@ -1,25 +1,48 @@
-import { STORAGE_KEYS, DEFAULT_SETTINGS, DEFAULT_FILTERS, STORAGE_LIMITS } from '../shared/constants.js';
-import { deduplicateBy } from '../shared/utils.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, DEFAULT_FILTERS, STORAGE_LIMITS, STATS_POLLING } from '../shared/constants.js';
+import {
+  compareFeedPosition,
+  comparePersistence,
+  compareGrowth,
+  getChannelKey,
+  getCaptureSources,
+  getVideoFormat,
+  getCaptionLanguages
+} from '../shared/utils.js';
+
+// Serialize read-modify-write updates of the stored videos; captures, passive
+// batches, corrections, caption lookups and statistics polls can overlap
+let videosQueue = Promise.resolve();
 
 /**
  * Save videos to storage
- * @param {Object[]} newVideos - Array of video objects
+ * @param {Object[]} newVideos - Array of video objects, in feed order
+ * @param {Object|null} capture - Capture details ({id?, source, settings, lookups?}) to snapshot in the
+ *   capture history; null for batches that are not captures
  * @returns {Promise<void>}
  */
-export async function saveVideos(newVideos) {
+export async function saveVideos(newVideos, capture = null) {
   if (!newVideos || newVideos.length === 0) {
     return;
   }
 
+  await queueVideosUpdate(() => storeVideos(newVideos, capture));
+}
+
+// Merge a batch into the stored videos, within the storage limits
+async function storeVideos(newVideos, capture) {
   // Get existing videos
   const existingVideos = await getVideos();
 
-  // Merge and deduplicate
-  const allVideos = [...existingVideos, ...newVideos];
-  const uniqueVideos = deduplicateBy(allVideos, 'id');
+  // Merge re-captured videos into their existing records
+  const videosById = new Map(existingVideos.map(video => [video.id, video]));
+  newVideos.forEach(video => {
+    const existing = videosById.get(video.id);
+    videosById.set(video.id, existing ? mergeVideo(existing, video) : withFirstSighting(video));
+  });
+  const uniqueVideos = Array.from(videosById.values());
 
-  // Sort by capture time (newest first)
-  uniqueVideos.sort((a, b) => b.capturedAt - a.capturedAt);
+  // Sort by last sighting (newest first) so trimming keeps recently seen videos
+  uniqueVideos.sort((a, b) => (b.lastSeen || b.capturedAt) - (a.lastSeen || a.capturedAt));
 
   // Check storage limits and cleanup if necessary
   const settings = await getSettings();
@@ -41,11 +64,186 @@ export async function saveVideos(newVideos) {
   });
 
   // Update capture history
-  await updateCaptureHistory(newVideos.length);
+  if (capture) {
+    await updateCaptureHistory(newVideos, capture);
+  }
 
   console.log(`[Storage Manager] Saved ${newVideos.length} new videos (${videosToStore.length} total)`);
 }
 
+/**
+ * Start the sighting history of a newly captured video
+ * @param {Object} video - Newly captured video
+ * @returns {Object} Video with sighting fields
+ */
+function withFirstSighting(video) {
+  return {
+    ...video,
+    firstSeen: video.capturedAt,
+    lastSeen: video.capturedAt,
+    sightingCount: 1,
+    sightings: [video.capturedAt],
+    statsHistory: appendStatsPoint([], video)
+  };
+}
+
+/**
+ * Merge a re-captured video into its stored record: add the sighting and
+ * feed position, and refresh statistics. API metadata replaces page-scraped
+ * metadata, but page-scraped values never overwrite API statistics.
+ * The capture source follows the latest sighting; capturedAt stays the first capture.
+ * @param {Object} existing - Stored video
+ * @param {Object} incoming - Newly captured video
+ * @returns {Object} Merged video
+ */
+function mergeVideo(existing, incoming) {
+  const positions = [...(existing.positions || []), ...(incoming.positions || [])];
+  // Records saved before sighting history started count as one sighting
+  const sightings = [...(existing.sightings || [existing.capturedAt]), incoming.capturedAt];
+
+  const refreshed = getRefreshedMetadata(existing, incoming);
+
+  return {
+    ...existing,
+    ...refreshed,
+    captureSource: incoming.captureSource,
+    captureQuery: incoming.captureQuery ?? null,
+    captureChannel: incoming.captureChannel ?? null,
+    statsHistory: refreshed.statsUpdatedAt !== existing.statsUpdatedAt
+      ? appendStatsPoint(existing.statsHistory, refreshed)
+      : existing.statsHistory,
+    firstSeen: existing.firstSeen || existing.capturedAt,
+    lastSeen: incoming.capturedAt,
+    sightingCount: (existing.sightingCount || 1) + 1,
+    sightings: sightings.slice(-STORAGE_LIMITS.MAX_SIGHTINGS_PER_VIDEO),
+    positions: positions.slice(-STORAGE_LIMITS.MAX_POSITIONS_PER_VIDEO)
+  };
+}
+
+/**
+ * Pick the metadata fields a re-capture should overwrite
+ * Records saved before page capture existed came from the API
+ * @param {Object} existing - Stored video
+ * @param {Object} incoming - Newly captured video
+ * @returns {Object} Fields to overwrite
+ */
+function getRefreshedMetadata(existing, incoming) {
+  const existingSource = existing.metadataSource || 'api';
+  const incomingSource = incoming.metadataSource || 'api';
+
+  // Enrich a page-scraped record with everything the API returned,
+  // keeping when it was first captured
+  if (existingSource === 'page' && incomingSource === 'api') {
+    const { capturedAt, positions, ...apiMetadata } = incoming;
+    return keepManualCorrections(existing, { ...apiMetadata, channelHandle: existing.channelHandle || null });
+  }
+
+  // Keep exact API statistics over rounded page counts
+  if (existingSource === 'api' && incomingSource === 'page') {
+    return {
+      title: incoming.title,
+      thumbnail: existing.thumbnail || incoming.thumbnail,
+      // The page is the only sign of a Short
+      format: incoming.format === 'short' && getVideoFormat(existing) === 'regular' ? 'short' : existing.format
+    };
+  }
+
+  return {
+    title: incoming.title,
+    thumbnail: incoming.thumbnail,
+    // Streams and premieres turn into regular videos once over
+    duration: incoming.duration || existing.duration,
+    format: incoming.format || existing.format,
+    scheduledStartAt: incoming.scheduledStartAt ?? null,
+    captionTracks: incoming.captionTracks || existing.captionTracks || null,
+    captionsCheckedAt: incoming.captionsCheckedAt || existing.captionsCheckedAt || null,
+    viewCount: incoming.viewCount,
+    likeCount: incoming.likeCount,
+    commentCount: incoming.commentCount,
+    statsUpdatedAt: incoming.statsUpdatedAt || existing.statsUpdatedAt
+  };
+}
+
+// Add a [timestamp, viewCount, likeCount] point for API-fetched statistics,
+// keeping the most recent points (page-scraped counts have no statsUpdatedAt)
+function appendStatsPoint(statsHistory = [], stats) {
+  if (!stats.statsUpdatedAt) {
+    return statsHistory;
+  }
+
+  const point = [stats.statsUpdatedAt, stats.viewCount, stats.likeCount];
+  return [...statsHistory, point].slice(-STATS_POLLING.MAX_POINTS);
+}
+
+// Language/country values corrected by hand survive the API filling in a record
+function keepManualCorrections(existing, metadata) {
+  const provenance = { ...metadata.provenance };
+
+  if (existing.provenance?.language?.source === 'manual') {
+    metadata.defaultLanguage = existing.defaultLanguage;
+    metadata.defaultAudioLanguage = existing.defaultAudioLanguage;
+    provenance.language = existing.provenance.language;
+  }
+  if (existing.provenance?.country?.source === 'manual') {
+    metadata.regionCode = existing.regionCode;
+    provenance.country = existing.provenance.country;
+  }
+
+  return { ...metadata, provenance };
+}
+
+/**
+ * Rewrite stored videos, e.g. to apply metadata corrections
+ * @param {Function} update - Called with each stored video; returns the updated video,
+ *   or the same object to leave it unchanged
+ * @returns {Promise<number>} Number of videos changed
+ */
+export function updateStoredVideos(update) {
+  return queueVideosUpdate(async () => {
+    const videos = await getVideos();
+    let changed = 0;
+
+    const videosToStore = videos.map(video => {
+      const updated = update(video);
+      if (updated !== video) changed++;
+      return updated;
+    });
+
+    if (changed > 0) {
+      await chrome.storage.local.set({ [STORAGE_KEYS.VIDEOS]: videosToStore });
+    }
+
+    return changed;
+  });
+}
+
+/**
+ * Apply polled statistics to stored videos, without counting a sighting
+ * @param {Object} statisticsById - Map of videoId -> {viewCount, likeCount, commentCount, statsUpdatedAt}
+ * @returns {Promise<number>} Number of videos updated
+ */
+export function updateVideoStatistics(statisticsById) {
+  return updateStoredVideos(video => {
+    const stats = statisticsById[video.id];
+    if (!stats) return video;
+
+    return {
+      ...video,
+      ...stats,
+      statsHistory: appendStatsPoint(video.statsHistory, stats)
+    };
+  });
+}
+
+// Run a read-modify-write of the stored videos once the queued ones are done
+function queueVideosUpdate(update) {
+  const run = videosQueue.then(update);
+
+  // Keep the queue going after a failed update
+  videosQueue = run.catch(() => {});
+  return run;
+}
+
 /**
  * Get videos from storage with optional filters
  * @param {Object} filters - Filter options
@@ -86,6 +284,48 @@ function applyFilters(videos, filters) {
     );
   }
 
+  // Filter by capture sources
+  if (filters.selectedSources && filters.selectedSources.length > 0) {
+    filtered = filtered.filter(video =>
+      getCaptureSources(video).some(source => filters.selectedSources.includes(source))
+    );
+  }
+
+  // Filter by categories
+  if (filters.selectedCategories && filters.selectedCategories.length > 0) {
+    filtered = filtered.filter(video =>
+      filters.selectedCategories.includes(video.categoryId)
+    );
+  }
+
+  // Filter by topics
+  if (filters.selectedTopics && filters.selectedTopics.length > 0) {
+    filtered = filtered.filter(video =>
+      (video.topics || []).some(topic => filters.selectedTopics.includes(topic))
+    );
+  }
+
+  // Filter by channels
+  if (filters.selectedChannels && filters.selectedChannels.length > 0) {
+    filtered = filtered.filter(video =>
+      filters.selectedChannels.includes(getChannelKey(video))
+    );
+  }
+
+  // Filter by formats
+  if (filters.selectedFormats && filters.selectedFormats.length > 0) {
+    filtered = filtered.filter(video =>
+      filters.selectedFormats.includes(getVideoFormat(video))
+    );
+  }
+
+  // Filter by caption languages
+  if (filters.selectedCaptionLanguages && filters.selectedCaptionLanguages.length > 0) {
+    filtered = filtered.filter(video =>
+      getCaptionLanguages(video).some(language => filters.selectedCaptionLanguages.includes(language))
+    );
+  }
+
   // Sort
   if (filters.sortBy) {
     filtered = sortVideos(filtered, filters.sortBy);
@@ -113,6 +353,15 @@ function sortVideos(videos, sortBy) {
     case 'title':
       sorted.sort((a, b) => a.title.localeCompare(b.title));
       break;
+    case 'position':
+      sorted.sort(compareFeedPosition);
+      break;
+    case 'persistence':
+      sorted.sort(comparePersistence);
+      break;
+    case 'growth':
+      sorted.sort(compareGrowth);
+      break;
     default:
       // Default to date
       sorted.sort((a, b) => b.capturedAt - a.capturedAt);
@@ -126,11 +375,11 @@ function sortVideos(videos, sortBy) {
  * @returns {Promise<void>}
  */
 export async function clearVideos() {
-  await chrome.storage.local.set({
+  await queueVideosUpdate(() => chrome.storage.local.set({
     [STORAGE_KEYS.VIDEOS]: [],
     [STORAGE_KEYS.LAST_CAPTURE_TIMESTAMP]: 0,
     [STORAGE_KEYS.CAPTURE_HISTORY]: []
-  });
+  }));
 
   console.log('[Storage Manager] All videos cleared');
 }
@@ -226,17 +475,25 @@ async function checkAndEvictIfNeeded(videos) {
 }
 
 /**
- * Update capture history
- * @param {number} videoCount - Number of videos captured
+ * Update capture history with a snapshot of this capture
+ * @param {Object[]} videos - Captured videos, in feed order
+ * @param {Object} capture - Capture details ({id?, source, settings})
  * @returns {Promise<void>}
  */
-async function updateCaptureHistory(videoCount) {
+async function updateCaptureHistory(videos, capture) {
   const result = await chrome.storage.local.get(STORAGE_KEYS.CAPTURE_HISTORY);
   const history = result[STORAGE_KEYS.CAPTURE_HISTORY] || [];
+  const timestamp = Date.now();
 
   history.push({
-    timestamp: Date.now(),
-    videoCount
+    id: capture.id || `capture-${timestamp}`,
+    timestamp,
+    videoCount: videos.length,
+    videoIds: videos.map(video => video.id),
+    source: capture.source,
+    settings: capture.settings,
+    lookups: capture.lookups || null,
+    languageFilter: capture.languageFilter || null
   });
 
   // Keep only last 50 captures
@@ -0,0 +1,96 @@
+import { DEFAULT_SETTINGS, YOUTUBE_API } from '../shared/constants.js';
+import {
+  estimateQuotaUsage,
+  estimateStatisticsQuotaUsage,
+  getAffordableVideoCount
+} from './api-handler.js';
+
+// Captured IDs that are already stored with API metadata do not need a full
+// lookup again: their statistics are refreshed once stale, and otherwise the
+// stored record is simply sighted again. Streams and premieres that have not
+// ended yet are looked up in full, so they turn into regular videos once over.
+
+// Formats that change once the stream or premiere is over
+const BROADCAST_FORMATS = ['live', 'upcoming', 'premiere'];
+
+/**
+ * Split captured IDs by the API lookup they need
+ * @param {string[]} videoIds - Captured video IDs, in feed order
+ * @param {Map<string, Object>} storedById - Stored videos by ID
+ * @param {Object} settings - Settings (statsRefreshHours)
+ * @returns {Object} VideoLookupPlan: {newIds, staleIds, knownIds}
+ */
+export function planVideoLookups(videoIds, storedById, settings) {
+  const refreshHours = settings.statsRefreshHours ?? DEFAULT_SETTINGS.statsRefreshHours;
+  const staleBefore = Date.now() - refreshHours * 60 * 60 * 1000;
+  const plan = { newIds: [], staleIds: [], knownIds: [] };
+
+  videoIds.forEach(videoId => {
+    const stored = storedById.get(videoId);
+
+    // Page-scraped records get the full lookup so the API can fill them in
+    if (!stored || stored.metadataSource === 'page' || BROADCAST_FORMATS.includes(stored.format)) {
+      plan.newIds.push(videoId);
+    } else if (getStatsUpdatedAt(stored) < staleBefore) {
+      plan.staleIds.push(videoId);
+    } else {
+      plan.knownIds.push(videoId);
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Shrink a lookup plan to a quota allowance. Statistics refreshes are dropped
+ * first (those videos keep their stored statistics), then new videos from the
+ * end of the feed.
+ * @param {Object} plan - VideoLookupPlan
+ * @param {number} quotaUnits - Quota units available
+ * @returns {{plan: Object, skippedForQuota: number}} Affordable plan and how many new videos it left out
+ */
+export function fitLookupsToQuota(plan, quotaUnits) {
+  const affordableNew = Math.min(getAffordableVideoCount(quotaUnits), plan.newIds.length);
+  const newIds = plan.newIds.slice(0, affordableNew);
+  const left = quotaUnits - estimateQuotaUsage(newIds.length);
+
+  const refreshable = Math.min(
+    Math.floor(Math.max(left, 0) / estimateStatisticsQuotaUsage(1)) * YOUTUBE_API.BATCH_SIZE,
+    plan.staleIds.length
+  );
+
+  return {
+    plan: {
+      newIds,
+      staleIds: plan.staleIds.slice(0, refreshable),
+      knownIds: [...plan.knownIds, ...plan.staleIds.slice(refreshable)]
+    },
+    skippedForQuota: plan.newIds.length - newIds.length
+  };
+}
+
+/**
+ * Build a re-sighting of a stored video for saveVideos to merge
+ * @param {Object} stored - Stored video
+ * @param {Object} source - Capture source
+ * @param {Object|undefined} statistics - Refreshed statistics, if any
+ * @returns {Object} Video object
+ */
+export function toKnownVideo(stored, source, statistics) {
+  // Sighting history and positions belong to the stored record, not the new sighting
+  const { firstSeen, lastSeen, sightingCount, sightings, positions, ...metadata } = stored;
+
+  return {
+    ...metadata,
+    ...statistics,
+    capturedAt: Date.now(),
+    captureSource: source.type,
+    captureQuery: source.query || null,
+    captureChannel: source.channel || null
+  };
+}
+
+// Records saved before statistics were timestamped were last refreshed when last seen
+function getStatsUpdatedAt(video) {
+  return video.statsUpdatedAt || video.lastSeen || video.capturedAt || 0;
+}
@@ -1,57 +1,325 @@
-// Content script for YouTube homepage video scraping with auto-scroll
-
-// Check if we're on the YouTube homepage
-function isYouTubeHomepage() {
-  return window.location.hostname === 'www.youtube.com' &&
-         (window.location.pathname === '/' || window.location.pathname === '/feed/trending');
+// Content script for YouTube video scraping with auto-scroll
+
+// Extraction rules come from the active selector profile, which the service
+// worker resolves from settings (see BUILTIN_SELECTOR_PROFILES in constants.js).
+// Per surface, `selectors` are tried in order; links inside `skipContainers` are ignored.
+// `shorts` selectors find Shorts links, which are taken even inside skipped containers.
+let selectorProfile = null;
+
+async function loadSelectorProfile() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE' }).catch(() => null);
+  if (response && response.success) {
+    selectorProfile = response.profile;
+    console.log(`[YouTube Feed Organizer] Using selector profile "${selectorProfile.name}"`);
+  }
+  return selectorProfile;
 }
 
-// Extract video IDs from the page
-function extractVideoIds() {
-  const videoIds = new Set();
-  let skippedRichSections = 0;
+// Work out which capturable surface a URL points to. Content scripts can't
+// import modules, so this copies getCaptureSource in src/shared/utils.js;
+// keep the two in sync.
+function getCaptureSource(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.hostname !== 'www.youtube.com') return null;
+
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  const params = parsed.searchParams;
+
+  if (path === '/') return { type: 'homepage' };
+  if (path === '/feed/trending') return { type: 'trending' };
+  if (path === '/feed/subscriptions') return { type: 'subscriptions' };
+  if (path === '/results' && params.get('search_query')) {
+    return { type: 'search', query: params.get('search_query') };
+  }
+  if (path === '/watch' && params.get('v')) {
+    return { type: 'watch', videoId: params.get('v') };
+  }
+
+  const channelMatch = path.match(/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/videos$/);
+  if (channelMatch) {
+    return { type: 'channel', channel: decodeURIComponent(channelMatch[1]) };
+  }
+
+  return null;
+}
 
-  // Multiple selectors for different YouTube layouts
-  const selectors = [
-    'a#video-title-link[href*="/watch?v="]',           // Main selector
-    'a#video-title[href*="/watch?v="]',                // Alternative
-    'ytd-video-renderer a[href*="/watch?v="]',         // Video renderer
-    'ytd-rich-item-renderer a[href*="/watch?v="]',     // Rich item (newer layout)
-    'ytd-grid-video-renderer a[href*="/watch?v="]',    // Grid layout
-    'a.yt-simple-endpoint[href*="/watch?v="]'          // Generic fallback
-  ];
+// Renderers that hold a single video, used to measure grid position
+const VIDEO_ITEM_CONTAINERS = [
+  'ytd-rich-item-renderer',
+  'ytd-video-renderer',
+  'ytd-grid-video-renderer',
+  'ytd-compact-video-renderer',
+  'yt-lockup-view-model',
+  'ytm-shorts-lockup-view-model',
+  'ytd-reel-item-renderer'
+].join(', ');
+
+// Titled sections videos can be grouped into
+const SHELF_CONTAINERS = [
+  'ytd-rich-section-renderer',
+  'ytd-shelf-renderer',
+  'ytd-reel-shelf-renderer',
+  'ytd-horizontal-card-list-renderer'
+].join(', ');
+
+// Items whose tops are this close (px) share a grid row
+const ROW_TOLERANCE_PX = 10;
+
+// Extract videos from the page, in the order YouTube shows them,
+// using the rules for the given surface. Returns [{id, link, isShort}].
+function extractVideos(source, { verbose = true } = {}) {
+  const rules = selectorProfile && selectorProfile.surfaces[source.type];
+  if (!rules) return [];
+
+  const links = new Set();
+  let skippedLinks = 0;
+
+  (rules.shorts || []).forEach(selector => {
+    document.querySelectorAll(selector).forEach(link => links.add(link));
+  });
 
   // Try each selector
-  selectors.forEach(selector => {
-    const links = document.querySelectorAll(selector);
-    console.log(`[YouTube Feed Organizer] Selector "${selector}" found ${links.length} elements`);
-
-    links.forEach(link => {
-      // Skip videos inside ytd-rich-section-renderer (usually promoted/recommended sections)
-      if (link.closest('ytd-rich-section-renderer')) {
-        skippedRichSections++;
+  rules.selectors.forEach(selector => {
+    const matches = document.querySelectorAll(selector);
+    if (verbose) {
+      console.log(`[YouTube Feed Organizer] Selector "${selector}" found ${matches.length} elements`);
+    }
+
+    matches.forEach(link => {
+      if (rules.skipContainers.some(container => link.closest(container))) {
+        skippedLinks++;
         return;
       }
+      links.add(link);
+    });
+  });
+
+  // Selectors match different subsets, so put the links back into page order
+  const orderedLinks = Array.from(links).sort((a, b) =>
+    (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1
+  );
+
+  const videos = new Map();
+  orderedLinks.forEach(link => {
+    const videoId = extractVideoIdFromUrl(link.href);
+    // The watch page links back to the video being played
+    if (!videoId || videoId === source.videoId || videos.has(videoId)) return;
+
+    videos.set(videoId, { id: videoId, link, isShort: /\/shorts\//.test(link.href) });
+  });
+
+  if (verbose) {
+    console.log(`[YouTube Feed Organizer] Skipped ${skippedLinks} videos from excluded sections`);
+    console.log(`[YouTube Feed Organizer] Extracted ${videos.size} unique video IDs from ${source.type}`);
+  }
+  return Array.from(videos.values());
+}
+
+// Count matches per selector for the health report
+function countSelectorMatches(source) {
+  const rules = selectorProfile.surfaces[source.type];
+  return rules.selectors.map(selector => ({
+    selector,
+    matches: document.querySelectorAll(selector).length
+  }));
+}
+
+// Tell the service worker how well the profile matched this page
+function reportSelectorHealth(source, videoCount) {
+  if (!selectorProfile || !selectorProfile.surfaces[source.type]) return;
+
+  chrome.runtime.sendMessage({
+    type: 'SELECTOR_REPORT',
+    data: {
+      profileId: selectorProfile.id,
+      surface: source.type,
+      url: window.location.href,
+      selectors: countSelectorMatches(source),
+      videoCount
+    }
+  }).catch(() => {});
+}
+
+// Extract video IDs from the page, in page order
+function extractVideoIds(source, options) {
+  return extractVideos(source, options).map(video => video.id);
+}
+
+// Work out rank, grid row/column and shelf for extracted videos
+function getFeedPositions(videos) {
+  let row = 0;
+  let column = 0;
+  let rowTop = null;
+
+  return videos.map((video, index) => {
+    const item = video.link.closest(VIDEO_ITEM_CONTAINERS) || video.link;
+    const rect = item.getBoundingClientRect();
+    const position = { id: video.id, rank: index + 1, row: null, column: null, shelf: getShelfTitle(video.link) };
+
+    // Hidden items have no layout to measure
+    if (rect.width > 0 && rect.height > 0) {
+      const top = rect.top + window.scrollY;
+      if (rowTop === null || Math.abs(top - rowTop) > ROW_TOLERANCE_PX) {
+        row++;
+        column = 0;
+        rowTop = top;
+      }
+      column++;
+      position.row = row;
+      position.column = column;
+    }
+
+    return position;
+  });
+}
+
+// Title of the shelf a video sits in, or null for the main feed
+function getShelfTitle(link) {
+  const shelf = link.closest(SHELF_CONTAINERS);
+  if (!shelf) return null;
 
-      const videoId = extractVideoIdFromUrl(link.href);
-      if (videoId) videoIds.add(videoId);
+  const title = shelf.querySelector('#title, #title-text, h2');
+  return (title && title.textContent.trim()) || shelf.tagName.toLowerCase();
+}
+
+// Suffixes YouTube uses to abbreviate view counts across locales
+const COUNT_MULTIPLIERS = {
+  k: 1e3, mil: 1e3, tsd: 1e3, tys: 1e3, 'тыс': 1e3, bin: 1e3, rb: 1e3, n: 1e3, '천': 1e3, '千': 1e3,
+  m: 1e6, mn: 1e6, mio: 1e6, mln: 1e6, mi: 1e6, 'млн': 1e6, jt: 1e6, tr: 1e6,
+  b: 1e9, bn: 1e9, md: 1e9, mrd: 1e9, mld: 1e9, 'млрд': 1e9,
+  '万': 1e4, '萬': 1e4, '만': 1e4, '億': 1e8, '亿': 1e8, '억': 1e8,
+  'लाख': 1e5, 'करोड़': 1e7
+};
+
+// Relative date units across locales, checked in order (seconds per unit)
+const RELATIVE_DATE_UNITS = [
+  [/second|segundo|seconde|sekunde|secondi|секунд|秒|초|giây|detik|saniye/i, 1],
+  [/minute|minuto|минут|分|분|phút|menit|dakika/i, 60],
+  [/hour|hora|heure|stunde|ore\b|ora\b|час|時間|小时|小時|시간|giờ|jam|saat/i, 3600],
+  [/day|día|dia|jour|tag|giorn|дн|день|日|天|일|ngày|hari|gün/i, 86400],
+  [/week|semana|semaine|woche|settiman|недел|週|周|주|tuần|minggu|hafta/i, 604800],
+  [/month|mes|mês|mois|monat|мес|か月|ヶ月|个月|個月|개월|tháng|bulan|\bay\b/i, 2592000],
+  [/year|año|ano|ans\b|jahr|ann|год|лет|年|년|năm|tahun|yıl/i, 31536000]
+];
+
+// Scrape the metadata a renderer shows for a video, for captures without an API key.
+// Each metadata selector list is tried in order; the first element with text wins.
+function scrapeVideoMetadata(video) {
+  const selectors = selectorProfile.metadata;
+  const item = video.link.closest(VIDEO_ITEM_CONTAINERS) || video.link.parentElement;
+
+  const titleElement = findWithText(item, selectors.title);
+  const channelElement = findWithText(item, selectors.channel);
+  const durationElement = findWithText(item, selectors.duration);
+  const overlayElement = findFirst(item, selectors.overlay || []);
+
+  let viewCount = null;
+  let publishedAt = null;
+  selectors.metadataItems.forEach(selector => {
+    item.querySelectorAll(selector).forEach(element => {
+      const text = element.textContent.trim();
+      const date = parseRelativeDate(text);
+      if (date && !publishedAt) {
+        publishedAt = date;
+      } else if (!date && viewCount === null && /\d/.test(text)) {
+        viewCount = parseViewCount(text);
+      }
     });
   });
 
-  console.log(`[YouTube Feed Organizer] Skipped ${skippedRichSections} videos from rich sections`);
-  console.log(`[YouTube Feed Organizer] Extracted ${videoIds.size} unique video IDs`);
-  return Array.from(videoIds);
+  const channelHref = channelElement ? channelElement.getAttribute('href') || '' : '';
+  const channelIdMatch = channelHref.match(/\/channel\/(UC[\w-]{22})/);
+  const channelHandleMatch = channelHref.match(/\/(@[^/?]+)/);
+
+  return {
+    id: video.id,
+    title: titleElement
+      ? (titleElement.getAttribute('title') || titleElement.textContent).trim()
+      : (video.link.getAttribute('title') || ''),
+    channelTitle: channelElement ? channelElement.textContent.trim() : '',
+    channelId: channelIdMatch ? channelIdMatch[1] : '',
+    channelHandle: channelHandleMatch ? decodeURIComponent(channelHandleMatch[1]) : '',
+    viewCount: viewCount || 0,
+    publishedAt: publishedAt ? new Date(publishedAt).toISOString() : null,
+    duration: durationElement ? parseDurationText(durationElement.textContent) : null,
+    thumbnail: `https://i.ytimg.com/vi/${video.id}/mqdefault.jpg`,
+    isShort: Boolean(video.isShort),
+    // LIVE, UPCOMING or SHORTS, whatever the page language
+    overlayStyle: overlayElement ? overlayElement.getAttribute('overlay-style') : null
+  };
+}
+
+function findWithText(root, selectors) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element && element.textContent.trim()) return element;
+  }
+  return null;
 }
 
-// Extract video ID from URL
+function findFirst(root, selectors) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+// Parse localized view counts like "1.2M views", "1,2 M de vues", "12.345 Aufrufe" or "1.2万 回視聴"
+function parseViewCount(text) {
+  const match = text.match(/(\d+(?:[.,\s\u00a0\u202f]\d+)*)\s*([^\s\d.,]*)/);
+  if (!match) return 0;
+
+  const number = match[1].replace(/[\s\u00a0\u202f]/g, '');
+  const token = match[2].toLowerCase().replace(/\.$/, '');
+  const multiplier = COUNT_MULTIPLIERS[token] ||
+    (/^[\u3000-\u9fff\uac00-\ud7af]/.test(token) && COUNT_MULTIPLIERS[token[0]]) ||
+    1;
+
+  if (multiplier > 1) {
+    // Abbreviated counts only have a decimal separator
+    return Math.round(parseFloat(number.replace(',', '.')) * multiplier);
+  }
+
+  // Full counts only have thousands separators
+  return parseInt(number.replace(/[.,]/g, ''), 10) || 0;
+}
+
+// Parse localized relative dates like "3 days ago", "hace 2 semanas" or "1年前" into a timestamp
+function parseRelativeDate(text) {
+  const unit = RELATIVE_DATE_UNITS.find(([pattern]) => pattern.test(text));
+  if (!unit) return null;
+
+  const amountMatch = text.match(/\d+/);
+  const amount = amountMatch ? parseInt(amountMatch[0], 10) : 1;
+
+  return Date.now() - amount * unit[1] * 1000;
+}
+
+// Turn a duration badge like "1:02:03" into ISO 8601 ("PT1H2M3S")
+function parseDurationText(text) {
+  const parts = text.trim().split(':').map(part => parseInt(part, 10));
+  if (parts.length < 2 || parts.some(isNaN)) return null; // "LIVE", "SHORTS", ...
+
+  const [seconds, minutes = 0, hours = 0] = parts.reverse();
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds}S`;
+}
+
+// Extract video ID from a watch or Shorts URL
 function extractVideoIdFromUrl(url) {
-  const regex = /watch\?v=([a-zA-Z0-9_-]{11})/;
+  const regex = /(?:watch\?v=|\/shorts\/)([a-zA-Z0-9_-]{11})/;
   const match = url.match(regex);
   return match ? match[1] : null;
 }
 
 // Auto-scroll to load more videos
-async function autoScroll(targetCount = 100) {
+// Stops early when the capture is canceled
+async function autoScroll(targetCount = 100, source, capture) {
   console.log('[YouTube Feed Organizer] Starting auto-scroll...');
 
   let previousCount = 0;
@@ -61,14 +329,15 @@ async function autoScroll(targetCount = 100) {
   const maxScrollAttempts = 20;
   const noNewVideosThreshold = 3;
 
-  while (currentCount < targetCount && scrollAttempts < maxScrollAttempts) {
+  while (currentCount < targetCount && scrollAttempts < maxScrollAttempts && !capture.canceled) {
     // Get current video count
-    currentCount = extractVideoIds().length;
+    currentCount = extractVideoIds(source).length;
 
     // Send progress update
     chrome.runtime.sendMessage({
       type: 'CAPTURE_PROGRESS',
       data: {
+        sessionId: capture.sessionId,
         currentCount,
         targetCount,
         status: `Loaded ${currentCount} videos...`
@@ -111,47 +380,246 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Passive capture: record recommendations while the user scrolls YouTube themselves
+const PASSIVE_DEBOUNCE_MS = 3000;  // Quiet period after DOM changes before sending a batch
+const PASSIVE_MAX_WAIT_MS = 15000; // Send anyway if YouTube keeps mutating the page
+const PASSIVE_MAX_REMEMBERED = 1000; // Sent IDs and reported URLs kept per tab, oldest forgotten first
+
+let passiveState = { enabled: false, paused: false, count: 0 };
+let passiveObserver = null;
+let passiveDebounceTimer = null;
+let passiveMaxWaitTimer = null;
+const passiveSentIds = new Set();
+const passiveReportedUrls = new Set(); // One selector report per page while browsing
+
+// Scripted captures take over the tab; passive batches wait until they finish
+let activeCapture = null; // {sessionId, canceled}
+
+async function initPassiveCapture() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_PASSIVE_STATE' }).catch(() => null);
+  if (response && response.success) {
+    applyPassiveState(response.state);
+  }
+}
+
+function applyPassiveState(state) {
+  passiveState = state;
+
+  if (state.enabled && !passiveObserver) {
+    passiveObserver = new MutationObserver(schedulePassiveFlush);
+    passiveObserver.observe(document.body, { childList: true, subtree: true });
+    schedulePassiveFlush();
+  } else if (!state.enabled && passiveObserver) {
+    passiveObserver.disconnect();
+    passiveObserver = null;
+    clearPassiveTimers();
+  }
+
+  renderPassiveBadge();
+}
+
+function schedulePassiveFlush() {
+  clearTimeout(passiveDebounceTimer);
+  passiveDebounceTimer = setTimeout(flushPassiveVideos, PASSIVE_DEBOUNCE_MS);
+
+  if (!passiveMaxWaitTimer) {
+    passiveMaxWaitTimer = setTimeout(flushPassiveVideos, PASSIVE_MAX_WAIT_MS);
+  }
+}
+
+function clearPassiveTimers() {
+  clearTimeout(passiveDebounceTimer);
+  clearTimeout(passiveMaxWaitTimer);
+  passiveDebounceTimer = null;
+  passiveMaxWaitTimer = null;
+}
+
+// Send video IDs that appeared since the last batch
+async function flushPassiveVideos() {
+  clearPassiveTimers();
+
+  if (!passiveState.enabled || passiveState.paused || activeCapture) return;
+
+  const source = getCaptureSource(window.location.href);
+  if (!source) return;
+
+  const pageVideos = extractVideos(source, { verbose: false });
+  // An empty page may simply not have rendered yet, so only captures report "broken"
+  if (pageVideos.length > 0 && !passiveReportedUrls.has(window.location.href)) {
+    rememberPassive(passiveReportedUrls, window.location.href);
+    reportSelectorHealth(source, pageVideos.length);
+  }
+
+  const positions = getFeedPositions(pageVideos)
+    .filter(position => !passiveSentIds.has(position.id));
+  if (positions.length === 0) return;
+
+  const videoIds = positions.map(position => position.id);
+  const videos = pageVideos
+    .filter(video => videoIds.includes(video.id))
+    .map(scrapeVideoMetadata);
+
+  videoIds.forEach(videoId => rememberPassive(passiveSentIds, videoId));
+  console.log(`[YouTube Feed Organizer] Passive batch: ${videoIds.length} new videos from ${source.type}`);
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'PASSIVE_VIDEOS',
+    data: { videoIds, positions, videos, source }
+  }).catch(() => null);
+
+  if (response && response.success) {
+    passiveState = response.state;
+    renderPassiveBadge();
+  } else {
+    // Let a later batch retry these IDs
+    videoIds.forEach(videoId => passiveSentIds.delete(videoId));
+  }
+}
+
+// YouTube is a single-page app and a tab can stay open for days, so the sets
+// are capped; a forgotten video is sent again as a new sighting
+function rememberPassive(set, value) {
+  set.add(value);
+  while (set.size > PASSIVE_MAX_REMEMBERED) {
+    set.delete(set.values().next().value);
+  }
+}
+
+async function togglePassivePause() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_PASSIVE_PAUSED',
+    data: { paused: !passiveState.paused }
+  }).catch(() => null);
+
+  if (response && response.success) {
+    applyPassiveState(response.state);
+  }
+}
+
+// Small counter badge with a pause toggle
+function renderPassiveBadge() {
+  let badge = document.getElementById('ytfo-passive-badge');
+
+  if (!passiveState.enabled) {
+    if (badge) badge.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'ytfo-passive-badge';
+    badge.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 6px 10px;
+      border-radius: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      z-index: 10000;
+    `;
+
+    const label = document.createElement('span');
+    label.className = 'ytfo-passive-label';
+
+    const button = document.createElement('button');
+    button.className = 'ytfo-passive-toggle';
+    button.style.cssText = `
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: none;
+      border-radius: 10px;
+      padding: 2px 8px;
+      font-size: 11px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', togglePassivePause);
+
+    badge.appendChild(label);
+    badge.appendChild(button);
+    document.body.appendChild(badge);
+  }
+
+  const dot = passiveState.paused ? '⏸' : '●';
+  badge.querySelector('.ytfo-passive-label').textContent =
+    `${dot} Passive: ${passiveState.count} recorded`;
+  badge.querySelector('.ytfo-passive-toggle').textContent = passiveState.paused ? 'Resume' : 'Pause';
+}
+
 // Handle capture request from background
-async function handleCaptureRequest(targetCount) {
+async function handleCaptureRequest(targetCount, sessionId) {
   console.log('[YouTube Feed Organizer] Capture request received');
   console.log('[YouTube Feed Organizer] Current URL:', window.location.href);
   console.log('[YouTube Feed Organizer] Target count:', targetCount);
 
-  if (!isYouTubeHomepage()) {
-    console.error('[YouTube Feed Organizer] Not on YouTube homepage!');
+  const source = getCaptureSource(window.location.href);
+  if (!source) {
+    console.error('[YouTube Feed Organizer] Not on a capturable YouTube page!');
     chrome.runtime.sendMessage({
       type: 'CAPTURE_ERROR',
-      data: { error: 'Not on YouTube homepage. Please navigate to youtube.com/' }
+      data: {
+        sessionId,
+        error: 'This YouTube page cannot be captured. Open the homepage, a search, a channel\'s videos, subscriptions or a watch page.'
+      }
     }).catch(() => {});
     return;
   }
 
+  const capture = { sessionId, canceled: false };
+  activeCapture = capture;
+
   try {
     // Show visual feedback
     showCaptureOverlay('Capturing videos...');
 
+    // Pick up selector edits made since the page loaded
+    if (!await loadSelectorProfile()) {
+      throw new Error('Could not load the selector profile. Please reload the YouTube page.');
+    }
+
     // Check initial video count
-    const initialVideoIds = extractVideoIds();
+    const initialVideoIds = extractVideoIds(source);
     console.log(`[YouTube Feed Organizer] Initial video count: ${initialVideoIds.length}`);
 
     if (initialVideoIds.length === 0) {
       console.warn('[YouTube Feed Organizer] No videos found on page! YouTube layout may have changed.');
+      reportSelectorHealth(source, 0);
       updateCaptureOverlay('No videos found. Please refresh YouTube and try again.');
       await sleep(3000);
       hideCaptureOverlay();
       chrome.runtime.sendMessage({
         type: 'CAPTURE_ERROR',
-        data: { error: 'No videos found. Please refresh YouTube homepage and try again.' }
+        data: {
+          sessionId,
+          error: 'No videos found. Please refresh the YouTube page and try again, or check Selector Health in Settings.'
+        }
       }).catch(() => {});
       return;
     }
 
     // Perform auto-scroll
-    const finalCount = await autoScroll(targetCount);
+    const finalCount = await autoScroll(targetCount, source, capture);
 
-    // Extract all video IDs
-    const videoIds = extractVideoIds();
+    if (capture.canceled) {
+      console.log('[YouTube Feed Organizer] Capture canceled');
+      updateCaptureOverlay('Capture canceled.');
+      await sleep(1000);
+      hideCaptureOverlay();
+      return;
+    }
+
+    // Extract all videos with their feed positions and on-page metadata
+    const extractedVideos = extractVideos(source);
+    const positions = getFeedPositions(extractedVideos);
+    const videoIds = positions.map(position => position.id);
+    const videos = extractedVideos.map(scrapeVideoMetadata);
     console.log(`[YouTube Feed Organizer] Final video count: ${videoIds.length}`);
+    reportSelectorHealth(source, videoIds.length);
 
     // Update overlay
     updateCaptureOverlay(`Captured ${videoIds.length} videos. Fetching metadata...`);
@@ -159,7 +627,7 @@ async function handleCaptureRequest(targetCount) {
     // Send video IDs to background
     chrome.runtime.sendMessage({
       type: 'CAPTURE_VIDEOS',
-      data: { videoIds }
+      data: { sessionId, videoIds, positions, videos, source }
     }).catch(() => {});
 
     // Keep overlay visible briefly
@@ -170,9 +638,11 @@ async function handleCaptureRequest(targetCount) {
     console.error('[YouTube Feed Organizer] Capture error:', error);
     chrome.runtime.sendMessage({
       type: 'CAPTURE_ERROR',
-      data: { error: error.message }
+      data: { sessionId, error: error.message }
     }).catch(() => {});
     hideCaptureOverlay();
+  } finally {
+    activeCapture = null;
   }
 }
 
@@ -238,11 +708,29 @@ function hideCaptureOverlay() {
 // Listen for messages from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'TRIGGER_CAPTURE') {
+    if (activeCapture) {
+      sendResponse({ success: false, error: 'A capture is already running in this tab' });
+      return true;
+    }
     const targetCount = message.targetCount || 100;
-    handleCaptureRequest(targetCount);
+    handleCaptureRequest(targetCount, message.sessionId);
+    sendResponse({ success: true });
+  } else if (message.type === 'CANCEL_CAPTURE') {
+    if (activeCapture && activeCapture.sessionId === message.sessionId) {
+      activeCapture.canceled = true;
+    }
+    sendResponse({ success: true });
+  } else if (message.type === 'PASSIVE_STATE') {
+    applyPassiveState(message.data);
+    sendResponse({ success: true });
+  } else if (message.type === 'SELECTOR_PROFILE') {
+    selectorProfile = message.data;
+    passiveReportedUrls.clear();
     sendResponse({ success: true });
   }
   return true;
 });
 
+loadSelectorProfile().then(initPassiveCapture);
+
 console.log('[YouTube Feed Organizer] Content script loaded');
@@ -0,0 +1,181 @@
+import {
+  formatViews,
+  formatRelativeTime,
+  getLanguageName,
+  getCountryName,
+  getChannelKey
+} from '../../shared/utils.js';
+
+// Channel directory: every channel the feed recommended, with what it recommended from it
+
+const channelsModal = document.getElementById('channels-modal');
+const channelsSearchInput = document.getElementById('channels-search');
+const channelsSortSelect = document.getElementById('channels-sort');
+const channelsSummary = document.getElementById('channels-summary');
+const channelsList = document.getElementById('channels-list');
+
+let getVideos = () => [];
+let getChannels = () => ({});
+let onSelectChannel = () => {};
+let summaries = [];
+
+// Orders of the sort select
+const CHANNEL_SORTS = {
+  videos: (a, b) => b.videoCount - a.videoCount || b.lastSeen - a.lastSeen,
+  recent: (a, b) => b.lastSeen - a.lastSeen,
+  subscribers: (a, b) => (b.subscriberCount ?? -1) - (a.subscriberCount ?? -1),
+  name: (a, b) => a.title.localeCompare(b.title)
+};
+
+/**
+ * Wire up the channels button and modal
+ * @param {Object} options - Options
+ * @param {Function} options.getVideos - Returns the stored videos
+ * @param {Function} options.getChannels - Returns the stored channel details by channel ID
+ * @param {Function} options.onSelectChannel - Called with a channel key to filter the feed to it
+ */
+export function setupChannelDirectory(options) {
+  getVideos = options.getVideos;
+  getChannels = options.getChannels;
+  onSelectChannel = options.onSelectChannel;
+
+  document.getElementById('channels-btn').addEventListener('click', openChannelDirectory);
+  document.getElementById('channels-close-btn').addEventListener('click', closeChannelDirectory);
+  channelsSearchInput.addEventListener('input', renderChannels);
+  channelsSortSelect.addEventListener('change', renderChannels);
+}
+
+/**
+ * Aggregate stored videos per channel
+ * @param {Object[]} videos - Stored videos
+ * @param {Object} channelsById - Stored channel details by channel ID
+ * @returns {ChannelSummary[]} One summary per channel, most recommended videos first
+ */
+export function summarizeChannels(videos, channelsById) {
+  const groups = new Map();
+
+  videos.forEach(video => {
+    const key = getChannelKey(video);
+    if (!key) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(video);
+  });
+
+  return Array.from(groups, ([key, channelVideos]) => {
+    const channelId = channelVideos.find(video => video.channelId)?.channelId || '';
+    const channel = channelsById[channelId];
+
+    return {
+      key,
+      channelId,
+      title: channel?.title || channelVideos[0].channelTitle || key,
+      thumbnail: channel?.thumbnail || '',
+      country: channel?.country || null,
+      subscriberCount: channel?.subscriberCount ?? null,
+      videoCount: channelVideos.length,
+      sightingCount: channelVideos.reduce((sum, video) => sum + (video.sightingCount || 1), 0),
+      languages: getLanguageMix(channelVideos),
+      firstSeen: Math.min(...channelVideos.map(video => video.firstSeen || video.capturedAt)),
+      lastSeen: Math.max(...channelVideos.map(video => video.lastSeen || video.capturedAt))
+    };
+  }).sort(CHANNEL_SORTS.videos);
+}
+
+// Share of each language among a channel's videos, biggest first
+function getLanguageMix(videos) {
+  const counts = {};
+  videos.forEach(video => {
+    const language = video.defaultLanguage || video.defaultAudioLanguage || 'unknown';
+    counts[language] = (counts[language] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .map(([language, count]) => ({ language, share: count / videos.length }))
+    .sort((a, b) => b.share - a.share);
+}
+
+function openChannelDirectory() {
+  summaries = summarizeChannels(getVideos(), getChannels());
+  channelsSearchInput.value = '';
+  channelsModal.style.display = 'flex';
+  renderChannels();
+}
+
+function closeChannelDirectory() {
+  channelsModal.style.display = 'none';
+}
+
+function renderChannels() {
+  const search = channelsSearchInput.value.trim().toLowerCase();
+  const shown = summaries
+    .filter(summary => !search || summary.title.toLowerCase().includes(search))
+    .sort(CHANNEL_SORTS[channelsSortSelect.value] || CHANNEL_SORTS.videos);
+
+  channelsSummary.textContent = summaries.length === 0
+    ? 'No channels yet. Capture the feed to fill the directory.'
+    : `${summaries.length} channels · showing ${shown.length}`;
+
+  channelsList.innerHTML = '';
+  shown.forEach(summary => channelsList.appendChild(renderChannelRow(summary)));
+}
+
+// One row per channel; clicking it filters the feed to the channel's videos
+function renderChannelRow(summary) {
+  const row = document.createElement('div');
+  row.className = 'channel-row';
+  row.title = 'Show only this channel\'s videos';
+  row.addEventListener('click', () => {
+    closeChannelDirectory();
+    onSelectChannel(summary.key);
+  });
+
+  const avatar = document.createElement(summary.thumbnail ? 'img' : 'div');
+  avatar.className = 'channel-row-avatar';
+  if (summary.thumbnail) {
+    avatar.src = summary.thumbnail;
+    avatar.alt = '';
+    avatar.loading = 'lazy';
+  }
+  row.appendChild(avatar);
+
+  const info = document.createElement('div');
+  info.className = 'channel-row-info';
+
+  const name = document.createElement('div');
+  name.className = 'channel-row-name';
+  name.textContent = summary.title;
+  info.appendChild(name);
+
+  const details = document.createElement('div');
+  details.className = 'channel-row-details';
+  details.textContent = [
+    summary.country ? getCountryName(summary.country) : 'Country unknown',
+    summary.subscriberCount !== null ? `${formatViews(summary.subscriberCount)} subscribers` : null,
+    `first recommended ${new Date(summary.firstSeen).toLocaleDateString()}`,
+    `last ${formatRelativeTime(summary.lastSeen)}`
+  ].filter(Boolean).join(' · ');
+  info.appendChild(details);
+
+  const languages = document.createElement('div');
+  languages.className = 'channel-row-languages';
+  languages.textContent = summary.languages
+    .slice(0, 3)
+    .map(({ language, share }) => `${getLanguageName(language)} ${Math.round(share * 100)}%`)
+    .join(' · ');
+  info.appendChild(languages);
+
+  row.appendChild(info);
+
+  const counts = document.createElement('div');
+  counts.className = 'channel-row-counts';
+  counts.innerHTML = `<strong>${summary.videoCount}</strong> video${summary.videoCount !== 1 ? 's' : ''}`;
+  const sightings = document.createElement('span');
+  sightings.textContent = `seen ${summary.sightingCount}×`;
+  counts.appendChild(sightings);
+  row.appendChild(counts);
+
+  return row;
+}
@@ -0,0 +1,254 @@
+import { MESSAGE_TYPES, CAPTURE_SOURCES } from '../../shared/constants.js';
+import { getLanguageName, getCountryName } from '../../shared/utils.js';
+
+// Capture comparison view: pick two snapshots and see what changed between them
+
+const compareModal = document.getElementById('compare-modal');
+const compareBeforeSelect = document.getElementById('compare-before-select');
+const compareAfterSelect = document.getElementById('compare-after-select');
+const compareSummary = document.getElementById('compare-summary');
+const compareShifts = document.getElementById('compare-shifts');
+const compareLists = document.getElementById('compare-lists');
+
+let snapshots = [];
+let getVideos = () => [];
+
+/**
+ * Wire up the compare button and modal
+ * @param {Object} options - Options
+ * @param {Function} options.getVideos - Returns the stored videos, for metadata lookups
+ */
+export function setupCompareView(options) {
+  getVideos = options.getVideos;
+
+  document.getElementById('compare-btn').addEventListener('click', openCompareModal);
+  document.getElementById('compare-close-btn').addEventListener('click', closeCompareModal);
+  compareBeforeSelect.addEventListener('change', renderComparison);
+  compareAfterSelect.addEventListener('change', renderComparison);
+}
+
+/**
+ * Compare the video lists of two capture snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} {appeared, disappeared, stayed} - IDs, with rank changes for stayed videos
+ */
+export function diffSnapshots(before, after) {
+  const beforeRanks = new Map(before.videoIds.map((videoId, index) => [videoId, index + 1]));
+  const afterRanks = new Map(after.videoIds.map((videoId, index) => [videoId, index + 1]));
+
+  return {
+    appeared: after.videoIds.filter(videoId => !beforeRanks.has(videoId)),
+    disappeared: before.videoIds.filter(videoId => !afterRanks.has(videoId)),
+    stayed: after.videoIds
+      .filter(videoId => beforeRanks.has(videoId))
+      .map(videoId => ({
+        id: videoId,
+        fromRank: beforeRanks.get(videoId),
+        toRank: afterRanks.get(videoId)
+      }))
+  };
+}
+
+/**
+ * Summarise how the share of a value (language, country) shifted between snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @param {Map} videosById - Stored videos by ID
+ * @param {Function} getValue - Reads the value from a video
+ * @returns {Object[]} [{value, before, after, change}] shares as fractions, biggest change first
+ */
+export function summarizeShift(before, after, videosById, getValue) {
+  const beforeShares = getShares(before.videoIds, videosById, getValue);
+  const afterShares = getShares(after.videoIds, videosById, getValue);
+  const values = new Set([...Object.keys(beforeShares), ...Object.keys(afterShares)]);
+
+  return Array.from(values)
+    .map(value => ({
+      value,
+      before: beforeShares[value] || 0,
+      after: afterShares[value] || 0,
+      change: (afterShares[value] || 0) - (beforeShares[value] || 0)
+    }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+// Share of each value among a snapshot's videos
+function getShares(videoIds, videosById, getValue) {
+  const counts = {};
+  videoIds.forEach(videoId => {
+    const video = videosById.get(videoId);
+    const value = (video && getValue(video)) || 'unknown';
+    counts[value] = (counts[value] || 0) + 1;
+  });
+
+  const shares = {};
+  Object.keys(counts).forEach(value => {
+    shares[value] = counts[value] / videoIds.length;
+  });
+  return shares;
+}
+
+async function openCompareModal() {
+  compareModal.style.display = 'flex';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_CAPTURE_HISTORY });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    // Older history entries predate snapshots and have no video list
+    snapshots = response.history.filter(snapshot => Array.isArray(snapshot.videoIds)).reverse();
+  } catch (error) {
+    console.error('[Feed] Error loading capture history:', error);
+    snapshots = [];
+    showCompareMessage(`Could not load the capture history: ${error.message}`);
+    return;
+  }
+
+  if (snapshots.length < 2) {
+    showCompareMessage('At least two captures are needed to compare. Capture the feed again later.');
+    return;
+  }
+
+  populateSnapshotSelect(compareBeforeSelect, 1);
+  populateSnapshotSelect(compareAfterSelect, 0);
+  renderComparison();
+}
+
+// Show a message in place of a comparison
+function showCompareMessage(message) {
+  compareBeforeSelect.innerHTML = '';
+  compareAfterSelect.innerHTML = '';
+  compareSummary.textContent = message;
+  compareShifts.innerHTML = '';
+  compareLists.innerHTML = '';
+}
+
+function closeCompareModal() {
+  compareModal.style.display = 'none';
+}
+
+// Newest first; preselect the given index
+function populateSnapshotSelect(select, selectedIndex) {
+  select.innerHTML = '';
+
+  snapshots.forEach((snapshot, index) => {
+    const option = document.createElement('option');
+    option.value = snapshot.id;
+    option.textContent = describeSnapshot(snapshot);
+    option.selected = index === selectedIndex;
+    select.appendChild(option);
+  });
+}
+
+function describeSnapshot(snapshot) {
+  const source = snapshot.source || { type: 'homepage' };
+  let sourceName = CAPTURE_SOURCES[source.type] || source.type;
+  if (source.query) sourceName += ` "${source.query}"`;
+  if (source.channel) sourceName += ` ${source.channel}`;
+
+  return `${new Date(snapshot.timestamp).toLocaleString()} · ${sourceName} · ${snapshot.videoCount} videos`;
+}
+
+function renderComparison() {
+  const before = snapshots.find(snapshot => snapshot.id === compareBeforeSelect.value);
+  const after = snapshots.find(snapshot => snapshot.id === compareAfterSelect.value);
+  if (!before || !after) return;
+
+  const videosById = new Map(getVideos().map(video => [video.id, video]));
+  const diff = diffSnapshots(before, after);
+
+  compareSummary.textContent =
+    `${diff.appeared.length} appeared · ${diff.disappeared.length} disappeared · ${diff.stayed.length} stayed`;
+
+  compareShifts.innerHTML = '';
+  compareShifts.appendChild(renderShiftTable(
+    'Language',
+    summarizeShift(before, after, videosById, video => video.defaultLanguage),
+    getLanguageName
+  ));
+  compareShifts.appendChild(renderShiftTable(
+    'Country',
+    summarizeShift(before, after, videosById, video => video.regionCode),
+    getCountryName
+  ));
+
+  compareLists.innerHTML = '';
+  compareLists.appendChild(renderVideoList('Appeared', diff.appeared.map(id => ({ id })), videosById));
+  compareLists.appendChild(renderVideoList('Disappeared', diff.disappeared.map(id => ({ id })), videosById));
+  compareLists.appendChild(renderVideoList('Stayed', diff.stayed, videosById));
+}
+
+// Table of the biggest share changes, in percentage points
+function renderShiftTable(title, shifts, getLabel) {
+  const section = document.createElement('div');
+  section.className = 'compare-shift';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${title} shift`;
+  section.appendChild(heading);
+
+  const changed = shifts.filter(shift => Math.abs(shift.change) >= 0.01).slice(0, 6);
+  if (changed.length === 0) {
+    const none = document.createElement('p');
+    none.className = 'compare-empty';
+    none.textContent = 'No change';
+    section.appendChild(none);
+    return section;
+  }
+
+  changed.forEach(shift => {
+    const row = document.createElement('div');
+    row.className = 'compare-shift-row';
+
+    const label = document.createElement('span');
+    label.textContent = shift.value === 'unknown' ? 'Unknown' : getLabel(shift.value);
+
+    const values = document.createElement('span');
+    const points = Math.round(shift.change * 100);
+    values.className = points > 0 ? 'shift-up' : 'shift-down';
+    values.textContent =
+      `${Math.round(shift.before * 100)}% → ${Math.round(shift.after * 100)}% (${points > 0 ? '+' : ''}${points} pts)`;
+
+    row.appendChild(label);
+    row.appendChild(values);
+    section.appendChild(row);
+  });
+
+  return section;
+}
+
+function renderVideoList(title, entries, videosById) {
+  const column = document.createElement('div');
+  column.className = 'compare-column';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${title} (${entries.length})`;
+  column.appendChild(heading);
+
+  const list = document.createElement('ol');
+  entries.forEach(entry => {
+    const video = videosById.get(entry.id);
+    const item = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = `https://www.youtube.com/watch?v=${entry.id}`;
+    link.target = '_blank';
+    link.textContent = video ? video.title : `${entry.id} (no longer stored)`;
+    item.appendChild(link);
+
+    if (entry.fromRank) {
+      const rank = document.createElement('span');
+      rank.className = 'compare-rank';
+      rank.textContent = ` #${entry.fromRank} → #${entry.toRank}`;
+      item.appendChild(rank);
+    }
+
+    list.appendChild(item);
+  });
+  column.appendChild(list);
+
+  return column;
+}
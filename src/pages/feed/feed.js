@@ -1,5 +1,35 @@
-import { MESSAGE_TYPES } from '../../shared/constants.js';
-import { formatViews, formatRelativeTime, getLanguageName, getCountryName, debounce } from '../../shared/utils.js';
+import {
+  MESSAGE_TYPES,
+  CAPTURE_SOURCES,
+  CAPTURE_STAGES,
+  API_ERROR_KINDS,
+  PROVENANCE_SOURCES,
+  VIDEO_FORMATS
+} from '../../shared/constants.js';
+import {
+  formatViews,
+  formatNumber,
+  formatRelativeTime,
+  formatTimeUntil,
+  getLanguageName,
+  getCountryName,
+  getLatestPosition,
+  getTypicalRank,
+  compareFeedPosition,
+  comparePersistence,
+  compareGrowth,
+  getViewGrowthRate,
+  getProvenance,
+  isConfirmedValue,
+  getChannelKey,
+  getCaptureSources,
+  getVideoFormat,
+  getCaptionLanguages,
+  debounce
+} from '../../shared/utils.js';
+import { setupCompareView } from './compare.js';
+import { setupChannelDirectory } from './channels.js';
+import { setupMetadataEditor, openMetadataEditor } from './metadata-editor.js';
 
 // Multiselect Component Class
 class Multiselect {
@@ -142,6 +172,12 @@ class Multiselect {
     return Array.from(this.selectedValues);
   }
 
+  setSelectedValues(values) {
+    this.selectedValues = new Set(values);
+    this.updateSelected();
+    this.renderOptions();
+  }
+
   clear() {
     this.selectedValues.clear();
     this.updateSelected();
@@ -155,14 +191,25 @@ let filteredVideos = [];
 let currentFilters = {
   selectedLanguages: [],
   selectedCountries: [],
+  selectedSources: [],
+  selectedCategories: [],
+  selectedTopics: [],
+  selectedChannels: [],
+  selectedFormats: [],
+  selectedCaptionLanguages: [],
   sortBy: 'date',
-  searchQuery: ''
+  searchQuery: '',
+  confirmedOnly: false
 };
 let availableLanguages = [];
 let availableCountries = [];
+let channelsById = {}; // Stored channel details by channel ID
+let categoriesById = {}; // Stored category names by category ID
+let activeSessionId = null; // Manual capture shown in the capture modal
 
 // DOM Elements
 const captureBtn = document.getElementById('capture-btn');
+const captureSourceSelect = document.getElementById('capture-source-select');
 const settingsBtn = document.getElementById('settings-btn');
 const emptyCaptureBtn = document.getElementById('empty-capture-btn');
 const retryBtn = document.getElementById('retry-btn');
@@ -170,8 +217,15 @@ const clearFiltersBtn = document.getElementById('clear-filters-btn');
 
 let languageMultiselect;
 let countryMultiselect;
+let sourceMultiselect;
+let categoryMultiselect;
+let topicMultiselect;
+let channelMultiselect;
+let formatMultiselect;
+let captionMultiselect;
 const sortSelect = document.getElementById('sort-select');
 const searchInput = document.getElementById('search-input');
+const confirmedOnlyInput = document.getElementById('confirmed-only');
 
 const videosContainer = document.getElementById('videos-container');
 const loadingState = document.getElementById('loading-state');
@@ -183,10 +237,21 @@ const lastCaptureTime = document.getElementById('last-capture-time');
 const videoCountNumber = document.getElementById('video-count-number');
 const storageUsageText = document.getElementById('storage-usage-text');
 const displayedCount = document.getElementById('displayed-count');
+const scheduleStatus = document.getElementById('schedule-status');
+const nextRunTime = document.getElementById('next-run-time');
+const lastRunText = document.getElementById('last-run-text');
+const quotaUsageBadge = document.getElementById('quota-usage');
+const quotaUsageText = document.getElementById('quota-usage-text');
+const quotaChart = document.getElementById('quota-chart');
 
 const captureModal = document.getElementById('capture-modal');
 const captureProgress = document.getElementById('capture-progress');
 const captureProgressText = document.getElementById('capture-progress-text');
+const captureStageText = document.getElementById('capture-stage');
+const cancelCaptureBtn = document.getElementById('cancel-capture-btn');
+const captureReport = document.getElementById('capture-report');
+const retryFailedBtn = document.getElementById('retry-failed-btn');
+const closeCaptureBtn = document.getElementById('close-capture-btn');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
@@ -194,7 +259,17 @@ document.addEventListener('DOMContentLoaded', init);
 async function init() {
   setupMultiselects();
   setupEventListeners();
+  setupCompareView({ getVideos: () => allVideos });
+  setupChannelDirectory({
+    getVideos: () => allVideos,
+    getChannels: () => channelsById,
+    onSelectChannel: showChannel
+  });
+  setupMetadataEditor({ onSaved: () => loadVideos({ quiet: true }) });
   await loadVideos();
+  await loadScheduleStatus();
+  await loadQuotaUsage();
+  await loadCaptureSession();
 }
 
 // Setup multiselect components
@@ -208,17 +283,51 @@ function setupMultiselects() {
     document.getElementById('country-multiselect'),
     handleFilterChange
   );
+
+  sourceMultiselect = new Multiselect(
+    document.getElementById('source-multiselect'),
+    handleFilterChange
+  );
+
+  categoryMultiselect = new Multiselect(
+    document.getElementById('category-multiselect'),
+    handleFilterChange
+  );
+
+  topicMultiselect = new Multiselect(
+    document.getElementById('topic-multiselect'),
+    handleFilterChange
+  );
+
+  channelMultiselect = new Multiselect(
+    document.getElementById('channel-multiselect'),
+    handleFilterChange
+  );
+
+  formatMultiselect = new Multiselect(
+    document.getElementById('format-multiselect'),
+    handleFilterChange
+  );
+
+  captionMultiselect = new Multiselect(
+    document.getElementById('caption-multiselect'),
+    handleFilterChange
+  );
 }
 
 // Setup event listeners
 function setupEventListeners() {
   captureBtn.addEventListener('click', triggerCapture);
   emptyCaptureBtn.addEventListener('click', triggerCapture);
+  cancelCaptureBtn.addEventListener('click', cancelCapture);
+  retryFailedBtn.addEventListener('click', retryFailedLookups);
+  closeCaptureBtn.addEventListener('click', hideCaptureModal);
   retryBtn.addEventListener('click', loadVideos);
   settingsBtn.addEventListener('click', openSettings);
   clearFiltersBtn.addEventListener('click', clearFilters);
 
   sortSelect.addEventListener('change', handleFilterChange);
+  confirmedOnlyInput.addEventListener('change', handleFilterChange);
   searchInput.addEventListener('input', debounce(handleSearchChange, 300));
 
   // Listen for messages from background
@@ -226,8 +335,11 @@ function setupEventListeners() {
 }
 
 // Load videos from storage
-async function loadVideos() {
-  showLoading();
+// Quiet reloads (e.g. after background statistics polling) keep the current view on screen
+async function loadVideos({ quiet = false } = {}) {
+  if (!quiet) {
+    showLoading();
+  }
 
   try {
     const response = await chrome.runtime.sendMessage({
@@ -238,6 +350,8 @@ async function loadVideos() {
       allVideos = response.videos || [];
       availableLanguages = response.availableLanguages || [];
       availableCountries = response.availableCountries || [];
+      channelsById = response.channels || {};
+      categoriesById = response.categories || {};
 
       // Update UI
       updateFilterOptions();
@@ -264,12 +378,15 @@ async function triggerCapture() {
 
   try {
     const response = await chrome.runtime.sendMessage({
-      type: MESSAGE_TYPES.TRIGGER_CAPTURE
+      type: MESSAGE_TYPES.TRIGGER_CAPTURE,
+      data: { source: captureSourceSelect.value }
     });
 
     if (!response.success) {
       hideCaptureModal();
       showError(response.error || 'Failed to trigger capture');
+    } else {
+      activeSessionId = response.sessionId;
     }
     // Modal will be hidden by capture complete message
   } catch (error) {
@@ -279,11 +396,48 @@ async function triggerCapture() {
   }
 }
 
+// Cancel the capture shown in the modal
+async function cancelCapture() {
+  cancelCaptureBtn.disabled = true;
+  captureProgressText.textContent = 'Canceling...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.CANCEL_CAPTURE,
+      data: { sessionId: activeSessionId }
+    });
+
+    // Nothing left to cancel
+    if (!response.success) {
+      hideCaptureModal();
+    }
+    // Otherwise the modal is hidden by the canceled session message
+  } catch (error) {
+    console.error('[Feed] Error canceling capture:', error);
+    hideCaptureModal();
+  }
+}
+
+// Show a capture that was already running when the page opened
+async function loadCaptureSession() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_CAPTURE_SESSION
+    });
+
+    if (response.success && response.session) {
+      renderCaptureSession(response.session);
+    }
+  } catch (error) {
+    console.error('[Feed] Error loading capture session:', error);
+  }
+}
+
 // Handle messages from background
 function handleBackgroundMessage(message) {
   switch (message.type) {
-    case MESSAGE_TYPES.CAPTURE_PROGRESS:
-      updateCaptureProgress(message.data);
+    case MESSAGE_TYPES.CAPTURE_SESSION:
+      renderCaptureSession(message.data);
       break;
 
     case MESSAGE_TYPES.CAPTURE_COMPLETE:
@@ -294,23 +448,155 @@ function handleBackgroundMessage(message) {
       hideCaptureModal();
       showError(message.data.error);
       break;
+
+    case MESSAGE_TYPES.SCHEDULE_STATUS:
+      updateScheduleStatus(message.data);
+      break;
+
+    case MESSAGE_TYPES.QUOTA_USAGE:
+      updateQuotaUsage(message.data);
+      break;
+
+    case MESSAGE_TYPES.STATS_UPDATED:
+    case MESSAGE_TYPES.CAPTIONS_UPDATED:
+      loadVideos({ quiet: true });
+      break;
   }
 }
 
-// Update capture progress
-function updateCaptureProgress(data) {
-  const { currentCount, targetCount, status } = data;
-  const percentage = (currentCount / targetCount) * 100;
+// Load next/last scheduled capture
+async function loadScheduleStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_SCHEDULE_STATUS
+    });
 
-  captureProgress.style.width = `${Math.min(percentage, 100)}%`;
-  captureProgressText.textContent = status || `Loaded ${currentCount} videos...`;
+    if (response.success) {
+      updateScheduleStatus(response);
+    }
+  } catch (error) {
+    console.error('[Feed] Error loading schedule status:', error);
+  }
+}
+
+// Update scheduled capture badge
+function updateScheduleStatus(status) {
+  if (!status.enabled) {
+    scheduleStatus.style.display = 'none';
+    return;
+  }
+
+  scheduleStatus.style.display = 'block';
+  nextRunTime.textContent = status.nextRunAt ? formatTimeUntil(status.nextRunAt) : '-';
+
+  const { lastRun } = status;
+  if (!lastRun) {
+    lastRunText.textContent = 'never';
+    return;
+  }
+
+  const outcome = lastRun.status === 'success'
+    ? `${lastRun.videoCount} videos`
+    : `${lastRun.status}${lastRun.reason ? `: ${lastRun.reason}` : ''}`;
+  lastRunText.textContent = `${formatRelativeTime(lastRun.timestamp)} (${outcome})`;
+}
+
+// Load today's quota usage
+async function loadQuotaUsage() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_QUOTA_USAGE
+    });
+
+    if (response.success) {
+      updateQuotaUsage(response);
+    }
+  } catch (error) {
+    console.error('[Feed] Error loading quota usage:', error);
+  }
+}
+
+// Update quota badge and its daily history chart
+function updateQuotaUsage(usage) {
+  quotaUsageBadge.style.display = 'block';
+  quotaUsageText.textContent = `${formatNumber(usage.used)} / ${formatNumber(usage.budget)}`;
+  quotaUsageBadge.classList.toggle('quota-low', usage.remaining < usage.budget * 0.1);
+  quotaUsageBadge.title = `${formatNumber(usage.remaining)} units left today. ` +
+    'The quota resets at midnight Pacific time.';
+
+  const peak = Math.max(usage.budget, ...usage.history.map(day => day.units), 1);
+  quotaChart.innerHTML = usage.history.map(day => {
+    const classes = ['quota-bar'];
+    if (day.day === usage.day) classes.push('today');
+    if (day.units > usage.budget) classes.push('over');
+
+    return `<span class="${classes.join(' ')}"
+      style="height: ${Math.round(day.units / peak * 100)}%"
+      title="${day.day}: ${formatNumber(day.units)} units"></span>`;
+  }).join('');
+}
+
+// Overall progress range for each stage; scrolling is most of the work
+const STAGE_PROGRESS = {
+  'opening-tab': [0, 5],
+  scrolling: [5, 70],
+  fetching: [70, 95],
+  saving: [95, 100]
+};
+
+// Show a manual capture's stage and progress in the capture modal
+// Scheduled captures run in the background without the modal
+function renderCaptureSession(session) {
+  if (session.trigger !== 'manual') return;
+
+  if (session.status !== 'running') {
+    activeSessionId = null;
+    // Completed and failed captures are handled by their own messages
+    if (session.status === 'canceled') {
+      hideCaptureModal();
+    }
+    return;
+  }
+
+  if (captureModal.style.display === 'none') {
+    showCaptureModal();
+  }
+  activeSessionId = session.id;
+
+  const stages = Object.keys(CAPTURE_STAGES);
+  const [start, end] = STAGE_PROGRESS[session.stage];
+  const { currentCount, targetCount, status, batch, batchCount } = session.progress || {};
+
+  let fraction = 0;
+  let text = `${CAPTURE_STAGES[session.stage]}...`;
+  if (session.stage === 'scrolling' && targetCount) {
+    fraction = currentCount / targetCount;
+    text = status || `Loaded ${currentCount} videos...`;
+  } else if (session.stage === 'fetching' && batchCount) {
+    fraction = (batch - 1) / batchCount;
+    text = `Fetching batch ${batch} of ${batchCount}...`;
+  }
+
+  captureStageText.textContent =
+    `Step ${stages.indexOf(session.stage) + 1} of ${stages.length}: ${CAPTURE_STAGES[session.stage]}`;
+  captureProgress.style.width = `${start + (end - start) * Math.min(fraction, 1)}%`;
+  captureProgressText.textContent = text;
 }
 
 // Handle capture complete
 async function handleCaptureComplete(data) {
-  captureProgressText.textContent = `Successfully captured ${data.videoCount} videos!`;
+  captureProgressText.textContent = (data.lookups
+    ? `Captured ${data.videoCount} videos: ${describeLookups(data.lookups)}`
+    : `Successfully captured ${data.videoCount} videos!`) + describeLanguageFilter(data.languageFilter);
   captureProgress.style.width = '100%';
 
+  // Leave the modal open so the error report can be read
+  if (data.lookupErrors?.length) {
+    showCaptureReport(data.lookupErrors);
+    await loadVideos();
+    return;
+  }
+
   // Wait a bit to show completion
   await new Promise(resolve => setTimeout(resolve, 1500));
 
@@ -320,85 +606,237 @@ async function handleCaptureComplete(data) {
   await loadVideos();
 }
 
-// Update filter options based on current video set
-function updateFilterOptions(videosForLanguages = allVideos, videosForCountries = allVideos) {
-  // Calculate language counts from videos filtered by country (if any)
-  const languageCounts = {};
-  videosForLanguages.forEach(video => {
-    const lang = video.defaultLanguage || video.defaultAudioLanguage;
-    if (lang && lang !== 'unknown') {
-      languageCounts[lang] = (languageCounts[lang] || 0) + 1;
+// Show what went wrong with a capture's API lookups
+function showCaptureReport(lookupErrors, summary = 'Some API lookups failed:') {
+  const failedDetails = lookupErrors.some(error => error.lookup === 'details');
+
+  captureReport.innerHTML = `
+    <strong>${escapeHtml(summary)}</strong>
+    <ul>
+      ${lookupErrors.map(error => `
+        <li>
+          <strong>${API_ERROR_KINDS[error.kind]}</strong>:
+          ${error.videoCount} videos ${error.lookup === 'details' ? 'not fetched' : 'kept their old statistics'}
+          <div class="error-message">${escapeHtml(error.message)}</div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  captureReport.style.display = 'block';
+
+  cancelCaptureBtn.style.display = 'none';
+  closeCaptureBtn.style.display = 'inline-flex';
+  retryFailedBtn.style.display = failedDetails ? 'inline-flex' : 'none';
+  retryFailedBtn.disabled = false;
+}
+
+// Look up the videos a capture failed to fetch again
+async function retryFailedLookups() {
+  retryFailedBtn.disabled = true;
+  captureProgressText.textContent = 'Retrying failed videos...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.RETRY_FAILED_LOOKUPS
+    });
+
+    if (!response.success) {
+      captureProgressText.textContent = `Retry failed: ${response.error}`;
+      retryFailedBtn.disabled = false;
+      return;
     }
-  });
 
-  // Calculate country counts from videos filtered by language (if any)
-  const countryCounts = {};
-  videosForCountries.forEach(video => {
-    const country = video.regionCode;
-    if (country && country !== 'unknown') {
-      countryCounts[country] = (countryCounts[country] || 0) + 1;
+    captureProgressText.textContent = `Fetched ${response.videoCount} more videos`;
+    if (response.lookupErrors.length > 0) {
+      showCaptureReport(response.lookupErrors, `${response.remaining} videos still failing:`);
+    } else {
+      captureReport.style.display = 'none';
+      retryFailedBtn.style.display = 'none';
     }
-  });
 
-  // Sort languages by count (descending)
-  const sortedLanguages = Object.keys(languageCounts).sort((a, b) => {
-    return languageCounts[b] - languageCounts[a];
-  });
+    await loadVideos();
+  } catch (error) {
+    console.error('[Feed] Error retrying failed lookups:', error);
+    captureProgressText.textContent = `Retry failed: ${error.message}`;
+    retryFailedBtn.disabled = false;
+  }
+}
 
-  // Update language multiselect
-  const languageOptions = sortedLanguages.map(lang => ({
-    value: lang,
-    label: `${getLanguageName(lang)} (${languageCounts[lang]})`
-  }));
-  languageMultiselect.setOptions(languageOptions);
+// Summarize what each language rule took out of a capture
+function describeLanguageFilter(languageFilter) {
+  if (!languageFilter?.removals.length) return '';
 
-  // Sort countries by count (descending)
-  const sortedCountries = Object.keys(countryCounts).sort((a, b) => {
-    return countryCounts[b] - countryCounts[a];
-  });
+  const verb = languageFilter.mode === 'hide' ? 'hidden' : 'removed';
+  const parts = languageFilter.removals.map(removal => `${removal.videoCount} ${verb} by "${removal.label}"`);
+  return ` (${parts.join(', ')})`;
+}
 
-  // Update country multiselect
-  const countryOptions = sortedCountries.map(country => ({
-    value: country,
-    label: `${getCountryName(country)} (${countryCounts[country]})`
-  }));
-  countryMultiselect.setOptions(countryOptions);
+// Summarize which videos needed API lookups in a capture
+function describeLookups(lookups) {
+  const parts = [
+    `${lookups.new} new`,
+    `${lookups.refreshed} refreshed`,
+    `${lookups.skipped} unchanged`
+  ];
+  if (lookups.failed) {
+    parts.push(`${lookups.failed} failed`);
+  }
+  if (lookups.skippedForQuota) {
+    parts.push(`${lookups.skippedForQuota} left out to stay within today's quota budget`);
+  }
+  return parts.join(', ');
 }
 
-// Handle filter change
-function handleFilterChange() {
-  // Get selected values from multiselects
-  const selectedLanguages = languageMultiselect.getSelectedValues();
-  const selectedCountries = countryMultiselect.getSelectedValues();
+// Facet matchers, shared by filtering and the cross-filtered option counts
+const FACET_MATCHERS = {
+  selectedLanguages: (video, selected) =>
+    getFilterLanguages(video).some(language => selected.includes(language)),
+  selectedCountries: (video, selected) => selected.includes(getFilterCountry(video)),
+  selectedSources: (video, selected) => getCaptureSources(video).some(source => selected.includes(source)),
+  selectedCategories: (video, selected) => selected.includes(video.categoryId),
+  selectedTopics: (video, selected) => (video.topics || []).some(topic => selected.includes(topic)),
+  selectedChannels: (video, selected) => selected.includes(getChannelKey(video)),
+  selectedFormats: (video, selected) => selected.includes(getVideoFormat(video)),
+  selectedCaptionLanguages: (video, selected) =>
+    getCaptionLanguages(video).some(language => selected.includes(language))
+};
 
-  currentFilters = {
-    ...currentFilters,
-    selectedLanguages,
-    selectedCountries,
-    sortBy: sortSelect.value
-  };
+// Languages the filters see, or ["unknown"] so untagged videos can be reviewed;
+// inferred ones count as unknown in confirmed-only mode
+function getFilterLanguages(video) {
+  if (currentFilters.confirmedOnly && !isConfirmedValue(video, 'language')) {
+    return ['unknown'];
+  }
+  const languages = [video.defaultLanguage, video.defaultAudioLanguage]
+    .filter(language => language && language !== 'unknown');
+  return languages.length > 0 ? languages : ['unknown'];
+}
 
-  // For language filter: show all languages, but filtered by selected countries (if any)
-  let videosForLanguageFilter = allVideos;
-  if (selectedCountries.length > 0) {
-    videosForLanguageFilter = videosForLanguageFilter.filter(video =>
-      selectedCountries.includes(video.regionCode)
-    );
+function getFilterCountry(video) {
+  if (currentFilters.confirmedOnly && !isConfirmedValue(video, 'country')) {
+    return 'unknown';
   }
+  return video.regionCode || 'unknown';
+}
 
-  // For country filter: show all countries, but filtered by selected languages (if any)
-  let videosForCountryFilter = allVideos;
-  if (selectedLanguages.length > 0) {
-    videosForCountryFilter = videosForCountryFilter.filter(video =>
-      selectedLanguages.includes(video.defaultLanguage) ||
-      selectedLanguages.includes(video.defaultAudioLanguage)
-    );
+// Check a video against the search query and every facet except `skipFacet`
+function matchesFilters(video, skipFacet = null) {
+  for (const [facet, matcher] of Object.entries(FACET_MATCHERS)) {
+    const selected = currentFilters[facet];
+    if (facet === skipFacet || selected.length === 0) continue;
+    if (!matcher(video, selected)) return false;
   }
 
-  // Update filter options with separate video sets
-  updateFilterOptions(videosForLanguageFilter, videosForCountryFilter);
+  if (currentFilters.searchQuery) {
+    const searchLower = currentFilters.searchQuery;
+    if (!video.title.toLowerCase().includes(searchLower) &&
+        !video.channelTitle.toLowerCase().includes(searchLower)) {
+      return false;
+    }
+  }
+
+  return true;
+}
 
-  // Apply filters and render
+// Count values across videos; getValue returns an array for multi-valued facets (topics)
+function countBy(videos, getValue) {
+  const counts = {};
+  videos.forEach(video => {
+    new Set([].concat(getValue(video))).forEach(value => {
+      if (value) {
+        counts[value] = (counts[value] || 0) + 1;
+      }
+    });
+  });
+  return counts;
+}
+
+// Turn counts into multiselect options, sorted by count (descending) with Unknown last
+function toFacetOptions(counts, getLabel) {
+  return Object.keys(counts)
+    .sort((a, b) => (a === 'unknown') - (b === 'unknown') || counts[b] - counts[a])
+    .map(value => ({
+      value,
+      label: `${getLabel(value)} (${counts[value]})`
+    }));
+}
+
+// Update filter options; each facet counts the videos matching all the other filters
+function updateFilterOptions() {
+  const languageCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedLanguages')),
+    getFilterLanguages
+  );
+  languageMultiselect.setOptions(toFacetOptions(languageCounts, getLanguageName));
+
+  const countryCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedCountries')),
+    getFilterCountry
+  );
+  countryMultiselect.setOptions(toFacetOptions(countryCounts, getCountryName));
+
+  const sourceCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedSources')),
+    getCaptureSources
+  );
+  sourceMultiselect.setOptions(toFacetOptions(sourceCounts, getSourceName));
+
+  const categoryCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedCategories')),
+    video => video.categoryId
+  );
+  categoryMultiselect.setOptions(toFacetOptions(categoryCounts, getCategoryName));
+
+  const topicCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedTopics')),
+    video => video.topics || []
+  );
+  topicMultiselect.setOptions(toFacetOptions(topicCounts, topic => topic));
+
+  const channelVideos = allVideos.filter(video => matchesFilters(video, 'selectedChannels'));
+  const channelNames = Object.fromEntries(channelVideos.map(video =>
+    [getChannelKey(video), channelsById[video.channelId]?.title || video.channelTitle]
+  ));
+  const channelCounts = countBy(channelVideos, getChannelKey);
+  channelMultiselect.setOptions(toFacetOptions(channelCounts, key => channelNames[key] || key));
+
+  const formatCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedFormats')),
+    getVideoFormat
+  );
+  formatMultiselect.setOptions(toFacetOptions(formatCounts, format => VIDEO_FORMATS[format] || format));
+
+  const captionCounts = countBy(
+    allVideos.filter(video => matchesFilters(video, 'selectedCaptionLanguages')),
+    getCaptionLanguages
+  );
+  captionMultiselect.setOptions(toFacetOptions(captionCounts, getCaptionLanguageLabel));
+}
+
+// Caption facet labels; videos without tracks and those not looked up get options of their own
+function getCaptionLanguageLabel(language) {
+  if (language === 'none') return 'No captions';
+  if (language === 'unknown') return 'Not looked up';
+  return getLanguageName(language);
+}
+
+// Handle filter change
+function handleFilterChange() {
+  currentFilters = {
+    ...currentFilters,
+    selectedLanguages: languageMultiselect.getSelectedValues(),
+    selectedCountries: countryMultiselect.getSelectedValues(),
+    selectedSources: sourceMultiselect.getSelectedValues(),
+    selectedCategories: categoryMultiselect.getSelectedValues(),
+    selectedTopics: topicMultiselect.getSelectedValues(),
+    selectedChannels: channelMultiselect.getSelectedValues(),
+    selectedFormats: formatMultiselect.getSelectedValues(),
+    selectedCaptionLanguages: captionMultiselect.getSelectedValues(),
+    sortBy: sortSelect.value,
+    confirmedOnly: confirmedOnlyInput.checked
+  };
+
+  updateFilterOptions();
   applyFilters();
 }
 
@@ -406,51 +844,13 @@ function handleFilterChange() {
 function handleSearchChange() {
   currentFilters.searchQuery = searchInput.value.trim().toLowerCase();
 
-  // Get videos matching search
-  let searchedVideos = allVideos;
-
-  if (currentFilters.searchQuery) {
-    searchedVideos = searchedVideos.filter(video =>
-      video.title.toLowerCase().includes(currentFilters.searchQuery) ||
-      video.channelTitle.toLowerCase().includes(currentFilters.searchQuery)
-    );
-  }
-
-  // Update filter options based on search results (both filters use searched videos)
-  updateFilterOptions(searchedVideos, searchedVideos);
-
+  updateFilterOptions();
   applyFilters();
 }
 
 // Apply filters
 function applyFilters() {
-  filteredVideos = allVideos.filter(video => {
-    // Language filter
-    if (currentFilters.selectedLanguages.length > 0) {
-      if (!currentFilters.selectedLanguages.includes(video.defaultLanguage) &&
-          !currentFilters.selectedLanguages.includes(video.defaultAudioLanguage)) {
-        return false;
-      }
-    }
-
-    // Country filter
-    if (currentFilters.selectedCountries.length > 0) {
-      if (!currentFilters.selectedCountries.includes(video.regionCode)) {
-        return false;
-      }
-    }
-
-    // Search filter
-    if (currentFilters.searchQuery) {
-      const searchLower = currentFilters.searchQuery;
-      if (!video.title.toLowerCase().includes(searchLower) &&
-          !video.channelTitle.toLowerCase().includes(searchLower)) {
-        return false;
-      }
-    }
-
-    return true;
-  });
+  filteredVideos = allVideos.filter(video => matchesFilters(video));
 
   // Sort
   sortVideos();
@@ -472,6 +872,16 @@ function sortVideos() {
     case 'title':
       filteredVideos.sort((a, b) => a.title.localeCompare(b.title));
       break;
+    case 'position':
+      // Order of the latest capture each video appeared in
+      filteredVideos.sort(compareFeedPosition);
+      break;
+    case 'persistence':
+      filteredVideos.sort(comparePersistence);
+      break;
+    case 'growth':
+      filteredVideos.sort(compareGrowth);
+      break;
   }
 }
 
@@ -495,31 +905,192 @@ function createVideoCard(video) {
   card.onclick = () => openVideo(video.id);
 
   const thumbnail = video.thumbnail || 'https://via.placeholder.com/320x180?text=No+Thumbnail';
-  const duration = formatDuration(video.duration);
 
   card.innerHTML = `
     <div class="video-thumbnail-container">
       <img src="${thumbnail}" alt="${video.title}" class="video-thumbnail" loading="lazy">
-      ${duration ? `<span class="video-duration">${duration}</span>` : ''}
+      ${renderDurationOverlay(video)}
     </div>
     <div class="video-info">
       <h3 class="video-title">${escapeHtml(video.title)}</h3>
-      <p class="video-channel">${escapeHtml(video.channelTitle)}</p>
+      ${renderChannel(video)}
       <div class="video-metadata">
-        <span class="badge language" title="Language">${getLanguageName(video.defaultLanguage)}</span>
+        ${renderFormatBadge(video)}
+        ${renderProvenanceBadge(video, 'language', getLanguageName(video.defaultLanguage))}
         ${video.regionCode && video.regionCode !== 'unknown'
-          ? `<span class="badge country" title="Country">${getCountryName(video.regionCode)}</span>`
+          ? renderProvenanceBadge(video, 'country', getCountryName(video.regionCode))
           : ''}
+        ${video.categoryId ? `<span class="badge category">${escapeHtml(getCategoryName(video.categoryId))}</span>` : ''}
+        ${renderRankBadge(video)}
+        ${renderCaptionBadges(video)}
+        <button class="edit-metadata-btn" title="Correct language or country">✎</button>
       </div>
+      ${renderSchedule(video)}
+      <p class="video-source">via ${escapeHtml(describeCaptureSource(video))}</p>
       <p class="video-stats">
-        ${formatViews(video.viewCount)} views • ${formatRelativeTime(video.publishedAt)}
+        ${renderViewsAndAge(video)}
+        ${renderSightings(video)}
+        ${renderStatsSparkline(video)}
       </p>
     </div>
   `;
 
+  // The card itself opens the video
+  card.querySelector('.edit-metadata-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openMetadataEditor(video);
+  });
+
   return card;
 }
 
+// Channel name, with avatar and subscriber count when the channel details are stored
+function renderChannel(video) {
+  const channel = channelsById[video.channelId];
+  const avatar = channel?.thumbnail
+    ? `<img src="${channel.thumbnail}" alt="" class="channel-avatar" loading="lazy">`
+    : '';
+  const subscribers = channel && channel.subscriberCount !== null && channel.subscriberCount !== undefined
+    ? ` <span class="channel-subscribers">• ${formatViews(channel.subscriberCount)} subscribers</span>`
+    : '';
+
+  return `<p class="video-channel">${avatar}${escapeHtml(video.channelTitle)}${subscribers}</p>`;
+}
+
+// Page-scraped counts and dates are rounded as YouTube displays them
+function renderViewsAndAge(video) {
+  const approximate = video.metadataSource === 'page';
+  const prefix = approximate ? '≈' : '';
+  const title = approximate ? ' title="Approximate (scraped from the page)"' : '';
+  const age = video.publishedAt ? ` • ${prefix}${formatRelativeTime(video.publishedAt)}` : '';
+
+  return `<span${title}>${prefix}${formatViews(video.viewCount)} views${age}</span>`;
+}
+
+// Duration on the thumbnail; streams have none, so they say LIVE or UPCOMING instead
+function renderDurationOverlay(video) {
+  const format = getVideoFormat(video);
+  if (format === 'live' || format === 'upcoming') {
+    return `<span class="video-duration ${format}">${VIDEO_FORMATS[format]}</span>`;
+  }
+
+  const duration = formatDuration(video.duration);
+  return duration ? `<span class="video-duration">${duration}</span>` : '';
+}
+
+// Language codes shown on a caption badge; the tooltip names them all
+const CAPTION_BADGE_LANGUAGES = 3;
+
+// Caption languages, with uploaded and auto-generated tracks in separate badges
+function renderCaptionBadges(video) {
+  const tracks = video.captionTracks;
+  if (!tracks) return '';
+
+  return renderCaptionBadge(tracks.manual, 'CC', 'Captions', 'captions') +
+    renderCaptionBadge(tracks.auto, 'Auto', 'Auto-generated captions', 'captions auto');
+}
+
+function renderCaptionBadge(languages, prefix, description, className) {
+  if (languages.length === 0) return '';
+
+  const shown = languages.slice(0, CAPTION_BADGE_LANGUAGES).map(language => language.toUpperCase());
+  const more = languages.length > shown.length ? ` +${languages.length - shown.length}` : '';
+  const title = `${description}: ${languages.map(getLanguageName).join(', ')}`;
+  return `<span class="badge ${className}" title="${escapeHtml(title)}">${prefix} ${shown.join(' ')}${more}</span>`;
+}
+
+// Badge for anything other than a regular video
+function renderFormatBadge(video) {
+  const format = getVideoFormat(video);
+  if (format === 'regular') return '';
+
+  return `<span class="badge format ${format}">${VIDEO_FORMATS[format]}</span>`;
+}
+
+// Scheduled start of an upcoming stream or premiere
+function renderSchedule(video) {
+  const format = getVideoFormat(video);
+  if ((format !== 'upcoming' && format !== 'premiere') || !video.scheduledStartAt) return '';
+
+  const startsAt = new Date(video.scheduledStartAt).getTime();
+  const when = startsAt > Date.now()
+    ? `Starts ${formatTimeUntil(startsAt)}`
+    : 'Was scheduled to start';
+
+  return `<p class="video-schedule">${when} · ${new Date(startsAt).toLocaleString()}</p>`;
+}
+
+// Typical feed rank, with the latest grid position in the tooltip
+function renderRankBadge(video) {
+  const typicalRank = getTypicalRank(video);
+  if (typicalRank === null) return '';
+
+  const latest = getLatestPosition(video);
+  const captureCount = video.positions.length;
+  const details = [`Typical rank across ${captureCount} capture${captureCount !== 1 ? 's' : ''}`];
+  if (latest.row !== null) {
+    details.push(`latest: #${latest.rank}, row ${latest.row}, column ${latest.column}`);
+  } else {
+    details.push(`latest: #${latest.rank}`);
+  }
+  if (latest.shelf) {
+    details.push(`shelf: ${latest.shelf}`);
+  }
+
+  return `<span class="badge rank" title="${escapeHtml(details.join('; '))}">#${typicalRank}</span>`;
+}
+
+// Language or country badge, marked when the value was guessed rather than read from the API
+function renderProvenanceBadge(video, field, label) {
+  const provenance = getProvenance(video, field);
+  const { label: sourceLabel, inferred } = PROVENANCE_SOURCES[provenance.source];
+  const confidence = provenance.confidence === null ? '' : `, ${Math.round(provenance.confidence * 100)}% confidence`;
+  const title = `${field === 'language' ? 'Language' : 'Country'}: ${sourceLabel}${confidence}`;
+
+  return `<span class="badge ${field}${inferred ? ' inferred' : ''}" title="${escapeHtml(title)}">` +
+    `${inferred ? '≈ ' : ''}${label}</span>`;
+}
+
+// Views over time, from the polled statistics points
+function renderStatsSparkline(video) {
+  const points = video.statsHistory || [];
+  if (points.length < 2) return '';
+
+  const width = 60;
+  const height = 16;
+  const [firstAt] = points[0];
+  const span = Math.max(points[points.length - 1][0] - firstAt, 1);
+  const views = points.map(([, viewCount]) => viewCount);
+  const minViews = Math.min(...views);
+  const viewRange = Math.max(Math.max(...views) - minViews, 1);
+
+  const coordinates = points.map(([at, viewCount]) => {
+    const x = ((at - firstAt) / span) * width;
+    const y = height - 1 - ((viewCount - minViews) / viewRange) * (height - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const rate = getViewGrowthRate(video);
+  const title = rate === null
+    ? `${points.length} statistics points`
+    : `${rate >= 0 ? '+' : ''}${formatViews(Math.round(rate))} views/hour lately`;
+
+  return `<svg class="stats-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+    <title>${title}</title>
+    <polyline points="${coordinates}" />
+  </svg>`;
+}
+
+// How often the video was recommended, with first/last seen in the tooltip
+function renderSightings(video) {
+  const count = video.sightingCount || 1;
+  const firstSeen = video.firstSeen || video.capturedAt;
+  const lastSeen = video.lastSeen || video.capturedAt;
+  const details = `First seen ${formatRelativeTime(firstSeen)}, last seen ${formatRelativeTime(lastSeen)}`;
+
+  return `• <span class="video-sightings" title="${details}">seen ${count}×</span>`;
+}
+
 // Open video in YouTube
 function openVideo(videoId) {
   chrome.tabs.create({
@@ -536,22 +1107,41 @@ function openSettings() {
 function clearFilters() {
   languageMultiselect.clear();
   countryMultiselect.clear();
+  sourceMultiselect.clear();
+  categoryMultiselect.clear();
+  topicMultiselect.clear();
+  channelMultiselect.clear();
+  formatMultiselect.clear();
+  captionMultiselect.clear();
   sortSelect.value = 'date';
   searchInput.value = '';
+  confirmedOnlyInput.checked = false;
 
   currentFilters = {
     selectedLanguages: [],
     selectedCountries: [],
+    selectedSources: [],
+    selectedCategories: [],
+    selectedTopics: [],
+    selectedChannels: [],
+    selectedFormats: [],
+    selectedCaptionLanguages: [],
     sortBy: 'date',
-    searchQuery: ''
+    searchQuery: '',
+    confirmedOnly: false
   };
 
-  // Reset filter options to show all videos (both filters use all videos)
-  updateFilterOptions(allVideos, allVideos);
-
+  updateFilterOptions();
   applyFilters();
 }
 
+// Show all of one channel's videos, picked in the channel directory
+function showChannel(channelKey) {
+  clearFilters();
+  channelMultiselect.setSelectedValues([channelKey]);
+  handleFilterChange();
+}
+
 // Update metadata
 function updateMetadata(data) {
   // Last capture time
@@ -561,8 +1151,10 @@ function updateMetadata(data) {
     lastCaptureTime.textContent = 'Never';
   }
 
-  // Video count
-  videoCountNumber.textContent = allVideos.length;
+  // Video count, plus videos the language rules hide
+  videoCountNumber.textContent = data.hiddenCount
+    ? `${allVideos.length} (${data.hiddenCount} hidden)`
+    : allVideos.length;
 
   // Storage usage
   if (data.storageUsage) {
@@ -603,7 +1195,13 @@ function showError(error) {
 function showCaptureModal() {
   captureModal.style.display = 'flex';
   captureProgress.style.width = '0%';
+  captureStageText.textContent = '';
   captureProgressText.textContent = 'Initializing capture...';
+  cancelCaptureBtn.disabled = false;
+  cancelCaptureBtn.style.display = '';
+  captureReport.style.display = 'none';
+  retryFailedBtn.style.display = 'none';
+  closeCaptureBtn.style.display = 'none';
 }
 
 function hideCaptureModal() {
@@ -611,10 +1209,28 @@ function hideCaptureModal() {
 }
 
 // Utility functions
+function getSourceName(source) {
+  return CAPTURE_SOURCES[source] || source;
+}
+
+// Category names are looked up during captures; until then only the ID is known
+function getCategoryName(categoryId) {
+  return categoriesById[categoryId]?.title || `Category ${categoryId}`;
+}
+
+// Describe where a video was captured, including the search query or channel
+function describeCaptureSource(video) {
+  const name = getSourceName(video.captureSource || 'homepage');
+  if (video.captureQuery) return `${name}: "${video.captureQuery}"`;
+  if (video.captureChannel) return `${name}: ${video.captureChannel}`;
+  return name;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Also safe inside double-quoted attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 function formatDuration(duration) {
@@ -0,0 +1,121 @@
+import { MESSAGE_TYPES, PROVENANCE_SOURCES } from '../../shared/constants.js';
+import {
+  getLanguageName,
+  getCountryName,
+  getLanguageOptions,
+  getCountryOptions,
+  getProvenance
+} from '../../shared/utils.js';
+
+// Language/country editor for a single video card, optionally saved as a rule
+// for every video of the channel
+
+const metadataModal = document.getElementById('metadata-modal');
+const metadataVideoTitle = document.getElementById('metadata-video-title');
+const languageSelect = document.getElementById('metadata-language-select');
+const countrySelect = document.getElementById('metadata-country-select');
+const currentLanguageText = document.getElementById('metadata-current-language');
+const currentCountryText = document.getElementById('metadata-current-country');
+const applyChannelInput = document.getElementById('metadata-apply-channel');
+const applyChannelLabel = document.getElementById('metadata-apply-channel-label');
+const metadataStatus = document.getElementById('metadata-status');
+const saveBtn = document.getElementById('metadata-save-btn');
+
+let editingVideo = null;
+let onSaved = () => {};
+
+/**
+ * Wire up the metadata editor modal
+ * @param {Object} options - Options
+ * @param {Function} options.onSaved - Called after a correction is stored
+ */
+export function setupMetadataEditor(options) {
+  onSaved = options.onSaved;
+
+  fillSelect(languageSelect, getLanguageOptions());
+  fillSelect(countrySelect, getCountryOptions());
+
+  saveBtn.addEventListener('click', saveCorrection);
+  document.getElementById('metadata-cancel-btn').addEventListener('click', closeMetadataEditor);
+}
+
+/**
+ * Open the editor for a video
+ * @param {Object} video - Video object
+ */
+export function openMetadataEditor(video) {
+  editingVideo = video;
+
+  metadataVideoTitle.textContent = video.title;
+  languageSelect.value = '';
+  countrySelect.value = '';
+  currentLanguageText.textContent = describeCurrentValue(video, 'language', getLanguageName(video.defaultLanguage));
+  currentCountryText.textContent = describeCurrentValue(video, 'country', getCountryName(video.regionCode));
+
+  applyChannelInput.checked = false;
+  applyChannelInput.disabled = !video.channelId;
+  applyChannelLabel.textContent = `Apply to every video from ${video.channelTitle}`;
+
+  metadataStatus.textContent = '';
+  saveBtn.disabled = false;
+  metadataModal.style.display = 'flex';
+}
+
+function closeMetadataEditor() {
+  metadataModal.style.display = 'none';
+  editingVideo = null;
+}
+
+// Store the correction; "No change" fields are left out
+async function saveCorrection() {
+  const correction = {};
+  if (languageSelect.value) correction.language = languageSelect.value;
+  if (countrySelect.value) correction.country = countrySelect.value;
+
+  if (Object.keys(correction).length === 0) {
+    metadataStatus.textContent = 'Pick a language or country first.';
+    return;
+  }
+
+  saveBtn.disabled = true;
+  metadataStatus.textContent = 'Saving...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.CORRECT_VIDEO_METADATA,
+      data: {
+        videoId: editingVideo.id,
+        correction,
+        applyToChannel: applyChannelInput.checked
+      }
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    closeMetadataEditor();
+    onSaved();
+  } catch (error) {
+    console.error('Error saving correction:', error);
+    metadataStatus.textContent = `Could not save: ${error.message}`;
+    saveBtn.disabled = false;
+  }
+}
+
+// Picker options, with "No change" first
+function fillSelect(select, options) {
+  select.innerHTML = '';
+  [{ code: '', name: 'No change' }, ...options].forEach(({ code, name }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+}
+
+// Current value and where it came from
+function describeCurrentValue(video, field, name) {
+  const { label } = PROVENANCE_SOURCES[getProvenance(video, field).source];
+  return `Currently: ${name} — ${label}`;
+}
@@ -1,13 +1,73 @@
-import { STORAGE_KEYS, DEFAULT_SETTINGS, MESSAGE_TYPES } from '../../shared/constants.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_SETTINGS,
+  MESSAGE_TYPES,
+  SCHEDULER,
+  CAPTURE_SOURCES,
+  BUILTIN_SELECTOR_PROFILES,
+  SELECTOR_HEALTH_STATUS,
+  YOUTUBE_API,
+  API_FIXTURES,
+  CHANNEL_CACHE,
+  LANGUAGE_RULE_ACTIONS,
+  METADATA_PROVIDERS,
+  CAPTION_LOOKUPS
+} from '../../shared/constants.js';
+import {
+  formatRelativeTime,
+  normalizeLanguageCode,
+  getLanguageName,
+  getCountryName,
+  getApiKeys
+} from '../../shared/utils.js';
 
 // DOM Elements
-const apiKeyInput = document.getElementById('api-key');
+const metadataSourceInputs = document.querySelectorAll('input[name="metadata-source"]');
+const metadataProviderSelect = document.getElementById('metadata-provider');
+const providerInstanceGroup = document.getElementById('provider-instance-group');
+const providerInstanceUrlInput = document.getElementById('provider-instance-url');
+const testProviderBtn = document.getElementById('test-provider');
+const providerStatusDiv = document.getElementById('provider-status');
+const apiKeysDiv = document.getElementById('api-keys');
+const addApiKeyBtn = document.getElementById('add-api-key');
 const toggleVisibilityBtn = document.getElementById('toggle-visibility');
-const validateKeyBtn = document.getElementById('validate-key');
 const saveApiKeyBtn = document.getElementById('save-api-key');
 const apiStatusDiv = document.getElementById('api-status');
+const apiModeSelect = document.getElementById('api-mode');
+const apiBaseUrlInput = document.getElementById('api-base-url');
+const fixtureStatsText = document.getElementById('fixture-stats');
+const exportFixturesBtn = document.getElementById('export-fixtures');
+const importFixturesBtn = document.getElementById('import-fixtures');
+const importFixturesFile = document.getElementById('import-fixtures-file');
+const clearFixturesBtn = document.getElementById('clear-fixtures');
+const fixtureStatusDiv = document.getElementById('fixture-status');
+const dailyQuotaBudgetInput = document.getElementById('daily-quota-budget');
+const channelCacheTtlInput = document.getElementById('channel-cache-ttl');
+const channelCacheStats = document.getElementById('channel-cache-stats');
+const statsRefreshHoursInput = document.getElementById('stats-refresh-hours');
+const statsPollingInput = document.getElementById('stats-polling');
+const captionLookupsInput = document.getElementById('caption-lookups');
+const captionQuotaBudgetInput = document.getElementById('caption-quota-budget');
+const quotaTodayText = document.getElementById('quota-today');
+const quotaHistoryDiv = document.getElementById('quota-history');
 const targetVideoCountInput = document.getElementById('target-video-count');
 const maxStoredVideosInput = document.getElementById('max-stored-videos');
+const passiveCaptureInput = document.getElementById('passive-capture');
+const autoCaptureInput = document.getElementById('auto-capture');
+const captureIntervalInput = document.getElementById('capture-interval');
+const languageRulesDiv = document.getElementById('language-rules');
+const addLanguageRuleBtn = document.getElementById('add-language-rule');
+const languageRuleModeSelect = document.getElementById('language-rule-mode');
+const channelOverridesDiv = document.getElementById('channel-overrides');
+const passiveTabsDiv = document.getElementById('passive-tabs');
+const selectorProfileSelect = document.getElementById('selector-profile');
+const selectorProfileJson = document.getElementById('selector-profile-json');
+const duplicateProfileBtn = document.getElementById('duplicate-profile');
+const saveProfileBtn = document.getElementById('save-profile');
+const deleteProfileBtn = document.getElementById('delete-profile');
+const selectorStatusDiv = document.getElementById('selector-status');
+const selectorWarningDiv = document.getElementById('selector-warning');
+const selectorHealthDiv = document.getElementById('selector-health');
 const storageUsedSpan = document.getElementById('storage-used');
 const storageProgressDiv = document.getElementById('storage-progress');
 const clearVideosBtn = document.getElementById('clear-videos');
@@ -17,6 +77,7 @@ const apiHelpLink = document.getElementById('api-help-link');
 
 // State
 let settings = { ...DEFAULT_SETTINGS };
+let apiKeysVisible = false;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
@@ -24,7 +85,16 @@ document.addEventListener('DOMContentLoaded', init);
 async function init() {
   await loadSettings();
   await updateStorageInfo();
+  await updateFixtureStats();
+  await loadQuotaUsage();
+  await loadChannelOverrides();
+  await loadPassiveTabs();
+  renderSelectorProfiles();
+  await loadSelectorHealth();
   setupEventListeners();
+
+  // Keep passive counters current while the page is open
+  setInterval(loadPassiveTabs, 5000);
 }
 
 // Load settings from storage
@@ -35,92 +105,294 @@ async function loadSettings() {
   }
 
   // Populate form
-  apiKeyInput.value = settings.apiKey || '';
+  metadataSourceInputs.forEach(input => {
+    input.checked = input.value === settings.metadataSource;
+  });
+  metadataProviderSelect.innerHTML = Object.entries(METADATA_PROVIDERS)
+    .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+    .join('');
+  metadataProviderSelect.value = settings.metadataProvider || DEFAULT_SETTINGS.metadataProvider;
+  providerInstanceUrlInput.value = settings.providerInstanceUrl || '';
+  updateProviderFields();
+  renderApiKeys(getApiKeys(settings));
+  apiModeSelect.value = settings.apiMode || 'live';
+  apiBaseUrlInput.value = settings.apiBaseUrl || '';
+  dailyQuotaBudgetInput.value = settings.dailyQuotaBudget || YOUTUBE_API.DAILY_QUOTA;
+  dailyQuotaBudgetInput.max = YOUTUBE_API.DAILY_QUOTA * Math.max(getApiKeys(settings).length, 1);
+  channelCacheTtlInput.value = settings.channelCacheTtlHours ?? DEFAULT_SETTINGS.channelCacheTtlHours;
+  statsRefreshHoursInput.value = settings.statsRefreshHours ?? DEFAULT_SETTINGS.statsRefreshHours;
+  statsPollingInput.checked = settings.statsPolling ?? DEFAULT_SETTINGS.statsPolling;
+  captionLookupsInput.checked = settings.captionLookups ?? DEFAULT_SETTINGS.captionLookups;
+  captionQuotaBudgetInput.value = settings.captionQuotaBudget ?? DEFAULT_SETTINGS.captionQuotaBudget;
   targetVideoCountInput.value = settings.targetVideoCount || 100;
   maxStoredVideosInput.value = settings.maxStoredVideos || 500;
+  passiveCaptureInput.checked = Boolean(settings.passiveCapture);
+  autoCaptureInput.checked = Boolean(settings.autoCapture);
+  captureIntervalInput.value = settings.captureInterval || 60;
+  languageRuleModeSelect.value = settings.languageRuleMode || DEFAULT_SETTINGS.languageRuleMode;
+  renderLanguageRules(settings.languageRules || DEFAULT_SETTINGS.languageRules);
 }
 
 // Setup event listeners
 function setupEventListeners() {
+  metadataProviderSelect.addEventListener('change', updateProviderFields);
+  testProviderBtn.addEventListener('click', testProvider);
+  addApiKeyBtn.addEventListener('click', () => addApiKeyRow({ label: '', key: '' }));
   toggleVisibilityBtn.addEventListener('click', toggleApiKeyVisibility);
-  validateKeyBtn.addEventListener('click', validateApiKey);
-  saveApiKeyBtn.addEventListener('click', saveApiKey);
+  saveApiKeyBtn.addEventListener('click', saveApiKeys);
   clearVideosBtn.addEventListener('click', clearVideos);
   saveSettingsBtn.addEventListener('click', saveAllSettings);
   apiHelpLink.addEventListener('click', openApiSetupGuide);
+  selectorProfileSelect.addEventListener('change', activateSelectorProfile);
+  duplicateProfileBtn.addEventListener('click', duplicateSelectorProfile);
+  saveProfileBtn.addEventListener('click', saveSelectorProfile);
+  deleteProfileBtn.addEventListener('click', deleteSelectorProfile);
+  exportFixturesBtn.addEventListener('click', exportFixtures);
+  importFixturesBtn.addEventListener('click', () => importFixturesFile.click());
+  importFixturesFile.addEventListener('change', importFixtures);
+  clearFixturesBtn.addEventListener('click', clearFixtures);
+  addLanguageRuleBtn.addEventListener('click', () => addLanguageRuleRow({ action: 'exclude', languages: [] }));
+}
+
+// Only Invidious and Piped need an instance URL
+function updateProviderFields() {
+  const provider = METADATA_PROVIDERS[metadataProviderSelect.value];
+  providerInstanceGroup.style.display = provider.needsInstance ? '' : 'none';
+  providerStatusDiv.style.display = 'none';
+}
+
+// Check the instance answers, before saving it
+async function testProvider() {
+  const metadataProvider = metadataProviderSelect.value;
+  const providerInstanceUrl = providerInstanceUrlInput.value.trim().replace(/\/+$/, '');
+
+  if (!providerInstanceUrl) {
+    showProviderStatus('Please enter the instance URL', 'error');
+    return;
+  }
+  if (!await requestHostPermission(providerInstanceUrl, 'Instance URL', showProviderStatus)) {
+    return;
+  }
+
+  showProviderStatus('Connecting...', 'info');
+  testProviderBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.VALIDATE_API_KEY,
+      data: { metadataProvider, providerInstanceUrl }
+    });
+
+    if (!response.success) {
+      showProviderStatus(`✗ Error testing the instance: ${response.error}`, 'error');
+    } else if (response.isValid) {
+      showProviderStatus(`✓ ${response.message}`, 'success');
+    } else {
+      showProviderStatus(`✗ ${response.message}`, 'error');
+    }
+  } catch (error) {
+    showProviderStatus(`✗ Error testing the instance: ${error.message}`, 'error');
+  } finally {
+    testProviderBtn.disabled = false;
+  }
+}
+
+// Render one row per API key, or an empty row to fill in
+function renderApiKeys(apiKeys) {
+  apiKeysDiv.innerHTML = '';
+  (apiKeys.length > 0 ? apiKeys : [{ label: '', key: '' }]).forEach(addApiKeyRow);
+}
+
+function addApiKeyRow(apiKey) {
+  const row = document.createElement('div');
+  row.className = 'api-key';
+  row.dataset.keyId = apiKey.id || `key-${Date.now()}-${apiKeysDiv.children.length}`;
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.className = 'api-key-label';
+  label.placeholder = `Key ${apiKeysDiv.children.length + 1}`;
+  label.value = apiKey.label;
+
+  const key = document.createElement('input');
+  key.type = apiKeysVisible ? 'text' : 'password';
+  key.className = 'api-key-value';
+  key.placeholder = 'Enter your YouTube Data API v3 key';
+  key.autocomplete = 'off';
+  key.value = apiKey.key;
+
+  const usage = document.createElement('span');
+  usage.className = 'api-key-usage';
+
+  const validate = document.createElement('button');
+  validate.type = 'button';
+  validate.className = 'btn btn-secondary btn-small';
+  validate.textContent = 'Validate';
+  validate.addEventListener('click', () => validateApiKey(row, validate));
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+
+  row.appendChild(label);
+  row.appendChild(key);
+  row.appendChild(usage);
+  row.appendChild(validate);
+  row.appendChild(remove);
+  apiKeysDiv.appendChild(row);
+}
+
+// ID of the key in a row. A row whose key was replaced gets a new ID, so the
+// old key's usage and errors in the quota ledger stay behind.
+function getApiKeyId(row, key) {
+  const savedKey = getApiKeys(settings).find(apiKey => apiKey.id === row.dataset.keyId);
+  if (savedKey && savedKey.key !== key) {
+    row.dataset.keyId = `key-${Date.now()}-${[...apiKeysDiv.children].indexOf(row)}`;
+  }
+  return row.dataset.keyId;
+}
+
+// Read the key rows back into settings, or null (with an error shown) if one is invalid
+function readApiKeys(showStatus) {
+  const apiKeys = [];
+
+  for (const [index, row] of [...apiKeysDiv.querySelectorAll('.api-key')].entries()) {
+    const label = row.querySelector('.api-key-label').value.trim() || `Key ${index + 1}`;
+    const key = row.querySelector('.api-key-value').value.trim();
+    if (!key) continue;
+
+    if (apiKeys.some(apiKey => apiKey.key === key)) {
+      showStatus(`"${label}" is the same key as another row`, 'error');
+      return null;
+    }
+
+    apiKeys.push({ id: getApiKeyId(row, key), label, key });
+  }
+
+  return apiKeys;
+}
+
+// Show today's usage of each key next to it
+function renderApiKeyUsage(usage) {
+  apiKeysDiv.querySelectorAll('.api-key').forEach(row => {
+    const usageSpan = row.querySelector('.api-key-usage');
+    const error = usage.keyErrors[row.dataset.keyId];
+    const units = usage.keys[row.dataset.keyId] || 0;
+
+    usageSpan.classList.toggle('error', Boolean(error));
+    if (error === 'quota') {
+      usageSpan.textContent = 'Out of quota today';
+    } else if (error === 'invalid-key') {
+      usageSpan.textContent = 'Rejected today';
+    } else {
+      usageSpan.textContent = `${units} units today`;
+    }
+  });
 }
 
 // Toggle API key visibility
 function toggleApiKeyVisibility() {
-  if (apiKeyInput.type === 'password') {
-    apiKeyInput.type = 'text';
-    toggleVisibilityBtn.textContent = '🙈';
-  } else {
-    apiKeyInput.type = 'password';
-    toggleVisibilityBtn.textContent = '👁️';
-  }
+  apiKeysVisible = !apiKeysVisible;
+  apiKeysDiv.querySelectorAll('.api-key-value').forEach(input => {
+    input.type = apiKeysVisible ? 'text' : 'password';
+  });
+  toggleVisibilityBtn.textContent = apiKeysVisible ? 'Hide Keys' : 'Show Keys';
 }
 
-// Validate API key
-async function validateApiKey() {
-  const apiKey = apiKeyInput.value.trim();
+// Validate the API key in one row
+async function validateApiKey(row, validateBtn) {
+  const label = row.querySelector('.api-key-label').value.trim() || 'API key';
+  const key = row.querySelector('.api-key-value').value.trim();
 
-  if (!apiKey) {
+  if (!key) {
     showApiStatus('Please enter an API key', 'error');
     return;
   }
 
-  showApiStatus('Validating API key...', 'info');
-  validateKeyBtn.disabled = true;
+  showApiStatus(`Validating ${label}...`, 'info');
+  validateBtn.disabled = true;
 
   try {
-    // Test API key by making a simple request
-    const testUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=dQw4w9WgXcQ&key=${apiKey}`;
-    const response = await fetch(testUrl);
-    const data = await response.json();
+    // The service worker makes the test call so it is counted in the quota ledger, against this key
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.VALIDATE_API_KEY,
+      data: {
+        metadataProvider: 'youtube-data-api',
+        apiKeys: [{ id: getApiKeyId(row, key), label, key }],
+        apiBaseUrl: apiBaseUrlInput.value.trim()
+      }
+    });
 
-    if (response.ok && data.items) {
-      showApiStatus('✓ API key is valid!', 'success');
-    } else if (data.error) {
-      showApiStatus(`✗ API key validation failed: ${data.error.message}`, 'error');
+    if (!response.success) {
+      showApiStatus(`✗ Error validating ${label}: ${response.error}`, 'error');
+    } else if (response.isValid) {
+      showApiStatus(`✓ ${label} is valid!`, 'success');
     } else {
-      showApiStatus('✗ API key validation failed', 'error');
+      showApiStatus(`✗ ${label} validation failed: ${response.message}`, 'error');
     }
+    await loadQuotaUsage();
   } catch (error) {
-    showApiStatus(`✗ Error validating API key: ${error.message}`, 'error');
+    showApiStatus(`✗ Error validating ${label}: ${error.message}`, 'error');
   } finally {
-    validateKeyBtn.disabled = false;
+    validateBtn.disabled = false;
   }
 }
 
-// Save API key
-async function saveApiKey() {
-  const apiKey = apiKeyInput.value.trim();
+// Save API keys
+async function saveApiKeys() {
+  const apiKeys = readApiKeys(showApiStatus);
+  if (!apiKeys) {
+    return;
+  }
 
-  if (!apiKey) {
+  if (apiKeys.length === 0) {
     showApiStatus('Please enter an API key', 'error');
     return;
   }
 
-  settings.apiKey = apiKey;
+  settings.apiKeys = apiKeys;
+  delete settings.apiKey;
 
   try {
     await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
-    showApiStatus('✓ API key saved successfully!', 'success');
+    showApiStatus(`✓ ${apiKeys.length === 1 ? 'API key' : `${apiKeys.length} API keys`} saved successfully!`, 'success');
+    await loadQuotaUsage();
   } catch (error) {
-    showApiStatus(`✗ Error saving API key: ${error.message}`, 'error');
+    showApiStatus(`✗ Error saving API keys: ${error.message}`, 'error');
   }
 }
 
 // Save all settings
 async function saveAllSettings() {
-  const apiKey = apiKeyInput.value.trim();
+  const apiKeys = readApiKeys(showSaveStatus);
   const targetVideoCount = parseInt(targetVideoCountInput.value);
   const maxStoredVideos = parseInt(maxStoredVideosInput.value);
+  const captureInterval = parseInt(captureIntervalInput.value);
+  const metadataSource = document.querySelector('input[name="metadata-source"]:checked')?.value || 'api';
+  const metadataProvider = metadataProviderSelect.value;
+  const provider = METADATA_PROVIDERS[metadataProvider];
+  const providerInstanceUrl = providerInstanceUrlInput.value.trim().replace(/\/+$/, '');
+  const apiMode = apiModeSelect.value;
+  const apiBaseUrl = apiBaseUrlInput.value.trim().replace(/\/+$/, '');
+  const dailyQuotaBudget = parseInt(dailyQuotaBudgetInput.value);
+  const channelCacheTtlHours = parseInt(channelCacheTtlInput.value);
+  const statsRefreshHours = parseInt(statsRefreshHoursInput.value);
+  const captionQuotaBudget = parseInt(captionQuotaBudgetInput.value);
 
   // Validate inputs
-  if (!apiKey) {
-    showSaveStatus('Please enter an API key', 'error');
+  if (!apiKeys) {
+    return;
+  }
+
+  if (metadataSource === 'api' && provider.requiresApiKey && apiMode !== 'replay' && apiKeys.length === 0) {
+    showSaveStatus('Please enter an API key, or scrape metadata from the page instead', 'error');
+    return;
+  }
+
+  if (metadataSource === 'api' && provider.needsInstance && !providerInstanceUrl) {
+    showSaveStatus(`Please enter the URL of the ${provider.label.toLowerCase()}`, 'error');
     return;
   }
 
@@ -134,19 +406,253 @@ async function saveAllSettings() {
     return;
   }
 
+  if (!(captureInterval >= SCHEDULER.MIN_INTERVAL_MINUTES && captureInterval <= SCHEDULER.MAX_INTERVAL_MINUTES)) {
+    showSaveStatus(`Capture interval must be between ${SCHEDULER.MIN_INTERVAL_MINUTES} and ${SCHEDULER.MAX_INTERVAL_MINUTES} minutes`, 'error');
+    return;
+  }
+
+  // Each key has its own daily quota
+  const maxQuotaBudget = YOUTUBE_API.DAILY_QUOTA * Math.max(apiKeys.length, 1);
+  if (!(dailyQuotaBudget >= 10 && dailyQuotaBudget <= maxQuotaBudget)) {
+    showSaveStatus(`Daily quota budget must be between 10 and ${maxQuotaBudget} units`, 'error');
+    return;
+  }
+
+  if (!(channelCacheTtlHours >= CHANNEL_CACHE.MIN_TTL_HOURS && channelCacheTtlHours <= CHANNEL_CACHE.MAX_TTL_HOURS)) {
+    showSaveStatus(`Channel refresh time must be between ${CHANNEL_CACHE.MIN_TTL_HOURS} and ${CHANNEL_CACHE.MAX_TTL_HOURS} hours`, 'error');
+    return;
+  }
+
+  if (!(statsRefreshHours >= 1 && statsRefreshHours <= 720)) {
+    showSaveStatus('Statistics refresh time must be between 1 and 720 hours', 'error');
+    return;
+  }
+
+  if (!(captionQuotaBudget >= CAPTION_LOOKUPS.MIN_QUOTA_BUDGET && captionQuotaBudget <= CAPTION_LOOKUPS.MAX_QUOTA_BUDGET)) {
+    showSaveStatus(`Caption lookup budget must be between ${CAPTION_LOOKUPS.MIN_QUOTA_BUDGET} and ${CAPTION_LOOKUPS.MAX_QUOTA_BUDGET} units`, 'error');
+    return;
+  }
+
+  const languageRules = readLanguageRules();
+  if (!languageRules) {
+    return;
+  }
+
+  if (apiBaseUrl && !await requestHostPermission(apiBaseUrl, 'API base URL')) {
+    return;
+  }
+
+  if (provider.needsInstance && providerInstanceUrl &&
+      !await requestHostPermission(providerInstanceUrl, 'Instance URL')) {
+    return;
+  }
+
   // Update settings
-  settings.apiKey = apiKey;
+  settings.metadataSource = metadataSource;
+  settings.metadataProvider = metadataProvider;
+  settings.providerInstanceUrl = providerInstanceUrl;
+  settings.apiMode = apiMode;
+  settings.apiBaseUrl = apiBaseUrl;
+  settings.dailyQuotaBudget = dailyQuotaBudget;
+  settings.channelCacheTtlHours = channelCacheTtlHours;
+  settings.statsRefreshHours = statsRefreshHours;
+  settings.statsPolling = statsPollingInput.checked;
+  settings.captionLookups = captionLookupsInput.checked;
+  settings.captionQuotaBudget = captionQuotaBudget;
+  settings.apiKeys = apiKeys;
+  delete settings.apiKey;
   settings.targetVideoCount = targetVideoCount;
   settings.maxStoredVideos = maxStoredVideos;
+  settings.passiveCapture = passiveCaptureInput.checked;
+  settings.autoCapture = autoCaptureInput.checked;
+  settings.captureInterval = captureInterval;
+  settings.languageRules = languageRules;
+  settings.languageRuleMode = languageRuleModeSelect.value;
 
   try {
     await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
     showSaveStatus('✓ All settings saved successfully!', 'success');
+    await loadQuotaUsage();
+    await loadPassiveTabs();
   } catch (error) {
     showSaveStatus(`✗ Error saving settings: ${error.message}`, 'error');
   }
 }
 
+// Show today's quota usage and a bar per day of recent history
+async function loadQuotaUsage() {
+  try {
+    const usage = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_QUOTA_USAGE });
+    if (!usage.success) {
+      quotaTodayText.textContent = `Could not load quota usage: ${usage.error}`;
+      return;
+    }
+
+    quotaTodayText.textContent =
+      `Today: ${usage.used} of ${usage.budget} units used, ${usage.remaining} left.`;
+    renderApiKeyUsage(usage);
+
+    const result = await chrome.storage.local.get(STORAGE_KEYS.CHANNELS);
+    const channelCount = Object.keys(result[STORAGE_KEYS.CHANNELS] || {}).length;
+    channelCacheStats.textContent = `${channelCount} channels stored.`;
+
+    const keyLabels = Object.fromEntries(getApiKeys(settings)
+      .map(apiKey => [apiKey.id, apiKey.label.replace(/"/g, '&quot;')]));
+    const peak = Math.max(usage.budget, ...usage.history.map(day => day.units), 1);
+    quotaHistoryDiv.innerHTML = usage.history.map(day => {
+      const classes = ['quota-day'];
+      if (day.day === usage.day) classes.push('today');
+      if (day.units > usage.budget) classes.push('over');
+
+      const calls = Object.entries(day.calls)
+        .map(([endpoint, count]) => `${count} ${endpoint}`)
+        .join(', ');
+      const keys = Object.entries(day.keys)
+        .map(([keyId, units]) => `${keyLabels[keyId] || 'removed key'}: ${units}`)
+        .join(', ');
+
+      return `
+        <div class="${classes.join(' ')}" title="${day.day}: ${day.units} units${calls ? ` (${calls})` : ''}${keys ? `; ${keys}` : ''}">
+          <div class="quota-day-bar" style="height: ${Math.round(day.units / peak * 100)}%"></div>
+          <span class="quota-day-label">${day.day.slice(8)}</span>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading quota usage:', error);
+    quotaTodayText.textContent = `Could not load quota usage: ${error.message}`;
+  }
+}
+
+// Ask for access to a custom API base URL's or instance's origin
+// Must run from the click handler, since Chrome only prompts on a user gesture
+async function requestHostPermission(baseUrl, label, showStatus = showSaveStatus) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    showStatus(`${label} must be a full URL, e.g. http://localhost:8080`, 'error');
+    return false;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    showStatus(`${label} must start with http:// or https://`, 'error');
+    return false;
+  }
+
+  const origins = [`${url.origin}/*`];
+  if (await chrome.permissions.contains({ origins })) {
+    return true;
+  }
+
+  try {
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      showStatus(`✗ Access to ${url.origin} is needed to use it as the ${label}`, 'error');
+    }
+    return granted;
+  } catch (error) {
+    showStatus(`✗ Cannot request access to ${url.origin}: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+// Show how many API responses are recorded
+async function updateFixtureStats() {
+  const fixtures = await getFixtures();
+  const videoCount = Object.keys(fixtures.videos).length;
+  const channelCount = Object.keys(fixtures.channels).length;
+
+  fixtureStatsText.textContent = videoCount === 0 && channelCount === 0
+    ? 'No responses recorded.'
+    : `Recorded ${videoCount} videos and ${channelCount} channels` +
+      (fixtures.recordedAt ? `, last ${formatRelativeTime(fixtures.recordedAt)}.` : '.');
+  exportFixturesBtn.disabled = videoCount === 0;
+  clearFixturesBtn.disabled = videoCount === 0 && channelCount === 0;
+}
+
+async function getFixtures() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.API_FIXTURES);
+  return result[STORAGE_KEYS.API_FIXTURES] || { videos: {}, channels: {}, recordedAt: null };
+}
+
+// Download the recorded responses as a fixture bundle
+async function exportFixtures() {
+  const fixtures = await getFixtures();
+  const bundle = {
+    format: API_FIXTURES.FORMAT,
+    version: API_FIXTURES.VERSION,
+    recordedAt: fixtures.recordedAt,
+    videos: fixtures.videos,
+    channels: fixtures.channels,
+    videoCategories: fixtures.videoCategories || {}
+  };
+
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `api-fixtures-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Replace the recorded responses with an exported fixture bundle
+async function importFixtures() {
+  const file = importFixturesFile.files[0];
+  importFixturesFile.value = '';
+  if (!file) return;
+
+  try {
+    const bundle = JSON.parse(await file.text());
+
+    if (bundle.format !== API_FIXTURES.FORMAT || bundle.version !== API_FIXTURES.VERSION ||
+        typeof bundle.videos !== 'object' || typeof bundle.channels !== 'object') {
+      showFixtureStatus('✗ Not a fixture bundle exported by this extension', 'error');
+      return;
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.API_FIXTURES]: {
+        format: API_FIXTURES.FORMAT,
+        version: API_FIXTURES.VERSION,
+        recordedAt: bundle.recordedAt || null,
+        videos: bundle.videos,
+        channels: bundle.channels,
+        videoCategories: bundle.videoCategories || {}
+      }
+    });
+
+    await updateFixtureStats();
+    await updateStorageInfo();
+    showFixtureStatus(`✓ Imported ${Object.keys(bundle.videos).length} recorded videos`, 'success');
+  } catch (error) {
+    showFixtureStatus(`✗ Error importing recordings: ${error.message}`, 'error');
+  }
+}
+
+// Delete the recorded responses
+async function clearFixtures() {
+  if (!confirm('Delete all recorded API responses?')) {
+    return;
+  }
+
+  try {
+    await chrome.storage.local.remove(STORAGE_KEYS.API_FIXTURES);
+    await updateFixtureStats();
+    await updateStorageInfo();
+    showFixtureStatus('✓ Recordings cleared', 'success');
+  } catch (error) {
+    showFixtureStatus(`✗ Error clearing recordings: ${error.message}`, 'error');
+  }
+}
+
+// Show fixture status message
+function showFixtureStatus(message, type) {
+  fixtureStatusDiv.textContent = message;
+  fixtureStatusDiv.className = `status-message ${type}`;
+  fixtureStatusDiv.style.display = 'block';
+}
+
 // Clear all videos
 async function clearVideos() {
   if (!confirm('Are you sure you want to delete all captured videos? This cannot be undone.')) {
@@ -154,11 +660,11 @@ async function clearVideos() {
   }
 
   try {
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.VIDEOS]: [],
-      [STORAGE_KEYS.LAST_CAPTURE_TIMESTAMP]: 0,
-      [STORAGE_KEYS.CAPTURE_HISTORY]: []
-    });
+    // The service worker clears them, so the clear waits for captures and polls writing videos
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CLEAR_VIDEOS });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
 
     await updateStorageInfo();
     showSaveStatus('✓ All videos cleared successfully!', 'success');
@@ -190,6 +696,454 @@ async function updateStorageInfo() {
   }
 }
 
+// Render one editable row per language rule
+function renderLanguageRules(rules) {
+  languageRulesDiv.innerHTML = '';
+  rules.forEach(addLanguageRuleRow);
+}
+
+function addLanguageRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'language-rule';
+  row.dataset.ruleId = rule.id || `rule-${Date.now()}-${languageRulesDiv.children.length}`;
+
+  const action = document.createElement('select');
+  action.className = 'language-rule-action';
+  Object.entries(LANGUAGE_RULE_ACTIONS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === rule.action;
+    action.appendChild(option);
+  });
+
+  const languages = document.createElement('input');
+  languages.type = 'text';
+  languages.className = 'language-rule-languages';
+  languages.placeholder = 'Language codes, e.g. en, fr';
+  languages.value = rule.languages.join(', ');
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-secondary btn-small';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+
+  row.appendChild(action);
+  row.appendChild(languages);
+  row.appendChild(remove);
+  languageRulesDiv.appendChild(row);
+}
+
+// Read the rule rows back into settings, or null (with an error shown) if one is invalid
+function readLanguageRules() {
+  const rules = [];
+
+  for (const row of languageRulesDiv.querySelectorAll('.language-rule')) {
+    const languages = row.querySelector('.language-rule-languages').value
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean)
+      .map(normalizeLanguageCode);
+
+    if (languages.length === 0 || languages.some(code => !/^([a-z]{2,3}|unknown)$/.test(code))) {
+      showSaveStatus('Each language rule needs a comma-separated list of language codes (e.g. en, fr)', 'error');
+      return null;
+    }
+
+    rules.push({
+      id: row.dataset.ruleId,
+      action: row.querySelector('.language-rule-action').value,
+      languages: [...new Set(languages)]
+    });
+  }
+
+  return rules;
+}
+
+// Load the language/country corrections stored per channel
+async function loadChannelOverrides() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_CHANNEL_OVERRIDES });
+
+    if (response.success) {
+      renderChannelOverrides(response.overrides);
+    }
+  } catch (error) {
+    console.error('Error loading channel corrections:', error);
+  }
+}
+
+// Render one row per channel with a remove button, most recent first
+function renderChannelOverrides(overrides) {
+  channelOverridesDiv.innerHTML = '';
+
+  if (overrides.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'help-text';
+    empty.textContent = 'No channel corrections.';
+    channelOverridesDiv.appendChild(empty);
+    return;
+  }
+
+  [...overrides].sort((a, b) => b.updatedAt - a.updatedAt).forEach(override => {
+    const row = document.createElement('div');
+    row.className = 'channel-override';
+
+    const title = document.createElement('span');
+    title.className = 'channel-override-title';
+    title.textContent = override.channelTitle || override.channelId;
+    title.title = override.channelId;
+
+    const values = [];
+    if (override.language) values.push(`Language: ${getLanguageName(override.language)}`);
+    if (override.country) values.push(`Country: ${getCountryName(override.country)}`);
+
+    const correction = document.createElement('span');
+    correction.className = 'channel-override-values';
+    correction.textContent = values.join(' • ');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary btn-small';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => deleteChannelOverride(override.channelId));
+
+    row.appendChild(title);
+    row.appendChild(correction);
+    row.appendChild(remove);
+    channelOverridesDiv.appendChild(row);
+  });
+}
+
+// Stop applying a channel's correction to future captures
+async function deleteChannelOverride(channelId) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.DELETE_CHANNEL_OVERRIDE,
+      data: { channelId }
+    });
+    await loadChannelOverrides();
+  } catch (error) {
+    showSaveStatus(`✗ Error removing channel correction: ${error.message}`, 'error');
+  }
+}
+
+// Load YouTube tabs with their passive capture counters
+async function loadPassiveTabs() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_PASSIVE_STATE,
+      data: { allTabs: true }
+    });
+
+    if (response.success) {
+      renderPassiveTabs(response.enabled, response.tabs);
+    }
+  } catch (error) {
+    console.error('Error loading passive capture state:', error);
+  }
+}
+
+// Render one row per YouTube tab with a pause toggle
+function renderPassiveTabs(enabled, tabs) {
+  passiveTabsDiv.innerHTML = '';
+
+  if (tabs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'help-text';
+    empty.textContent = 'No YouTube tabs open.';
+    passiveTabsDiv.appendChild(empty);
+    return;
+  }
+
+  tabs.forEach(tab => {
+    const row = document.createElement('div');
+    row.className = 'passive-tab';
+
+    const title = document.createElement('span');
+    title.className = 'passive-tab-title';
+    title.textContent = tab.title || tab.url;
+    title.title = tab.url;
+
+    const count = document.createElement('span');
+    count.className = 'passive-tab-count';
+    count.textContent = `${tab.count} recorded`;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-secondary btn-small';
+    toggle.textContent = tab.paused ? 'Resume' : 'Pause';
+    toggle.disabled = !enabled;
+    toggle.addEventListener('click', () => setPassivePaused(tab.tabId, !tab.paused));
+
+    row.appendChild(title);
+    row.appendChild(count);
+    row.appendChild(toggle);
+    passiveTabsDiv.appendChild(row);
+  });
+}
+
+// Pause or resume passive capture in a tab
+async function setPassivePaused(tabId, paused) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.SET_PASSIVE_PAUSED,
+      data: { tabId, paused }
+    });
+    await loadPassiveTabs();
+  } catch (error) {
+    showSaveStatus(`✗ Error updating passive capture: ${error.message}`, 'error');
+  }
+}
+
+// Built-in and custom profiles, keyed by ID
+function getAllSelectorProfiles() {
+  return { ...settings.selectorProfiles, ...BUILTIN_SELECTOR_PROFILES };
+}
+
+// Fill the profile dropdown and show the active profile's selectors
+function renderSelectorProfiles() {
+  const profiles = getAllSelectorProfiles();
+  if (!profiles[settings.selectorProfileId]) {
+    settings.selectorProfileId = DEFAULT_SETTINGS.selectorProfileId;
+  }
+
+  selectorProfileSelect.innerHTML = '';
+  Object.entries(profiles).forEach(([id, profile]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = BUILTIN_SELECTOR_PROFILES[id] ? `${profile.name} (built-in)` : profile.name;
+    option.selected = id === settings.selectorProfileId;
+    selectorProfileSelect.appendChild(option);
+  });
+
+  const profile = profiles[settings.selectorProfileId];
+  const isBuiltin = Boolean(BUILTIN_SELECTOR_PROFILES[settings.selectorProfileId]);
+
+  selectorProfileJson.value = JSON.stringify({
+    name: profile.name,
+    surfaces: profile.surfaces,
+    metadata: profile.metadata
+  }, null, 2);
+  selectorProfileJson.readOnly = isBuiltin;
+  saveProfileBtn.disabled = isBuiltin;
+  deleteProfileBtn.disabled = isBuiltin;
+}
+
+// Switch the active profile
+async function activateSelectorProfile() {
+  settings.selectorProfileId = selectorProfileSelect.value;
+  renderSelectorProfiles();
+
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    await loadSelectorHealth();
+  } catch (error) {
+    showSelectorStatus(`✗ Error switching profile: ${error.message}`, 'error');
+  }
+}
+
+// Copy the shown profile into a new custom profile and make it active
+async function duplicateSelectorProfile() {
+  const source = getAllSelectorProfiles()[settings.selectorProfileId];
+  const id = `custom-${Date.now()}`;
+
+  settings.selectorProfiles = {
+    ...settings.selectorProfiles,
+    [id]: {
+      id,
+      name: `${source.name} (copy)`,
+      surfaces: structuredClone(source.surfaces),
+      metadata: structuredClone(source.metadata || BUILTIN_SELECTOR_PROFILES.default.metadata)
+    }
+  };
+  settings.selectorProfileId = id;
+
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    renderSelectorProfiles();
+    await loadSelectorHealth();
+    showSelectorStatus('✓ Profile duplicated. Edit the selectors and save.', 'success');
+  } catch (error) {
+    showSelectorStatus(`✗ Error duplicating profile: ${error.message}`, 'error');
+  }
+}
+
+// Validate and save the edited custom profile
+async function saveSelectorProfile() {
+  const id = settings.selectorProfileId;
+  let edited;
+
+  try {
+    edited = JSON.parse(selectorProfileJson.value);
+  } catch (error) {
+    showSelectorStatus(`✗ Invalid JSON: ${error.message}`, 'error');
+    return;
+  }
+
+  const validationError = validateSelectorProfile(edited);
+  if (validationError) {
+    showSelectorStatus(`✗ ${validationError}`, 'error');
+    return;
+  }
+
+  settings.selectorProfiles = {
+    ...settings.selectorProfiles,
+    [id]: { id, name: edited.name.trim(), surfaces: edited.surfaces, metadata: edited.metadata || {} }
+  };
+
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    renderSelectorProfiles();
+    await loadSelectorHealth();
+    showSelectorStatus('✓ Profile saved. Open YouTube tabs use it for their next capture.', 'success');
+  } catch (error) {
+    showSelectorStatus(`✗ Error saving profile: ${error.message}`, 'error');
+  }
+}
+
+// Delete the shown custom profile and fall back to the default one
+async function deleteSelectorProfile() {
+  const id = settings.selectorProfileId;
+  const profile = settings.selectorProfiles[id];
+
+  if (!profile || !confirm(`Delete the selector profile "${profile.name}"?`)) {
+    return;
+  }
+
+  const { [id]: deleted, ...remaining } = settings.selectorProfiles;
+  settings.selectorProfiles = remaining;
+  settings.selectorProfileId = DEFAULT_SETTINGS.selectorProfileId;
+
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+    renderSelectorProfiles();
+    await loadSelectorHealth();
+    showSelectorStatus('✓ Profile deleted.', 'success');
+  } catch (error) {
+    showSelectorStatus(`✗ Error deleting profile: ${error.message}`, 'error');
+  }
+}
+
+// Check the shape of an edited profile and that every selector parses
+function validateSelectorProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    return 'Profile needs a name';
+  }
+
+  if (!profile.surfaces || typeof profile.surfaces !== 'object') {
+    return 'Profile needs a "surfaces" object';
+  }
+
+  const selectorLists = [];
+
+  for (const [surface, rules] of Object.entries(profile.surfaces)) {
+    if (!CAPTURE_SOURCES[surface]) {
+      return `Unknown page type "${surface}" (expected one of: ${Object.keys(CAPTURE_SOURCES).join(', ')})`;
+    }
+    if (!rules || !Array.isArray(rules.selectors) || rules.selectors.length === 0) {
+      return `"${surface}" needs at least one selector`;
+    }
+    if (!Array.isArray(rules.skipContainers)) {
+      return `"${surface}" needs a "skipContainers" list (may be empty)`;
+    }
+    selectorLists.push(rules.selectors, rules.skipContainers, rules.shorts || []);
+  }
+
+  Object.values(profile.metadata || {}).forEach(list => selectorLists.push(list));
+
+  for (const list of selectorLists) {
+    if (!Array.isArray(list)) {
+      return 'Selector lists must be arrays of strings';
+    }
+    for (const selector of list) {
+      if (typeof selector !== 'string') {
+        return 'Selector lists must be arrays of strings';
+      }
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        return `Invalid selector: ${selector}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Load the latest selector reports for the active profile
+async function loadSelectorHealth() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_SELECTOR_HEALTH });
+
+    if (response.success) {
+      renderSelectorHealth(response.reports);
+    }
+  } catch (error) {
+    console.error('Error loading selector health:', error);
+  }
+}
+
+// One row per page type, with per-selector match counts
+function renderSelectorHealth(reports) {
+  selectorHealthDiv.innerHTML = '';
+  const warnings = [];
+
+  Object.entries(CAPTURE_SOURCES).forEach(([surface, label]) => {
+    const report = reports[surface];
+    const row = document.createElement('details');
+
+    if (!report) {
+      row.className = 'selector-report unchecked';
+      row.innerHTML = `<summary>${label}: not checked yet</summary>`;
+      selectorHealthDiv.appendChild(row);
+      return;
+    }
+
+    const [primary] = report.selectors;
+    row.className = `selector-report ${report.status}`;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${label}: primary selector matched ${primary ? primary.matches : 0}, ` +
+      `${report.videoCount} videos found (${formatRelativeTime(report.timestamp)})`;
+    row.appendChild(summary);
+
+    const list = document.createElement('ul');
+    report.selectors.forEach(({ selector, matches }) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = selector;
+      code.title = selector;
+      const count = document.createElement('span');
+      count.textContent = matches;
+      item.appendChild(code);
+      item.appendChild(count);
+      list.appendChild(item);
+    });
+    row.appendChild(list);
+    selectorHealthDiv.appendChild(row);
+
+    if (report.status === SELECTOR_HEALTH_STATUS.FALLBACK) {
+      warnings.push(`${label}: the primary selector stopped matching; only fallbacks found videos.`);
+    } else if (report.status === SELECTOR_HEALTH_STATUS.BROKEN) {
+      warnings.push(`${label}: no selector found any videos.`);
+    }
+  });
+
+  selectorWarningDiv.textContent = warnings.length > 0
+    ? `⚠ YouTube may have changed its layout. ${warnings.join(' ')}`
+    : '';
+  selectorWarningDiv.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+// Show selector profile status message
+function showSelectorStatus(message, type) {
+  selectorStatusDiv.textContent = message;
+  selectorStatusDiv.className = `status-message ${type}`;
+  selectorStatusDiv.style.display = 'block';
+}
+
 // Show API status message
 function showApiStatus(message, type) {
   apiStatusDiv.textContent = message;
@@ -197,6 +1151,13 @@ function showApiStatus(message, type) {
   apiStatusDiv.style.display = 'block';
 }
 
+// Show provider connection status message
+function showProviderStatus(message, type) {
+  providerStatusDiv.textContent = message;
+  providerStatusDiv.className = `status-message ${type}`;
+  providerStatusDiv.style.display = 'block';
+}
+
 // Show save status message
 function showSaveStatus(message, type) {
   saveStatusDiv.textContent = message;
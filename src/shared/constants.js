@@ -4,7 +4,17 @@ export const STORAGE_KEYS = {
   VIDEOS: 'videos',
   FILTERS: 'filters',
   LAST_CAPTURE_TIMESTAMP: 'lastCaptureTimestamp',
-  CAPTURE_HISTORY: 'captureHistory'
+  CAPTURE_HISTORY: 'captureHistory',
+  SCHEDULED_RUNS: 'scheduledRuns',
+  PASSIVE_TABS: 'passiveTabs', // chrome.storage.session
+  CAPTURE_SESSION: 'captureSession', // chrome.storage.session
+  SELECTOR_HEALTH: 'selectorHealth',
+  API_FIXTURES: 'apiFixtures',
+  QUOTA_LEDGER: 'quotaLedger',
+  CHANNELS: 'channels',
+  FAILED_LOOKUPS: 'failedLookups',
+  CHANNEL_OVERRIDES: 'channelOverrides',
+  VIDEO_CATEGORIES: 'videoCategories'
 };
 
 // Message types for communication between components
@@ -14,22 +24,48 @@ export const MESSAGE_TYPES = {
   CAPTURE_PROGRESS: 'CAPTURE_PROGRESS',
   CAPTURE_COMPLETE: 'CAPTURE_COMPLETE',
   CAPTURE_ERROR: 'CAPTURE_ERROR',
+  PASSIVE_VIDEOS: 'PASSIVE_VIDEOS',
+  GET_SELECTOR_PROFILE: 'GET_SELECTOR_PROFILE',
+  SELECTOR_REPORT: 'SELECTOR_REPORT',
+
+  // Content script / Options page -> Background
+  GET_PASSIVE_STATE: 'GET_PASSIVE_STATE',
+  SET_PASSIVE_PAUSED: 'SET_PASSIVE_PAUSED',
+
+  // Background -> Content script
+  PASSIVE_STATE: 'PASSIVE_STATE',
+  SELECTOR_PROFILE: 'SELECTOR_PROFILE',
 
   // Feed page -> Background
   GET_VIDEOS: 'GET_VIDEOS',
   GET_SETTINGS: 'GET_SETTINGS',
   TRIGGER_CAPTURE: 'TRIGGER_CAPTURE',
+  CANCEL_CAPTURE: 'CANCEL_CAPTURE', // Also Background -> Content script
+  GET_CAPTURE_SESSION: 'GET_CAPTURE_SESSION',
   CLEAR_VIDEOS: 'CLEAR_VIDEOS',
+  GET_SCHEDULE_STATUS: 'GET_SCHEDULE_STATUS',
+  GET_CAPTURE_HISTORY: 'GET_CAPTURE_HISTORY',
+  GET_QUOTA_USAGE: 'GET_QUOTA_USAGE', // Also Options page -> Background
+  RETRY_FAILED_LOOKUPS: 'RETRY_FAILED_LOOKUPS',
+  CORRECT_VIDEO_METADATA: 'CORRECT_VIDEO_METADATA',
 
   // Background -> Feed page
   VIDEOS_DATA: 'VIDEOS_DATA',
   SETTINGS_DATA: 'SETTINGS_DATA',
   CAPTURE_STARTED: 'CAPTURE_STARTED',
   CAPTURE_STATUS: 'CAPTURE_STATUS',
+  CAPTURE_SESSION: 'CAPTURE_SESSION',
+  SCHEDULE_STATUS: 'SCHEDULE_STATUS',
+  QUOTA_USAGE: 'QUOTA_USAGE',
+  STATS_UPDATED: 'STATS_UPDATED',
+  CAPTIONS_UPDATED: 'CAPTIONS_UPDATED',
 
   // Options page -> Background
   SAVE_SETTINGS: 'SAVE_SETTINGS',
   VALIDATE_API_KEY: 'VALIDATE_API_KEY',
+  GET_SELECTOR_HEALTH: 'GET_SELECTOR_HEALTH',
+  GET_CHANNEL_OVERRIDES: 'GET_CHANNEL_OVERRIDES',
+  DELETE_CHANNEL_OVERRIDE: 'DELETE_CHANNEL_OVERRIDE',
 
   // Background -> Options page
   API_KEY_VALID: 'API_KEY_VALID',
@@ -40,34 +76,242 @@ export const MESSAGE_TYPES = {
 export const YOUTUBE_API = {
   BASE_URL: 'https://www.googleapis.com/youtube/v3',
   VIDEOS_ENDPOINT: '/videos',
+  CHANNELS_ENDPOINT: '/channels',
+  VIDEO_CATEGORIES_ENDPOINT: '/videoCategories',
+  CAPTIONS_ENDPOINT: '/captions',
   BATCH_SIZE: 50, // Maximum IDs per request
   DAILY_QUOTA: 10000,
   REQUEST_COST: 1,
-  PARTS: ['snippet', 'statistics', 'contentDetails'].join(',')
+  CAPTIONS_COST: 50, // captions.list takes one video per request
+  VALIDATION_VIDEO_ID: 'dQw4w9WgXcQ', // Looked up to check a key or instance
+  PARTS: ['snippet', 'statistics', 'contentDetails', 'topicDetails', 'liveStreamingDetails'].join(',')
+};
+
+// What kind of video it is (see classifyVideoFormat), with display labels
+export const VIDEO_FORMATS = {
+  regular: 'Video',
+  short: 'Short',
+  live: 'Live',
+  upcoming: 'Upcoming',
+  premiere: 'Premiere'
+};
+
+// Without a Shorts link on the page, a video only counts as a Short if it is
+// tagged #shorts and no longer than this
+export const SHORTS_MAX_SECONDS = 180;
+
+// Surfaces the content script can capture from
+export const CAPTURE_SOURCES = {
+  homepage: 'Homepage',
+  trending: 'Trending',
+  search: 'Search results',
+  channel: 'Channel videos',
+  subscriptions: 'Subscriptions',
+  watch: 'Up next'
+};
+
+// Pages opened when a capture is triggered for a fixed surface
+export const CAPTURE_URLS = {
+  homepage: 'https://www.youtube.com/',
+  trending: 'https://www.youtube.com/feed/trending',
+  subscriptions: 'https://www.youtube.com/feed/subscriptions'
 };
 
 // Default settings
 export const DEFAULT_SETTINGS = {
-  apiKey: '',
+  apiKeys: [], // YouTube Data API keys ({id, label, key}), tried in order when one runs out of quota
   autoCapture: false,
   captureInterval: 60, // minutes
   maxStoredVideos: 500,
-  targetVideoCount: 100 // Target for auto-scroll
+  targetVideoCount: 100, // Target for auto-scroll
+  passiveCapture: false, // Record recommendations while browsing normally
+  metadataSource: 'api', // 'api' (the metadata provider) or 'page' (scraped, no API key)
+  metadataProvider: 'youtube-data-api', // METADATA_PROVIDERS key used when metadataSource is 'api'
+  providerInstanceUrl: '', // Base URL of the Invidious or Piped instance
+  selectorProfileId: 'default', // Active selector profile (built-in or custom)
+  selectorProfiles: {}, // Custom selector profiles by ID
+  apiMode: 'live', // 'live', 'record' (live + save responses) or 'replay' (recorded responses only)
+  apiBaseUrl: '', // Empty for YOUTUBE_API.BASE_URL; set to use a local stand-in server
+  dailyQuotaBudget: 10000, // Quota units captures may spend per day (at most YOUTUBE_API.DAILY_QUOTA per API key)
+  channelCacheTtlHours: 168, // Refetch stored channel details after this long
+  statsRefreshHours: 24, // Refresh statistics of re-captured videos older than this
+  statsPolling: true, // Re-poll statistics of stored videos in the background
+  captionLookups: false, // Look up caption track languages of stored videos in the background
+  captionQuotaBudget: 1000, // Quota units caption lookups may spend per day (YOUTUBE_API.CAPTIONS_COST per video)
+  languageRules: [ // Applied in order to every capture (see applyLanguageRules)
+    { id: 'exclude-en', action: 'exclude', languages: ['en'] }
+  ],
+  languageRuleMode: 'remove' // 'remove' (not stored) or 'hide' (stored, hidden in the feed)
+};
+
+// Where API video metadata comes from. Only the YouTube Data API needs a key,
+// spends quota and can record/replay responses.
+export const METADATA_PROVIDERS = {
+  'youtube-data-api': { label: 'YouTube Data API', requiresApiKey: true, usesQuota: true, needsInstance: false },
+  invidious: { label: 'Invidious instance', requiresApiKey: false, usesQuota: false, needsInstance: true },
+  piped: { label: 'Piped instance', requiresApiKey: false, usesQuota: false, needsInstance: true }
+};
+
+// Invidious/Piped requests: one per video or channel
+export const INSTANCE_API = {
+  BATCH_SIZE: 10, // Videos requested in parallel per batch
+  MAX_STATS_PER_RUN: 50 // Videos whose statistics one polling run re-fetches
+};
+
+// Language rule actions, with labels for the options page and capture summary
+export const LANGUAGE_RULE_ACTIONS = {
+  exclude: 'Exclude',
+  include: 'Only include'
+};
+
+// Scheduled capture configuration
+export const SCHEDULER = {
+  ALARM_NAME: 'scheduled-capture',
+  MIN_INTERVAL_MINUTES: 15,
+  MAX_INTERVAL_MINUTES: 1440,
+  IDLE_DETECTION_SECONDS: 300, // Skip runs when the user has been away this long
+  MIN_QUOTA_REMAINING: 500, // Skip runs when fewer quota units are left today
+  MAX_RUN_HISTORY: 20
+};
+
+// Kinds of API errors, with labels for the capture error report
+export const API_ERROR_KINDS = {
+  quota: 'Quota exceeded',
+  'invalid-key': 'API key rejected',
+  'rate-limit': 'Rate limited',
+  network: 'Network error',
+  server: 'YouTube server error',
+  request: 'Request rejected'
+};
+
+// Retries of transient API errors (rate limit, network, server)
+export const API_RETRY = {
+  MAX_ATTEMPTS: 4,
+  BASE_DELAY_MS: 500, // Doubled after every attempt, with random jitter
+  MAX_DELAY_MS: 8000,
+  MAX_FAILED_LOOKUPS: 500 // Failed video IDs kept for a later retry
+};
+
+// Where a video's language or country came from. Confirmed sources are API
+// fields or your own corrections, inferred ones are guesses shown as such on the cards; `confidence` is
+// the default for values from that source (detected languages carry the
+// detector's own confidence).
+export const PROVENANCE_SOURCES = {
+  'api-language': { label: 'Uploader-set language (API)', confirmed: true, inferred: false, confidence: 1 },
+  'api-audio': { label: 'Audio language (API)', confirmed: true, inferred: false, confidence: 0.9 },
+  channel: { label: 'Country of the channel (API)', confirmed: true, inferred: false, confidence: 0.8 },
+  manual: { label: 'Corrected by you', confirmed: true, inferred: false, confidence: 1 },
+  'channel-rule': { label: 'Channel correction rule', confirmed: true, inferred: false, confidence: 1 },
+  detected: { label: 'Detected from the title', confirmed: false, inferred: true, confidence: null },
+  'language-region': { label: 'Guessed from the language', confirmed: false, inferred: true, confidence: 0.3 },
+  none: { label: 'Not available', confirmed: false, inferred: false, confidence: 0 },
+  legacy: { label: 'Not recorded (captured before sources were tracked)', confirmed: false, inferred: false, confidence: null }
+};
+
+// Offline language detection of titles and descriptions
+export const LANGUAGE_DETECTION = {
+  MIN_CONFIDENCE: 0.5, // Detected languages below this are stored as "unknown"
+  MIN_SCRIPT_SHARE: 0.1, // Share of the letters a non-Latin script needs to decide the language
+  DESCRIPTION_CHARS: 300, // Start of the description scored along with the title
+  FULL_CONFIDENCE_TRIGRAMS: 8, // Shorter texts get proportionally less confidence
+  SAMPLE_WEIGHT: 0.7, // Share of a language's own trigram counts against the whole script's
+  TRIGRAM_TEMPERATURE: 3, // Overlapping trigrams count each letter three times
+  MAIN_LANGUAGE_PRIOR: 3 // How much likelier a script's main language is than the others
+};
+
+// Background statistics polling of stored videos
+export const STATS_POLLING = {
+  ALARM_NAME: 'stats-polling',
+  INTERVAL_MINUTES: 60,
+  MAX_UNITS_PER_RUN: 4, // Up to 200 videos per run
+  MAX_POINTS: 48, // Time-series points kept per video
+  GROWTH_WINDOW_HOURS: 24, // Growth rate is measured over the latest points within this window
+  // How often a video is polled, by how recently it was recommended;
+  // videos not seen for longer than the last tier are no longer polled
+  TIERS: [
+    { seenWithinHours: 24, everyHours: 1 },
+    { seenWithinHours: 7 * 24, everyHours: 6 },
+    { seenWithinHours: 30 * 24, everyHours: 24 }
+  ]
+};
+
+// Background lookups of caption track languages
+export const CAPTION_LOOKUPS = {
+  ALARM_NAME: 'caption-lookups',
+  INTERVAL_MINUTES: 60,
+  MAX_PER_RUN: 20, // Videos one run looks up, with any provider
+  MIN_QUOTA_BUDGET: 50,
+  MAX_QUOTA_BUDGET: 5000
+};
+
+// Quota ledger configuration
+export const QUOTA_LEDGER = {
+  TIME_ZONE: 'America/Los_Angeles', // Google resets the daily quota at midnight Pacific time
+  HISTORY_DAYS: 30, // Days of usage kept in the ledger
+  CHART_DAYS: 14 // Days shown in the usage charts
+};
+
+// Channel table configuration
+export const CHANNEL_CACHE = {
+  MIN_TTL_HOURS: 1,
+  MAX_TTL_HOURS: 720,
+  MAX_AGE_DAYS: 90 // Drop channels that have not been refreshed in this long
+};
+
+// Stored video category names
+export const CATEGORY_CACHE = {
+  TTL_DAYS: 30,
+  LANGUAGE: 'en' // Language the names are looked up in
+};
+
+// Recorded API responses, exported and imported as a JSON fixture bundle
+export const API_FIXTURES = {
+  FORMAT: 'youtube-feed-organizer/api-fixtures',
+  VERSION: 1
+};
+
+// Capture session stages, in order, with their progress labels
+export const CAPTURE_STAGES = {
+  'opening-tab': 'Opening YouTube tab',
+  scrolling: 'Scrolling the feed',
+  fetching: 'Fetching video details',
+  saving: 'Saving videos'
+};
+
+// Capture session configuration
+export const CAPTURE_SESSION = {
+  TIMEOUT_ALARM: 'capture-session-timeout',
+  // A stage that runs longer than this fails the capture (chrome.alarms fires no sooner than 30s)
+  STAGE_TIMEOUTS_MS: {
+    'opening-tab': 60 * 1000,
+    scrolling: 3 * 60 * 1000,
+    fetching: 2 * 60 * 1000,
+    saving: 30 * 1000
+  }
 };
 
 // Default filters
 export const DEFAULT_FILTERS = {
   selectedLanguages: [],
   selectedCountries: [],
-  sortBy: 'date', // 'date', 'views', 'title'
-  viewMode: 'grid' // 'grid', 'list'
+  selectedSources: [],
+  selectedCategories: [],
+  selectedTopics: [],
+  selectedChannels: [], // Channel keys (see getChannelKey)
+  selectedFormats: [], // VIDEO_FORMATS keys
+  selectedCaptionLanguages: [], // Language codes of manual or auto-generated caption tracks
+  sortBy: 'date', // 'date', 'views', 'title', 'position', 'persistence', 'growth'
+  viewMode: 'grid', // 'grid', 'list'
+  confirmedOnly: false // Language/country facets only use API-confirmed values
 };
 
 // Storage limits
 export const STORAGE_LIMITS = {
   MAX_SIZE_BYTES: 10 * 1024 * 1024, // 10MB
   WARNING_THRESHOLD: 0.8, // 80%
-  EVICTION_TARGET: 0.6 // Evict down to 60%
+  EVICTION_TARGET: 0.6, // Evict down to 60%
+  MAX_POSITIONS_PER_VIDEO: 20, // Feed positions kept per video
+  MAX_SIGHTINGS_PER_VIDEO: 50 // Sighting timestamps kept per video
 };
 
 // Auto-scroll configuration
@@ -79,9 +323,106 @@ export const AUTO_SCROLL = {
   NO_NEW_VIDEOS_THRESHOLD: 3 // Stop after 3 scrolls with no new videos
 };
 
-// DOM selectors for YouTube
-export const YOUTUBE_SELECTORS = {
-  PRIMARY_VIDEO_LINK: 'a#video-title-link[href*="/watch?v="]',
-  FALLBACK_VIDEO_LINK: 'a.yt-simple-endpoint[href*="/watch"]',
-  VIDEO_ID_REGEX: /watch\?v=([a-zA-Z0-9_-]{11})/
+// Built-in selector profiles for the content script. Custom profiles edited on
+// the options page are stored in settings.selectorProfiles and use the same shape;
+// surfaces or metadata lists a custom profile leaves out fall back to the default.
+// For each surface the first selector is the primary one; the rest are fallbacks.
+export const BUILTIN_SELECTOR_PROFILES = {
+  default: {
+    id: 'default',
+    name: 'Default',
+    surfaces: {
+      homepage: {
+        selectors: [
+          'a#video-title-link[href*="/watch?v="]',           // Main selector
+          'a#video-title[href*="/watch?v="]',                // Alternative
+          'ytd-video-renderer a[href*="/watch?v="]',         // Video renderer
+          'ytd-rich-item-renderer a[href*="/watch?v="]',     // Rich item (newer layout)
+          'ytd-grid-video-renderer a[href*="/watch?v="]',    // Grid layout
+          'a.yt-simple-endpoint[href*="/watch?v="]'          // Generic fallback
+        ],
+        // Usually promoted/recommended sections
+        skipContainers: ['ytd-rich-section-renderer'],
+        // Shorts shelves sit in those sections; their links are taken anyway
+        shorts: [
+          'ytd-rich-shelf-renderer[is-shorts] a[href*="/shorts/"]',
+          'ytm-shorts-lockup-view-model a[href*="/shorts/"]'
+        ]
+      },
+      trending: {
+        selectors: [
+          'ytd-expanded-shelf-contents-renderer ytd-video-renderer a#video-title[href*="/watch?v="]',
+          'ytd-video-renderer a#video-title[href*="/watch?v="]',
+          'ytd-video-renderer a#thumbnail[href*="/watch?v="]'
+        ],
+        skipContainers: ['ytd-reel-shelf-renderer'],
+        shorts: ['ytd-reel-shelf-renderer a[href*="/shorts/"]']
+      },
+      search: {
+        selectors: [
+          'ytd-search ytd-video-renderer a#video-title[href*="/watch?v="]',
+          'ytd-search ytd-video-renderer a#thumbnail[href*="/watch?v="]'
+        ],
+        // "People also watched" shelves, Shorts shelves and ads
+        skipContainers: ['ytd-shelf-renderer', 'ytd-reel-shelf-renderer', 'ytd-ad-slot-renderer'],
+        shorts: [
+          'ytd-reel-shelf-renderer a[href*="/shorts/"]',
+          'grid-shelf-view-model ytm-shorts-lockup-view-model a[href*="/shorts/"]'
+        ]
+      },
+      channel: {
+        selectors: [
+          'ytd-browse[page-subtype="channels"] ytd-rich-item-renderer a#video-title-link[href*="/watch?v="]',
+          'ytd-browse[page-subtype="channels"] ytd-grid-video-renderer a#video-title[href*="/watch?v="]',
+          'ytd-browse[page-subtype="channels"] ytd-rich-item-renderer a[href*="/watch?v="]'
+        ],
+        skipContainers: []
+      },
+      subscriptions: {
+        selectors: [
+          'ytd-browse[page-subtype="subscriptions"] ytd-rich-item-renderer a#video-title-link[href*="/watch?v="]',
+          'ytd-browse[page-subtype="subscriptions"] ytd-grid-video-renderer a#video-title[href*="/watch?v="]',
+          'ytd-browse[page-subtype="subscriptions"] ytd-video-renderer a#video-title[href*="/watch?v="]'
+        ],
+        skipContainers: ['ytd-rich-section-renderer'],
+        shorts: [
+          'ytd-rich-shelf-renderer[is-shorts] a[href*="/shorts/"]',
+          'ytm-shorts-lockup-view-model a[href*="/shorts/"]'
+        ]
+      },
+      watch: {
+        // "Up next" column
+        selectors: [
+          '#secondary ytd-compact-video-renderer a#thumbnail[href*="/watch?v="]',
+          '#secondary yt-lockup-view-model a[href*="/watch?v="]',
+          'ytd-watch-next-secondary-results-renderer a[href*="/watch?v="]'
+        ],
+        // Mixes, playlists and ads link to other videos with a list parameter
+        skipContainers: ['ytd-compact-radio-renderer', 'ytd-compact-playlist-renderer', 'ytd-ad-slot-renderer']
+      }
+    },
+    // Metadata shown by the renderers, for captures without an API key.
+    // Each list is tried in order; the first element with text wins.
+    metadata: {
+      title: [
+        '#video-title', 'h3 a', '.yt-lockup-metadata-view-model__title', '.yt-lockup-metadata-view-model-wiz__title',
+        '.shortsLockupViewModelHostMetadataTitle'
+      ],
+      channel: ['ytd-channel-name a', '#channel-name a', '.yt-content-metadata-view-model a', 'a[href^="/@"]'],
+      metadataItems: [
+        '#metadata-line span', '.inline-metadata-item', '.yt-content-metadata-view-model__metadata-text',
+        '.shortsLockupViewModelHostMetadataSubhead'
+      ],
+      duration: ['ytd-thumbnail-overlay-time-status-renderer #text', '.yt-badge-shape__text', '.badge-shape-wiz__text'],
+      // Thumbnail overlay whose overlay-style attribute is LIVE, UPCOMING or SHORTS
+      overlay: ['ytd-thumbnail-overlay-time-status-renderer[overlay-style]']
+    }
+  }
+};
+
+// Selector health status, from the latest report for each surface
+export const SELECTOR_HEALTH_STATUS = {
+  OK: 'ok',             // Primary selector matched
+  FALLBACK: 'fallback', // Primary selector found nothing; fallbacks did
+  BROKEN: 'broken'      // No selector found any videos
 };
@@ -0,0 +1,198 @@
+/**
+ * Offline language detection for video titles and descriptions.
+ * The script of the letters decides when only one language in our list uses
+ * it (Korean, Thai, Greek...) and splits Japanese (kana) from Chinese. Texts in
+ * shared scripts (Latin, Cyrillic, Arabic, Devanagari) are scored against
+ * character trigram counts of each language's bundled sample text.
+ */
+
+import { LANGUAGE_DETECTION } from './constants.js';
+import { LANGUAGE_SAMPLES, MAIN_LANGUAGES, SCRIPT_LANGUAGES, CHINESE_ONLY_CHARS, JAPANESE_ONLY_CHARS } from './language-profiles.js';
+
+const SCRIPTS = [
+  'Latin', 'Han', 'Hiragana', 'Katakana',
+  ...Object.keys(LANGUAGE_SAMPLES).filter(script => script !== 'Latin'),
+  ...Object.keys(SCRIPT_LANGUAGES)
+];
+const SCRIPT_PATTERNS = SCRIPTS.map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+// Trigram models per script, built from the samples on first use
+let trigramModels = null;
+
+/**
+ * Detect the language of a title, optionally with its description
+ * @param {string} title - Video title
+ * @param {string} description - Video description (only the start is used)
+ * @returns {{language: string, confidence: number}|null} ISO 639-1 code and a 0-1 confidence,
+ *   or null if the text has no letters
+ */
+export function detectLanguage(title, description = '') {
+  const text = cleanText(`${title || ''} ${(description || '').slice(0, LANGUAGE_DETECTION.DESCRIPTION_CHARS)}`);
+  const counts = countScripts(text);
+  const letterCount = Object.values(counts).reduce((total, count) => total + count, 0);
+  if (letterCount === 0) return null;
+
+  // Titles often mix in English words, so a non-Latin script decides
+  // once it makes up a fair share of the letters
+  const kana = (counts.Hiragana || 0) + (counts.Katakana || 0);
+  const groups = Object.entries({ ...counts, Han: (counts.Han || 0) + kana })
+    .filter(([script]) => script !== 'Latin' && script !== 'Hiragana' && script !== 'Katakana')
+    .sort((a, b) => b[1] - a[1]);
+  const [script, count] = groups[0] || [null, 0];
+  const share = count / letterCount;
+
+  if (script && share >= LANGUAGE_DETECTION.MIN_SCRIPT_SHARE) {
+    if (script === 'Han') {
+      return detectCjk(text, kana, share);
+    }
+    if (SCRIPT_LANGUAGES[script]) {
+      return { language: SCRIPT_LANGUAGES[script], confidence: roundConfidence(0.7 + 0.3 * share) };
+    }
+    return withMainLanguageFallback(scoreTrigrams(text, script), text, script);
+  }
+
+  return counts.Latin ? scoreTrigrams(text, 'Latin') : null;
+}
+
+/**
+ * Get the detected language if it is confident enough to use
+ * @param {{language: string, confidence: number}|null} detection - Result of detectLanguage
+ * @returns {string} Language code, or "unknown"
+ */
+export function toConfidentLanguage(detection) {
+  return detection && detection.confidence >= LANGUAGE_DETECTION.MIN_CONFIDENCE
+    ? detection.language
+    : 'unknown';
+}
+
+// Japanese writes with kana alongside kanji; Chinese never does. Kanji-only
+// text needs a character form only one of them uses, or it stays a guess
+// below the confidence threshold (日本語 is the same in both).
+function detectCjk(text, kanaCount, share) {
+  const chars = [...text];
+  if (kanaCount > 0 || chars.some(char => JAPANESE_ONLY_CHARS.includes(char))) {
+    return { language: 'ja', confidence: roundConfidence(0.7 + 0.3 * share) };
+  }
+
+  const chineseOnly = chars.some(char => CHINESE_ONLY_CHARS.includes(char));
+  return {
+    language: 'zh',
+    confidence: roundConfidence(chineseOnly ? 0.7 + 0.3 * share : 0.4 * share)
+  };
+}
+
+// Naive Bayes over character trigrams against the languages sharing a script.
+// Each language's counts are mixed with the whole script's, so languages with
+// smaller samples don't win on trigrams no sample has. Trigrams overlap, so
+// their log-likelihoods are tempered before turning them into a posterior,
+// which is scaled down for short texts.
+function scoreTrigrams(text, script) {
+  const { languages, background } = getTrigramModels()[script];
+  const trigrams = toTrigrams(text);
+  if (trigrams.length === 0) return null;
+
+  const weight = LANGUAGE_DETECTION.SAMPLE_WEIGHT;
+  const scores = languages.map(({ language, counts, total, prior }) => {
+    const logLikelihood = trigrams.reduce((sum, trigram) =>
+      sum + Math.log(weight * (counts.get(trigram) || 0) / total + (1 - weight) * background(trigram)), 0);
+    return { language, score: logLikelihood / LANGUAGE_DETECTION.TRIGRAM_TEMPERATURE + Math.log(prior) };
+  }).sort((a, b) => b.score - a.score);
+
+  const best = scores[0];
+  const evidence = scores.reduce((sum, { score }) => sum + Math.exp(score - best.score), 0);
+  const lengthFactor = Math.min(trigrams.length / LANGUAGE_DETECTION.FULL_CONFIDENCE_TRIGRAMS, 1);
+
+  return {
+    language: best.language,
+    confidence: roundConfidence(lengthFactor / evidence)
+  };
+}
+
+// When the trigrams can't tell the languages of a shared script apart, the text
+// is taken to be in the script's main language, as long as it only uses letters
+// that language has (Ukrainian і or Kazakh ә rule Russian out)
+function withMainLanguageFallback(detection, text, script) {
+  if (!detection || detection.confidence >= LANGUAGE_DETECTION.MIN_CONFIDENCE) {
+    return detection;
+  }
+
+  const mainLanguage = MAIN_LANGUAGES[script];
+  const main = getTrigramModels()[script].languages.find(({ language }) => language === mainLanguage);
+  const [, pattern] = SCRIPT_PATTERNS.find(([name]) => name === script);
+  const fitsMainLanguage = [...text].every(char => !pattern.test(char) || main.letters.has(char));
+
+  return fitsMainLanguage
+    ? { language: mainLanguage, confidence: LANGUAGE_DETECTION.MIN_CONFIDENCE }
+    : detection;
+}
+
+// Trigram counts of each sample, and of all samples of the script together
+function getTrigramModels() {
+  if (trigramModels) return trigramModels;
+
+  trigramModels = {};
+  Object.entries(LANGUAGE_SAMPLES).forEach(([script, samples]) => {
+    const scriptCounts = new Map();
+    let scriptTotal = 0;
+
+    const languages = Object.entries(samples).map(([language, sample]) => {
+      const counts = new Map();
+      const cleaned = cleanText(sample);
+      const trigrams = toTrigrams(cleaned);
+      trigrams.forEach(trigram => {
+        counts.set(trigram, (counts.get(trigram) || 0) + 1);
+        scriptCounts.set(trigram, (scriptCounts.get(trigram) || 0) + 1);
+      });
+      scriptTotal += trigrams.length;
+      const prior = language === MAIN_LANGUAGES[script] ? LANGUAGE_DETECTION.MAIN_LANGUAGE_PRIOR : 1;
+      return { language, counts, total: trigrams.length, prior, letters: new Set(cleaned) };
+    });
+
+    // Add-one smoothed, so trigrams no sample has still get a probability
+    const vocabularySize = scriptCounts.size + 1;
+    const background = trigram => ((scriptCounts.get(trigram) || 0) + 1) / (scriptTotal + vocabularySize);
+
+    trigramModels[script] = { languages, background };
+  });
+
+  return trigramModels;
+}
+
+// Lowercase words only: no links, handles, digits or punctuation
+function cleanText(text) {
+  return text
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+|@\S+/g, ' ')
+    .replace(/[^\p{L}\p{M}']+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Letters per script
+function countScripts(text) {
+  const counts = {};
+  for (const char of text) {
+    const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    if (match) {
+      counts[match[0]] = (counts[match[0]] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Trigrams of each word, padded so word starts and ends count too
+function toTrigrams(text) {
+  const trigrams = [];
+  text.split(' ').filter(Boolean).forEach(word => {
+    const chars = [...` ${word} `];
+    for (let i = 0; i + 3 <= chars.length; i++) {
+      trigrams.push(chars.slice(i, i + 3).join(''));
+    }
+  });
+  return trigrams;
+}
+
+function roundConfidence(confidence) {
+  return Math.round(Math.min(confidence, 1) * 100) / 100;
+}
@@ -0,0 +1,580 @@
+/**
+ * Sample text for the offline language detector, grouped by the script the
+ * languages share. Each sample is a run of frequent words followed by typical
+ * title phrases, wrapped freely; the detector turns it into character trigram
+ * counts when loaded.
+ * Languages with a script of their own are recognized by script alone.
+ */
+
+export const LANGUAGE_SAMPLES = {
+  Latin: {
+    en: `the and of to in is that it for you was with on as have be at this are from or one had by but
+      not what all were we when your can said there use an each which she do how their if will up
+      other about out many then them these so some her would make like him into time has look two more
+      write go see number no way could people my than first been call who its now find long down day
+      did get come made may part how to make the best new official music video watch full episode live
+      today why what happens when we tried this is my first reaction highlights we went to the beach
+      and the weather was great so we stayed until the sun went down this is the easiest recipe you
+      will ever try and it only takes ten minutes i spent a whole week trying to learn how to cook
+      like a professional chef the truth about what really happened behind the scenes of the show
+      everything you need to know before you buy a new phone this year reacting to the funniest
+      moments from our last stream with my friends we built a house in the woods using only hand tools
+      and it turned out amazing don't make these mistakes when you start working out at the gym the
+      most beautiful places to visit in the world that nobody knows about my morning routine for a
+      productive day at home and at work they said it was impossible but we did it anyway what it's
+      like to live in a small town in the middle of nowhere trying every item on the menu of the most
+      expensive restaurant in the city how i saved money and paid off all of my debt in one year
+      unboxing and first impressions of the brand new laptop full game highlights from last night and
+      the best plays of the season breaking news and the latest updates from around the country this
+      changed my life and i wish i had known it sooner should you buy it or wait for the next one
+      honest review a short history of the war and why it still matters today beginner guide tips and
+      tricks that actually work the ultimate challenge who can last the longest learn english with
+      movies and songs while you sleep relaxing music for studying working and sleeping official
+      trailer coming soon to theaters we finally moved into our new home and here is the tour`,
+    es: `el la de que y en los las del se por un una con para es no lo como más pero sus le ya o este sí
+      porque esta entre cuando muy sin sobre también me hasta hay donde quien desde todo nos durante
+      todos uno les ni contra otros ese eso ante ellos esto antes algunos qué unos yo otro otras otra
+      él tanto esa estos mucho quienes nada muchos cual poco ella estar estas algunas algo nosotros
+      mis tú te ti tu tus así cómo hacer el mejor nuevo vídeo canción oficial capítulo completo en
+      vivo hoy por qué pasó esto niños año años españa fuimos a la playa con mis amigos y el tiempo
+      estaba perfecto así que nos quedamos hasta la noche esta es la receta más fácil que vas a probar
+      y solo tarda diez minutos pasé una semana entera intentando aprender a cocinar como un chef
+      profesional la verdad sobre lo que pasó detrás de las cámaras del programa todo lo que necesitas
+      saber antes de comprar un teléfono nuevo este año reaccionando a los momentos más graciosos de
+      nuestro último directo construimos una casa en el bosque solo con herramientas de mano no
+      cometas estos errores cuando empieces a entrenar en el gimnasio los lugares más bonitos del
+      mundo que nadie conoce mi rutina de mañana para un día productivo en casa y en el trabajo
+      dijeron que era imposible pero lo hicimos de todas formas resumen y goles del partido de anoche
+      los mejores momentos de la temporada las noticias más importantes del día y las novedades del
+      país esto me cambió la vida y ojalá lo hubiera sabido antes vale la pena comprarlo o es mejor
+      esperar análisis sincero una breve historia de la guerra y por qué todavía importa hoy guía para
+      principiantes trucos y consejos que sí funcionan el reto definitivo quién aguanta más tiempo
+      aprende inglés con películas y canciones mientras duermes música relajante para estudiar
+      trabajar y dormir tráiler oficial próximamente en cines por fin nos mudamos a nuestra casa nueva
+      y os enseño el tour la selección ganó el campeonato después de un partido increíble cómo ganar
+      dinero desde casa sin experiencia nuestros seguidores nos preguntaron y respondemos todas las
+      preguntas mis suscriptores eligen lo que como durante un día las noticias más importantes de la
+      semana a esta hora a qué hora empieza el partido de hoy`,
+    pt: `o a de que e do da em um para é com não uma os no se na por mais as dos como mas foi ao ele das
+      tem à seu sua ou ser quando muito há nos já está eu também só pelo pela até isso ela entre era
+      depois sem mesmo aos ter seus quem nas me esse eles estão você tinha foram essa num nem suas meu
+      às minha têm numa pelos elas havia seja qual será nós tenho lhe deles essas esses pelas este
+      fosse dele vocês como fazer o melhor novo vídeo música oficial episódio completo ao vivo hoje
+      por que aconteceu isso não ação coração então brasil fomos para a praia com os amigos e o tempo
+      estava perfeito então ficamos até a noite essa é a receita mais fácil que você vai fazer e leva
+      só dez minutos passei uma semana inteira tentando aprender a cozinhar como um chef profissional
+      a verdade sobre o que aconteceu nos bastidores do programa tudo o que você precisa saber antes
+      de comprar um celular novo este ano reagindo aos momentos mais engraçados da nossa última live
+      construímos uma casa no meio do mato só com ferramentas manuais não cometa esses erros quando
+      começar a treinar na academia os lugares mais bonitos do mundo que ninguém conhece minha rotina
+      da manhã para um dia produtivo em casa e no trabalho disseram que era impossível mas nós
+      conseguimos mesmo assim gols e melhores momentos do jogo de ontem pelo campeonato brasileiro o
+      time venceu o clássico e o rival perdeu de novo no campeonato notícias de hoje e as últimas
+      atualizações do país isso mudou a minha vida e eu queria ter descoberto antes vale a pena
+      comprar ou é melhor esperar análise sincera uma breve história da guerra e por que ela ainda
+      importa hoje guia para iniciantes dicas e truques que funcionam de verdade o desafio final quem
+      aguenta mais tempo aprenda inglês com filmes e músicas enquanto dorme música relaxante para
+      estudar trabalhar e dormir trailer oficial em breve nos cinemas finalmente mudamos para a casa
+      nova e vou mostrar tudo pra vocês como ganhar dinheiro em casa sem experiência respondendo as
+      perguntas dos inscritos do canal`,
+    fr: `le de la et les des en un du une que est pour qui dans par plus pas au sur ne se ce il sont avec
+      son elle mais nous on comme ou vous ils leur aussi bien tout cette été fait peut même ces sans
+      lui deux sous très après comment faire le meilleur nouveau vidéo chanson officielle épisode
+      complet en direct aujourd'hui pourquoi c'est qu'est-ce que j'ai il y a ça à être était où quand
+      notre votre france on est allés à la plage avec des amis et il faisait tellement beau qu'on est
+      restés jusqu'au soir c'est la recette la plus facile que vous allez essayer et elle prend
+      seulement dix minutes j'ai passé une semaine entière à apprendre à cuisiner comme un chef la
+      vérité sur ce qui s'est passé dans les coulisses de l'émission tout ce qu'il faut savoir avant
+      d'acheter un nouveau téléphone cette année on réagit aux moments les plus drôles de notre
+      dernier live nous avons construit une maison dans la forêt avec seulement des outils à main ne
+      faites pas ces erreurs quand vous commencez la musculation les plus beaux endroits du monde que
+      personne ne connaît ma routine du matin pour une journée productive à la maison et au travail
+      ils ont dit que c'était impossible mais on l'a fait quand même résumé et buts du match d'hier
+      soir les meilleures actions de la saison les dernières nouvelles et les informations du jour ça
+      a changé ma vie et j'aurais aimé le savoir plus tôt faut-il l'acheter ou attendre le prochain
+      avis honnête une courte histoire de la guerre et pourquoi elle compte encore aujourd'hui guide
+      pour débutants astuces et conseils qui marchent vraiment le défi ultime qui tiendra le plus
+      longtemps apprendre l'anglais avec des films et des chansons musique relaxante pour étudier
+      travailler et dormir bande-annonce officielle bientôt au cinéma on a enfin emménagé dans notre
+      nouvelle maison voici la visite`,
+    de: `der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an
+      werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war
+      haben nur oder aber vor zur bis mehr durch man sein wurde sei ich du wir ihr wie man macht das
+      beste neue video offizielles lied folge ganze live heute warum was passiert wenn wir müssen
+      größte schön deutschland wir waren mit freunden am strand und das wetter war so schön dass wir
+      bis zum abend geblieben sind das ist das einfachste rezept das ihr je probieren werdet und es
+      dauert nur zehn minuten ich habe eine ganze woche lang versucht wie ein profikoch zu kochen die
+      wahrheit darüber was hinter den kulissen der sendung passiert ist alles was du wissen musst
+      bevor du dir dieses jahr ein neues handy kaufst wir reagieren auf die lustigsten momente aus
+      unserem letzten stream wir haben ein haus im wald nur mit handwerkzeugen gebaut mach diese
+      fehler nicht wenn du mit dem training im fitnessstudio anfängst die schönsten orte der welt die
+      niemand kennt meine morgenroutine für einen produktiven tag zu hause und bei der arbeit sie
+      sagten es sei unmöglich aber wir haben es trotzdem geschafft zusammenfassung und tore des spiels
+      von gestern abend die besten szenen der saison aktuelle nachrichten und die neuesten meldungen
+      aus dem ganzen land das hat mein leben verändert und ich wünschte ich hätte es früher gewusst
+      lohnt sich der kauf oder sollte man warten ehrlicher test eine kurze geschichte des krieges und
+      warum er heute noch wichtig ist anleitung für anfänger tipps und tricks die wirklich
+      funktionieren die ultimative challenge wer hält am längsten durch englisch lernen mit filmen und
+      liedern entspannende musik zum lernen arbeiten und schlafen offizieller trailer bald im kino wir
+      sind endlich in unsere neue wohnung gezogen hier ist die roomtour so backt man brot wie vom
+      bäcker das perfekte rezept für jeden tag und wie man es richtig macht`,
+    it: `di e il la che in a per un è del non sono le con si da una i gli al come più ma lo alla anche
+      della ha nel dei ci se questo mi ho sei delle suo cosa perché quando tutto molto essere come
+      fare il migliore nuovo video canzone ufficiale episodio completo in diretta oggi cosa succede
+      quando abbiamo provato città così già però gli italia siamo andati al mare con gli amici e il
+      tempo era così bello che siamo rimasti fino a sera questa è la ricetta più facile che proverete
+      e ci vogliono solo dieci minuti ho passato una settimana intera a imparare a cucinare come uno
+      chef la verità su quello che è successo dietro le quinte del programma tutto quello che devi
+      sapere prima di comprare un nuovo telefono quest'anno reagiamo ai momenti più divertenti della
+      nostra ultima diretta abbiamo costruito una casa nel bosco usando solo attrezzi a mano non fare
+      questi errori quando inizi ad allenarti in palestra i posti più belli del mondo che nessuno
+      conosce la mia routine del mattino per una giornata produttiva a casa e al lavoro dicevano che
+      era impossibile ma ce l'abbiamo fatta lo stesso sintesi e gol della partita di ieri sera i
+      momenti migliori della stagione ultime notizie e aggiornamenti da tutto il paese questo mi ha
+      cambiato la vita e vorrei averlo saputo prima conviene comprarlo o aspettare il prossimo
+      recensione sincera una breve storia della guerra e perché conta ancora oggi guida per
+      principianti consigli e trucchi che funzionano davvero la sfida finale chi resiste di più
+      imparare l'inglese con film e canzoni musica rilassante per studiare lavorare e dormire trailer
+      ufficiale prossimamente al cinema finalmente ci siamo trasferiti nella nuova casa ecco il tour`,
+    tr: `bir ve bu da de için ile çok ne ama daha gibi olan olarak en kadar var sonra ben sen o biz siz
+      onlar değil mi mı mu mü nasıl neden yeni video resmi şarkı bölüm tam canlı bugün ne oldu yaptık
+      yapılır şu ki her şey güzel türkiye çocuk yaptım izle arkadaşlarımla denize gittik hava o kadar
+      güzeldi ki akşama kadar kaldık bu deneyeceğiniz en kolay tarif ve sadece on dakika sürüyor bir
+      hafta boyunca profesyonel bir aşçı gibi yemek yapmayı öğrenmeye çalıştım programın kamera
+      arkasında gerçekten neler olduğunun gerçeği bu yıl yeni bir telefon almadan önce bilmeniz
+      gereken her şey son yayınımızdaki en komik anlara tepki veriyoruz ormanda sadece el aletleriyle
+      bir ev inşa ettik spor salonunda antrenmana başlarken bu hataları yapmayın dünyanın kimsenin
+      bilmediği en güzel yerleri evde ve işte verimli bir gün için sabah rutinim imkansız dediler ama
+      yine de başardık dün akşamki maçın özeti ve golleri sezonun en iyi anları ligin en güzel golleri
+      ve kurtarışları günün en önemli haberleri ve ülkeden gelişmeler bu hayatımı değiştirdi keşke
+      daha önce bilseydim almaya değer mi yoksa beklemeli mi dürüst inceleme savaşın kısa tarihi ve
+      bugün neden hâlâ önemli yeni başlayanlar için rehber gerçekten işe yarayan ipuçları kim daha
+      uzun dayanacak büyük yarışma filmler ve şarkılarla ingilizce öğren ders çalışmak ve uyumak için
+      rahatlatıcı müzik resmi fragman çok yakında sinemalarda sonunda yeni evimize taşındık işte ev
+      turu galatasaray fenerbahçe derbisinde kazanan belli oldu`,
+    vi: `của và là có trong được cho không người những một các với này để đã từ khi đến như về nhiều làm
+      ra thì cũng nhưng năm video mới chính thức bài hát tập trực tiếp hôm nay tại sao điều gì xảy ra
+      chúng tôi việt nam cách làm chúng tôi đi biển cùng bạn bè và thời tiết đẹp đến mức ở lại đến tối
+      đây là công thức dễ nhất mà bạn từng thử và chỉ mất mười phút tôi đã dành cả tuần để học nấu ăn
+      như một đầu bếp chuyên nghiệp sự thật về những gì đã xảy ra đằng sau hậu trường chương trình tất
+      cả những điều bạn cần biết trước khi mua điện thoại mới năm nay phản ứng với những khoảnh khắc
+      hài hước nhất trong buổi phát trực tiếp đừng mắc những sai lầm này khi mới bắt đầu tập gym những
+      nơi đẹp nhất thế giới mà ít người biết đến họ nói là không thể nhưng chúng tôi vẫn làm được tổng
+      hợp bàn thắng và những pha bóng hay nhất trận đấu tối qua tin tức mới nhất và cập nhật nóng
+      trong ngày điều này đã thay đổi cuộc đời tôi có nên mua hay không đánh giá chi tiết nhạc thư
+      giãn để học bài làm việc và ngủ ngon cuối cùng chúng tôi đã chuyển đến nhà mới`,
+    pl: `i w nie na się z do to że jest o jak ale co po tak za od jego tym już czy przez może być tylko
+      są było jej ich bardzo jeszcze dla mnie ten gdy który która które wszystko jak zrobić najlepszy
+      nowy film oficjalny teledysk odcinek cały na żywo dzisiaj dlaczego co się stało zrobiliśmy
+      polska pojechaliśmy z przyjaciółmi nad morze i pogoda była tak piękna że zostaliśmy do wieczora
+      to najprostszy przepis jaki kiedykolwiek spróbujesz i zajmuje tylko dziesięć minut przez cały
+      tydzień próbowałem nauczyć się gotować jak prawdziwy szef kuchni prawda o tym co działo się za
+      kulisami programu wszystko co musisz wiedzieć zanim kupisz nowy telefon w tym roku reagujemy na
+      najśmieszniejsze momenty z naszego ostatniego streama zbudowaliśmy dom w lesie używając tylko
+      narzędzi ręcznych nie popełniaj tych błędów kiedy zaczynasz ćwiczyć na siłowni najpiękniejsze
+      miejsca na świecie o których nikt nie wie moja poranna rutyna na produktywny dzień w domu i w
+      pracy mówili że to niemożliwe ale i tak nam się udało skrót meczu i bramki z wczorajszego
+      wieczoru najlepsze akcje sezonu najnowsze wiadomości i informacje z kraju to zmieniło moje życie
+      i żałuję że nie wiedziałem wcześniej czy warto kupić czy lepiej poczekać szczera recenzja krótka
+      historia wojny i dlaczego wciąż ma znaczenie poradnik dla początkujących porady i triki które
+      naprawdę działają ostateczne wyzwanie kto wytrzyma najdłużej muzyka relaksacyjna do nauki pracy
+      i snu oficjalny zwiastun już wkrótce w kinach`,
+    nl: `de en van het een in is dat op te zijn voor met die niet aan er om ook als maar bij dan nog uit
+      wat door over zo naar al wel was kan hij ze je ik wij hoe maak je de beste nieuwe video
+      officiële lied aflevering volledig live vandaag waarom wat gebeurt er als we het geprobeerd
+      hebben nederland we gingen met vrienden naar het strand en het weer was zo mooi dat we tot de
+      avond bleven dit is het makkelijkste recept dat je ooit zult proberen en het duurt maar tien
+      minuten ik heb een hele week geprobeerd te leren koken als een echte chef de waarheid over wat
+      er achter de schermen van het programma gebeurde alles wat je moet weten voordat je dit jaar een
+      nieuwe telefoon koopt we reageren op de grappigste momenten van onze laatste stream we hebben
+      een huis in het bos gebouwd met alleen handgereedschap maak deze fouten niet als je begint met
+      trainen in de sportschool de mooiste plekken ter wereld die niemand kent mijn ochtendroutine
+      voor een productieve dag thuis en op het werk ze zeiden dat het onmogelijk was maar we hebben
+      het toch gedaan samenvatting en doelpunten van de wedstrijd van gisteravond het laatste nieuws
+      en updates uit het hele land dit heeft mijn leven veranderd en ik wou dat ik het eerder wist is
+      het de moeite waard of kun je beter wachten eerlijke review tips en trucs voor beginners die
+      echt werken ontspannende muziek om te studeren werken en slapen we zijn eindelijk verhuisd naar
+      ons nieuwe huis en hier is de huistour`,
+    sv: `och i att det som en på är av för med till den har de inte om ett han men var jag sig från vi så
+      kan man när år säga hur man gör bästa nya video officiell låt avsnitt hela live idag varför vad
+      händer när vi testade är också bara efter sverige vi åkte till stranden med våra vänner och
+      vädret var så fint att vi stannade till kvällen det här är det enklaste receptet du någonsin
+      kommer att testa och det tar bara tio minuter allt du behöver veta innan du köper en ny telefon
+      i år de vackraste platserna i världen som ingen känner till sammandrag och mål från gårdagens
+      match senaste nytt och uppdateringar från hela landet tips och tricks för nybörjare som
+      verkligen fungerar avslappnande musik för att plugga jobba och sova`,
+    no: `og i det som en på er av for med til den har de ikke om et han men var jeg seg fra vi så kan man
+      når år hvordan lage beste nye video offisiell sang episode hele direkte i dag hvorfor hva skjer
+      når vi prøvde også bare etter være blir norge vi dro til stranden med venner og været var så
+      fint at vi ble der til kvelden dette er den enkleste oppskriften du noen gang kommer til å prøve
+      og den tar bare ti minutter alt du trenger å vite før du kjøper en ny telefon i år de vakreste
+      stedene i verden som ingen vet om høydepunkter og mål fra kampen i går kveld siste nytt og
+      oppdateringer fra hele landet tips og triks for nybegynnere som faktisk fungerer avslappende
+      musikk for å studere jobbe og sove`,
+    da: `og i at det som en på er af for med til den har de ikke om et han men var jeg sig fra vi så kan
+      man når år hvordan laver man bedste nye video officiel sang afsnit hele direkte i dag hvorfor
+      hvad sker der når vi prøvede også bare efter være bliver danmark vi tog til stranden med vores
+      venner og vejret var så godt at vi blev til om aftenen det her er den nemmeste opskrift du
+      nogensinde kommer til at prøve og den tager kun ti minutter alt hvad du skal vide før du køber
+      en ny telefon i år de smukkeste steder i verden som ingen kender højdepunkter og mål fra kampen
+      i går aftes seneste nyt og opdateringer fra hele landet tips og tricks til begyndere som
+      virkelig virker afslappende musik til at studere arbejde og sove`,
+    fi: `ja on ei se että oli hän mutta kun niin myös jo vain tai kuin ovat voi olla mitä miten tämä tuo
+      nyt paras uusi video virallinen kappale jakso koko suorana tänään miksi mitä tapahtuu kun
+      kokeilimme suomen suomi kanssa hyvä päivä kaikki menimme ystävien kanssa rannalle ja sää oli
+      niin kaunis että jäimme iltaan asti tämä on helpoin resepti jota olet koskaan kokeillut ja
+      siihen menee vain kymmenen minuuttia kaikki mitä sinun täytyy tietää ennen kuin ostat uuden
+      puhelimen tänä vuonna maailman kauneimmat paikat joista kukaan ei tiedä maalikooste ja parhaat
+      hetket eilisillan ottelusta uusimmat uutiset ja tiedot koko maasta vinkit ja niksit
+      aloittelijoille jotka todella toimivat rentouttavaa musiikkia opiskeluun työhön ja nukkumiseen`,
+    cs: `a v se na je že to s z do o jak ale by jsem jsou k po pro tak už jeho jen byl které který která
+      co nebo ještě při také když jak udělat nejlepší nový video oficiální píseň díl celý živě dnes
+      proč co se stane když jsme zkusili česká řeč život jeli jsme s přáteli k moři a počasí bylo tak
+      krásné že jsme zůstali až do večera tohle je nejjednodušší recept jaký kdy vyzkoušíte a trvá jen
+      deset minut všechno co potřebujete vědět než si letos koupíte nový telefon nejkrásnější místa na
+      světě o kterých nikdo neví sestřih a góly ze včerejšího zápasu nejnovější zprávy a informace z
+      celé země tipy a triky pro začátečníky které opravdu fungují relaxační hudba ke studiu práci a
+      spánku`,
+    sk: `a v sa na je že to s z do o ako ale by som sú k po pre tak už jeho len bol ktoré ktorý ktorá čo
+      alebo ešte pri tiež keď ako urobiť najlepší nový video oficiálny pieseň diel celý naživo dnes
+      prečo čo sa stane keď sme skúsili slovensko ľudia išli sme s kamarátmi k moru a počasie bolo
+      také krásne že sme zostali až do večera toto je najjednoduchší recept aký ste kedy vyskúšali a
+      trvá len desať minút všetko čo potrebujete vedieť predtým než si tento rok kúpite nový telefón
+      najkrajšie miesta na svete o ktorých nikto nevie zostrih a góly zo včerajšieho zápasu najnovšie
+      správy a informácie z celej krajiny tipy a triky pre začiatočníkov ktoré naozaj fungujú
+      relaxačná hudba na štúdium prácu a spánok`,
+    ro: `și în de la a cu pe că nu este din o un mai ce care pentru se sunt sau dar cum ai am fost cel
+      cea cum să faci cel mai bun nou video oficial melodia episodul complet live astăzi de ce ce se
+      întâmplă când am încercat românia țară această am mers la mare cu prietenii și vremea a fost
+      atât de frumoasă încât am rămas până seara aceasta este cea mai simplă rețetă pe care o veți
+      încerca și durează doar zece minute tot ce trebuie să știi înainte să cumperi un telefon nou
+      anul acesta cele mai frumoase locuri din lume despre care nu știe nimeni rezumatul și golurile
+      meciului de aseară ultimele știri și noutăți din toată țara sfaturi și trucuri pentru începători
+      care chiar funcționează muzică relaxantă pentru învățat lucru și somn`,
+    hu: `a az és hogy nem is egy de ez van meg el csak már mint volt ha vagy még kell mi ami ki be fel le
+      hogyan készíts legjobb új videó hivatalos dal rész teljes élő ma miért mi történik amikor
+      kipróbáltuk magyar ország nagyon jó a barátainkkal a tengerpartra mentünk és olyan szép idő volt
+      hogy estig ott maradtunk ez a legegyszerűbb recept amit valaha kipróbálsz és csak tíz percig
+      tart minden amit tudnod kell mielőtt idén új telefont veszel a világ legszebb helyei amelyekről
+      senki sem tud a tegnap esti meccs összefoglalója és góljai a legfrissebb hírek és információk az
+      egész országból tippek és trükkök kezdőknek amelyek tényleg működnek nyugtató zene tanuláshoz
+      munkához és alváshoz`,
+    id: `yang dan di ini itu dengan untuk tidak dari dalam akan pada juga ke karena ada saya kita mereka
+      sudah bisa atau seperti apa cara membuat terbaik baru video resmi lagu episode lengkap langsung
+      hari ini kenapa apa yang terjadi jika kami mencoba indonesia bagaimana banget kami pergi ke
+      pantai bersama teman teman dan cuacanya sangat cerah jadi kami tinggal sampai malam ini resep
+      paling gampang yang pernah kamu coba dan cuma butuh sepuluh menit aku menghabiskan seminggu
+      penuh belajar masak seperti koki profesional kebenaran tentang apa yang terjadi di balik layar
+      acara tersebut semua yang perlu kamu tahu sebelum beli hp baru tahun ini bereaksi pada momen
+      paling lucu dari live streaming terakhir kami kami membangun rumah di hutan hanya dengan alat
+      tangan jangan lakukan kesalahan ini kalau baru mulai latihan di gym tempat paling indah di dunia
+      yang belum banyak orang tahu rutinitas pagi saya untuk hari yang produktif di rumah dan di
+      kantor mereka bilang tidak mungkin tapi kami tetap berhasil cuplikan gol dan highlight
+      pertandingan tadi malam timnas indonesia kabar terbaru dari seluruh tanah air ini mengubah
+      hidupku dan aku nyesel baru tahu sekarang apakah worth it untuk dibeli atau lebih baik menunggu
+      review jujur tips dan trik untuk pemula yang benar benar berhasil musik santai untuk belajar
+      kerja dan tidur akhirnya kami pindah ke rumah baru dan ini dia room tour nya gimana sih caranya
+      biar nggak gampang capek berita terbaru hari ini dan informasi terkini dari seluruh indonesia
+      resep masakan rumahan yang enak dan gampang dibuat cara bikin kue yang lembut tanpa oven`,
+    ms: `yang dan di ini itu dengan untuk tidak dari dalam akan pada juga ke kerana ada saya kita mereka
+      sudah boleh atau seperti apa cara membuat terbaik baharu video rasmi lagu episod penuh secara
+      langsung hari ini kenapa apa yang berlaku jika kami mencuba malaysia bagaimana sangat kami pergi
+      ke pantai bersama kawan kawan dan cuaca sangat baik jadi kami duduk di sana sehingga malam ini
+      resipi paling senang yang pernah anda cuba dan hanya mengambil masa sepuluh minit saya
+      menghabiskan seminggu penuh belajar memasak seperti cef profesional kebenaran tentang apa yang
+      berlaku di sebalik tabir rancangan tersebut semua yang anda perlu tahu sebelum membeli telefon
+      bimbit baharu tahun ini kami membina rumah di dalam hutan dengan hanya menggunakan alatan tangan
+      jangan buat kesilapan ini apabila mula bersenam di gimnasium tempat paling cantik di dunia yang
+      tidak ramai orang tahu mereka kata mustahil tetapi kami tetap berjaya sorotan perlawanan semalam
+      dan jaringan terbaik musim ini berita semasa dan maklumat terkini dari seluruh negara adakah
+      berbaloi untuk dibeli atau lebih baik tunggu ulasan jujur petua dan tip untuk pemula yang betul
+      betul berkesan muzik santai untuk belajar bekerja dan tidur akhirnya kami berpindah ke rumah
+      baharu`,
+    tl: `ang ng sa na at mga ay si para hindi ko mo ito siya kung may ako ka niya namin natin kami tayo
+      ano paano bakit gumawa pinakamahusay bagong video opisyal kanta episode buong live ngayon kung
+      ano ang nangyari sinubukan namin pilipinas talaga pumunta kami sa dagat kasama ang mga kaibigan
+      at napakaganda ng panahon kaya nanatili kami hanggang gabi ito ang pinakamadaling recipe na
+      susubukan mo at sampung minuto lang ito lahat ng kailangan mong malaman bago ka bumili ng bagong
+      cellphone ngayong taon ang pinakamagagandang lugar sa mundo na hindi alam ng marami mga
+      pinakabagong balita at update mula sa buong bansa mga tip para sa mga nagsisimula na talagang
+      gumagana`,
+    sw: `na ya wa kwa ni la katika za hii cha kama lakini huo hiyo sana yake wake hata kuwa ana kwamba
+      watu mimi wewe sisi jinsi ya kufanya bora mpya video rasmi wimbo sehemu kamili moja kwa moja leo
+      kwa nini nini kinatokea tulijaribu tanzania kenya habari tulienda ufukweni na marafiki na hali
+      ya hewa ilikuwa nzuri sana kwa hiyo tulikaa mpaka jioni hii ndiyo mapishi rahisi zaidi
+      utakayojaribu na inachukua dakika kumi tu kila kitu unachohitaji kujua kabla ya kununua simu
+      mpya mwaka huu maeneo mazuri zaidi duniani ambayo watu wengi hawayajui habari za hivi punde
+      kutoka kote nchini mbinu kwa wanaoanza ambazo zinafanya kazi kweli`,
+    af: `die en van in is dat nie het te vir op met om aan hy sy was wat ek jy ons hulle maar as ook word
+      kan by sal hoe om te maak beste nuwe video amptelike liedjie episode volledige regstreeks vandag
+      hoekom wat gebeur wanneer ons probeer suid-afrika baie ons het saam met vriende strand toe
+      gegaan en die weer was so mooi dat ons tot die aand gebly het dit is die maklikste resep wat jy
+      ooit sal probeer en dit neem net tien minute alles wat jy moet weet voordat jy vanjaar n nuwe
+      selfoon koop die mooiste plekke in die wêreld waarvan niemand weet nie die nuutste nuus en
+      opdaterings van regoor die land wenke en truuks vir beginners wat regtig werk`,
+    sq: `të në e dhe një për me që është nga nuk i do se ka si por ai ajo ne ju ata unë ti më edhe kur
+      shumë si të bëjmë më i miri i ri video zyrtare këngë episodi i plotë live sot pse çfarë ndodh
+      kur provuam shqipëria shkuam në plazh me shokët dhe moti ishte aq i bukur sa qëndruam deri në
+      mbrëmje kjo është receta më e lehtë që do të provoni dhe zgjat vetëm dhjetë minuta gjithçka që
+      duhet të dini para se të blini një telefon të ri këtë vit vendet më të bukura në botë që askush
+      nuk i di lajmet e fundit nga i gjithë vendi këshilla për fillestarët që funksionojnë vërtet`,
+    az: `və bir bu da də üçün ilə çox nə amma daha kimi olan olaraq ən qədər var sonra mən sən o biz siz
+      onlar deyil necə niyə yeni video rəsmi mahnı bölüm tam canlı bu gün nə oldu etdik edilir ki hər
+      şey gözəl azərbaycan dostlarla dəniz kənarına getdik və hava o qədər gözəl idi ki axşama qədər
+      qaldıq bu sizin sınayacağınız ən asan reseptdir və cəmi on dəqiqə çəkir bu il yeni telefon
+      almadan əvvəl bilməli olduğunuz hər şey dünyanın heç kimin bilmədiyi ən gözəl yerləri ölkədən ən
+      son xəbərlər və yeniliklər yeni başlayanlar üçün həqiqətən işləyən məsləhətlər`,
+    eu: `eta da ez du bat izan dira zen ere baina hau hori bere egin behar dute dut gara zer nola
+      zergatik berria bideoa ofiziala abestia atala osoa zuzenean gaur zer gertatzen da saiatu ginen
+      euskal herria oso ondo lagunekin hondartzara joan ginen eta eguraldia hain ona zen ezen
+      iluntzera arte gelditu ginen hau inoiz probatuko duzun errezeta errazena da eta hamar minutu
+      besterik ez ditu behar aurten telefono berri bat erosi aurretik jakin behar duzun guztia munduko
+      leku ederrenak inork ezagutzen ez dituenak azken berriak eta albisteak herrialde osotik`,
+    hr: `i je u da se na za su od ne kao što to sa ali iz koji koja koje će bi ili ga sam smo li kako
+      napraviti najbolji novi video službeni spot pjesma epizoda cijela uživo danas zašto što se
+      dogodi kada smo probali hrvatska jako otišli smo s prijateljima na more i vrijeme je bilo tako
+      lijepo da smo ostali do večeri ovo je najjednostavniji recept koji ćete ikada probati i traje
+      samo deset minuta sve što trebate znati prije nego što ove godine kupite novi mobitel najljepša
+      mjesta na svijetu za koja nitko ne zna sažetak i golovi sinoćnje utakmice najnovije vijesti iz
+      cijele zemlje`,
+    bs: `i je u da se na za su od ne kao šta to sa ali iz koji koja koje će bi ili ga sam smo li kako
+      napraviti najbolji novi video zvanični spot pjesma epizoda cijela uživo danas zašto šta se desi
+      kada smo probali bosna i hercegovina jako otišli smo sa prijateljima na more i vrijeme je bilo
+      tako lijepo da smo ostali do večeri ovo je najjednostavniji recept koji ćete ikada probati i
+      traje samo deset minuta sve što trebate znati prije nego što ove godine kupite novi telefon
+      najljepša mjesta na svijetu za koja niko ne zna najnovije vijesti iz cijele bosne i hercegovine`,
+    et: `ja on ei et see oli ta aga kui nii ka juba ainult või nad võib olla mida kuidas see nüüd parim
+      uus video ametlik laul osa terve otse täna miks mis juhtub kui proovisime eesti väga hea päev
+      kõik läksime sõpradega randa ja ilm oli nii ilus et jäime õhtuni see on kõige lihtsam retsept
+      mida sa kunagi proovid ja see võtab ainult kümme minutit kõik mida pead teadma enne kui ostad
+      sel aastal uue telefoni maailma kõige ilusamad kohad millest keegi ei tea värskeimad uudised üle
+      kogu riigi`,
+    ha: `da a na ya ta ba su ne ce wannan cikin kuma amma don haka shi ita mu ku za yadda ake mafi kyau
+      sabon bidiyo waƙa fim cikakke kai tsaye yau me yasa abin da ya faru mun gwada najeriya sosai mun
+      je bakin teku tare da abokai kuma yanayi ya yi kyau sosai har muka zauna har dare wannan shine
+      girki mafi sauki da za ku gwada kuma yana daukar mintuna goma kawai duk abin da kuke bukatar
+      sani kafin ku sayi sabuwar waya a wannan shekara sabbin labarai daga ko ina a fadin kasar`,
+    is: `og að í er á það sem ekki til við hann með um en var af fyrir hún eru þetta ég þú þeir hvernig á
+      að gera bestu nýja myndband opinbert lag þáttur heill í beinni í dag hvers vegna hvað gerist
+      þegar við prófuðum ísland mjög við fórum á ströndina með vinum og veðrið var svo gott að við
+      vorum þar fram á kvöld þetta er auðveldasta uppskrift sem þú munt nokkurn tíma prófa og hún
+      tekur aðeins tíu mínútur allt sem þú þarft að vita áður en þú kaupir nýjan síma á þessu ári
+      nýjustu fréttir frá öllu landinu`,
+    ig: `na nke ya ka ha m anyị unu o bụ gị ga nwere maka n'ime ma ọ bụ mgbe otu esi eme kacha mma ọhụrụ
+      vidiyo egwu ihe nkiri zuru ezu taa gịnị mere ihe na-eme anyị nwalere naịjirịa nnọọ anyị gara
+      n'ụsọ oké osimiri ya na ndị enyi anyị ihu igwe dị mma nke ukwuu nke a bụ usoro nri kachasị mfe ị
+      ga-anwale ọ na-ewe naanị nkeji iri ihe niile ịchọrọ ịma tupu ịzụta ekwentị ọhụrụ n'afọ a akụkọ
+      ọhụrụ sitere na mba niile`,
+    ga: `agus an na is ar a ag le i go ní sé sí tá bhí mé tú muid siad ach do don den seo sin conas a
+      dhéanamh is fearr nua físeán oifigiúil amhrán eagrán iomlán beo inniu cén fáth cad a tharlaíonn
+      nuair a thriail muid éire go maith chuamar chuig an trá le cairde agus bhí an aimsir chomh breá
+      sin gur fhanamar go dtí an oíche seo an t-oideas is éasca a thriailfidh tú riamh agus ní thógann
+      sé ach deich nóiméad gach rud is gá duit a bheith ar eolas sula gceannaíonn tú fón nua i mbliana
+      na nuachtaí is déanaí ó gach cearn den tír`,
+    ku: `û di de ji bi ku ev ew li wek jî lê yên ya yê min te wî me we wan çawa çêkirin baştirîn nû vîdeo
+      fermî stran beş tevahî zindî îro çima çi diqewime dema ku me ceriband kurdistan gelek baş em bi
+      hevalan re çûn peravê û hewa ewqas xweş bû ku em heta êvarê man ev reçeteya herî hêsan e ku hûn
+      ê biceribînin û tenê deh deqîqe dikişîne her tiştê ku divê hûn zanibin berî ku hûn îsal
+      telefoneke nû bikirin nûçeyên herî dawî ji hemû welêt`,
+    lv: `un ir ka no uz par ar tas to bet kā arī ja vai kas es tu mēs jūs viņi kā pagatavot labākais
+      jauns video oficiālais dziesma sērija pilna tiešraide šodien kāpēc kas notiek kad mēs
+      izmēģinājām latvija ļoti mēs ar draugiem aizbraucām uz jūru un laiks bija tik jauks ka palikām
+      līdz vakaram šī ir vienkāršākā recepte ko jūs jebkad izmēģināsiet un tā aizņem tikai desmit
+      minūtes viss kas jums jāzina pirms šogad pērkat jaunu telefonu jaunākās ziņas no visas valsts`,
+    lt: `ir yra kad į iš su tai bet kaip taip pat jei ar kas aš tu mes jūs jie kaip pagaminti geriausias
+      naujas vaizdo įrašas oficialus daina serija visa tiesiogiai šiandien kodėl kas nutinka kai
+      išbandėme lietuva labai su draugais nuvažiavome prie jūros ir oras buvo toks gražus kad likome
+      iki vakaro tai paprasčiausias receptas kokį kada nors išbandysite ir jis trunka tik dešimt
+      minučių viskas ką reikia žinoti prieš perkant naują telefoną šiais metais naujausios žinios iš
+      visos šalies`,
+    mt: `u il ta li fil ma huwa hija għal minn dan din kien jien inti aħna intom huma kif tagħmel l-aqwa
+      ġdid video uffiċjali kanzunetta episodju sħiħ dirett illum għaliex x'jiġri meta ppruvajna malta
+      ħafna morna l-baħar mal-ħbieb u t-temp kien sabiħ ħafna u bqajna sa filgħaxija din hija l-eħfef
+      riċetta li qatt se tipprova u tieħu biss għaxar minuti l-aħħar aħbarijiet minn madwar il-pajjiż
+      kollu`,
+    sl: `in je v da se na za so od ne kot kaj to z ali iz ki bi ga sem smo kako narediti najboljši nov
+      video uradni spot pesem epizoda celotna v živo danes zakaj kaj se zgodi ko smo poskusili
+      slovenija zelo s prijatelji smo šli na morje in vreme je bilo tako lepo da smo ostali do večera
+      to je najpreprostejši recept kar ste jih kdaj poskusili in traja samo deset minut vse kar morate
+      vedeti preden letos kupite nov telefon najnovejše novice iz vse države`,
+    so: `iyo waa ka ku oo u ah ee in uu ay la soo kale laakiin sidee loo sameeyo ugu fiican cusub muuqaal
+      rasmi ah hees qaybta dhammaystiran toos maanta maxay sababtu tahay maxaa dhaca markaan
+      tijaabinay soomaaliya aad waxaan la aadnay xeebta asxaabteena cimiladuna aad bay u wanaagsanayd
+      tani waa cuntada ugu fudud ee aad weligaa tijaabin doonto wararkii ugu dambeeyay ee dalka oo
+      dhan`,
+    uz: `va bu bir u bilan uchun ham lekin juda ko'p qanday nima nega men sen biz siz ular yangi video
+      rasmiy qo'shiq qism to'liq jonli bugun nima bo'ladi qachon sinab ko'rdik o'zbekiston yaxshi
+      do'stlarimiz bilan dengizga bordik va havo shunchalik yaxshi ediki kechgacha qoldik bu siz sinab
+      ko'radigan eng oson retsept va u atigi o'n daqiqa davom etadi bu yil yangi telefon sotib
+      olishdan oldin bilishingiz kerak bo'lgan hamma narsa butun mamlakatdan eng so'nggi yangiliklar`,
+    yo: `ati ni o si ti a fun ko wa pe je ninu naa won mo iwo awa eyin bawo ni lati se ti o dara julo
+      tuntun fidio osise orin apa kikun laaye loni kilode kini o sele nigba ti a gbiyanju nigeria pupo
+      ọmọ ẹ ṣé a lọ sí etí òkun pẹ̀lú àwọn ọ̀rẹ́ wa ojú ọjọ́ sì dára gan an èyí ni ọ̀nà tó rọrùn jùlọ
+      láti se oúnjẹ yìí gbogbo ohun tí o nílò láti mọ̀ kí o tó ra fóònù tuntun ìròyìn tuntun láti
+      gbogbo orílẹ̀ èdè`,
+    zu: `futhi ukuthi kodwa uma ngoba kakhulu yini kanjani mina wena thina nina bona indlela yokwenza
+      okuhle kakhulu okusha ividiyo esemthethweni ingoma isiqephu esigcwele bukhoma namuhla kungani
+      kwenzekani lapho sizama iningizimu afrika kahle sahamba saya olwandle nabangani futhi isimo
+      sezulu sasisihle kakhulu saze sahlala kwaze kwahlwa lena iresiphi elula kakhulu oyoke uyizame
+      futhi ithatha imizuzu eyishumi kuphela konke okudingayo ukukwazi ngaphambi kokuthenga ifoni
+      entsha kulo nyaka izindaba zakamuva ezivela ezweni lonke`
+  },
+
+  Cyrillic: {
+    ru: `и в не на что с он как это по но к из у за от о так все же она вы мы они для бы был было быть
+      когда уже или нет если только его ее еще как сделать лучший новый видео официальный клип песня
+      серия полностью прямой эфир сегодня почему что будет если мы попробовали россия очень мы поехали
+      на море с друзьями и погода была такая хорошая что мы остались до вечера это самый простой
+      рецепт который вы когда либо пробовали и он занимает всего десять минут я целую неделю учился
+      готовить как настоящий шеф повар правда о том что происходило за кадром шоу всё что нужно знать
+      перед покупкой нового телефона в этом году реакция на самые смешные моменты с нашего последнего
+      стрима мы построили дом в лесу используя только ручные инструменты не делайте этих ошибок когда
+      начинаете заниматься в спортзале самые красивые места в мире о которых никто не знает моё утро
+      как провести продуктивный день дома и на работе говорили что это невозможно но мы всё равно
+      сделали это обзор матча голы и лучшие моменты вчерашней игры главные новости дня и последние
+      события в стране и мире это изменило мою жизнь жаль что я не узнал об этом раньше стоит ли
+      покупать или лучше подождать честный обзор краткая история войны и почему это важно сегодня гайд
+      для новичков советы и лайфхаки которые действительно работают лучшие фильмы и сериалы года
+      которые стоит посмотреть как приготовить вкусный ужин из простых продуктов мы наконец переехали
+      в новую квартиру вот обзор ремонта расслабляющая музыка для учёбы работы и сна объявление для
+      подписчиков ещё больше видео на канале щенок впервые увидел снег и съел его почему цены растут
+      объясняю простыми словами`,
+    uk: `і в не на що з він як це по але до у за від про так все ж вона ви ми вони для б був було бути
+      коли вже або ні якщо тільки його її ще як зробити найкращий новий відео офіційний кліп пісня
+      серія повністю наживо сьогодні чому що буде якщо ми спробували україна дуже є ґ ми поїхали на
+      море з друзями і погода була така гарна що ми залишилися до вечора це найпростіший рецепт який
+      ви коли небудь пробували і він займає лише десять хвилин все що потрібно знати перед купівлею
+      нового телефону цього року найкрасивіші місця у світі про які ніхто не знає огляд матчу голи та
+      найкращі моменти вчорашньої гри головні новини дня та останні події в країні це змінило моє
+      життя шкода що я не дізнався про це раніше поради для початківців які справді працюють як
+      приготувати смачну вечерю з простих продуктів ми нарешті переїхали в нову квартиру спокійна
+      музика для навчання роботи та сну україна київ львів харків одеса дякую підписникам`,
+    bg: `и в не на че с той как това по но към от у за така всички вие ние те бе беше е са когато вече
+      или ако само неговия още как да направим най-добрия нов видео официален клип песен епизод целия
+      на живо днес защо какво ще стане ако опитахме българия много отидохме на море с приятели и
+      времето беше толкова хубаво че останахме до вечерта това е най-лесната рецепта която някога ще
+      опитате и отнема само десет минути всичко което трябва да знаете преди да си купите нов телефон
+      тази година най-красивите места в света за които никой не знае най-важните новини за деня от
+      страната и света съвети за начинаещи които наистина работят как да си направим вкусна вечеря от
+      прости продукти българия софия пловдив варна благодаря на всички`,
+    sr: `и у не на да са он као то по али ка из код за од о тако све она ви ми они би био било бити када
+      већ или ако само његов још како направити најбољи нови видео званични спот песма епизода цела
+      уживо данас зашто шта ће бити ако смо пробали србија јако ђ ћ џ љ њ ишли смо са пријатељима на
+      море и време је било тако лепо да смо остали до вечери ово је најједноставнији рецепт који ћете
+      икада пробати и траје само десет минута све што треба да знате пре него што ове године купите
+      нови телефон најлепша места на свету за која нико не зна најновије вести из целе србије и света
+      савети за почетнике који заиста функционишу београд нови сад ниш хвала свима који гледају`,
+    mk: `и во не на дека со тој како ова по но кон од кај за така сите таа вие ние тие би беше е се кога
+      веќе или ако само негов уште како да направиме најдобар нов видео официјален спот песна епизода
+      цела во живо денес зошто што ќе се случи ако пробавме македонија многу ѓ ѕ отидовме на море со
+      пријателите и времето беше толку убаво што останавме до вечерта ова е најлесниот рецепт што
+      некогаш ќе го пробате и трае само десет минути сѐ што треба да знаете пред да купите нов телефон
+      оваа година најубавите места на светот за кои никој не знае најновите вести од македонија и
+      светот скопје охрид битола ѕвезда џемпер`,
+    be: `і ў не на што з ён як гэта па але да у за ад пра так усё ж яна вы мы яны для б быў было быць
+      калі ўжо або толькі яго яе яшчэ як зрабіць лепшы новы відэа афіцыйны кліп песня серыя цалкам
+      наўпрост сёння чаму што будзе калі мы паспрабавалі беларусь вельмі мы паехалі на мора з сябрамі
+      і надвор'е было такое добрае што мы засталіся да вечара гэта самы просты рэцэпт які вы калі
+      небудзь спрабавалі усё што трэба ведаць перад тым як купіць новы тэлефон у гэтым годзе самыя
+      прыгожыя месцы ў свеце пра якія ніхто не ведае апошнія навіны беларусі і свету`,
+    kk: `және бұл бір мен сен біз сіз олар үшін бірақ өте көп қалай не неге жаңа бейне ресми ән бөлім
+      толық тікелей бүгін не болады егер біз байқап көрдік қазақстан жақсы әр біз достарымызбен
+      теңізге бардық ауа райы сондай жақсы болды кешке дейін қалдық бұл сіз бұрын сынап көрген ең оңай
+      рецепт ол небәрі он минут алады биыл жаңа телефон сатып алмас бұрын білуіңіз керек нәрселердің
+      бәрі әлемдегі ешкім білмейтін ең әдемі жерлер елдегі және әлемдегі соңғы жаңалықтар алматы
+      астана шымкент рахмет көргендеріңізге`,
+    mn: `ба нь энэ тэр би чи бид та тэд гэж байна байсан юм хийх хамгийн сайн шинэ видео албан ёсны дуу
+      анги бүтэн шууд өнөөдөр яагаад юу болох вэ бид туршиж үзсэн монгол маш их бид найзуудтайгаа
+      далайн эрэг рүү явсан цаг агаар маш сайхан байсан тул орой болтол үлдсэн энэ бол таны туршиж
+      үзэх хамгийн амархан жор бөгөөд ердөө арван минут зарцуулна энэ жил шинэ утас авахаасаа өмнө
+      мэдэх ёстой бүх зүйл улс орны хамгийн сүүлийн үеийн мэдээ улаанбаатар монгол улс баярлалаа`
+  },
+
+  Arabic: {
+    ar: `في من على إلى أن عن مع هذا هذه التي الذي كان لا ما هو هي كل بعد قبل عند حتى لكن أو ثم كيف لماذا
+      ماذا جديد فيديو رسمي أغنية الحلقة كاملة مباشر اليوم ماذا يحدث عندما جربنا العربية جدا والله
+      ذهبنا إلى الشاطئ مع الأصدقاء وكان الجو جميلا جدا فبقينا حتى المساء هذه أسهل وصفة ستجربها على
+      الإطلاق وتستغرق عشر دقائق فقط كل ما تحتاج إلى معرفته قبل شراء هاتف جديد هذا العام أجمل الأماكن
+      في العالم التي لا يعرفها أحد ملخص المباراة والأهداف وأفضل اللقطات من مباراة الأمس أخبار اليوم
+      وآخر الأخبار العاجلة من البلاد والعالم نشرة الأخبار الرئيسية والتقرير الكامل هذا غير حياتي
+      وتمنيت لو عرفته من قبل هل يستحق الشراء أم الأفضل الانتظار مراجعة صادقة نصائح للمبتدئين تعمل حقا
+      طريقة عمل الكبسة باللحم في البيت خطوة بخطوة انتقلنا أخيرا إلى بيتنا الجديد قرآن كريم تلاوة خاشعة
+      بصوت جميل مسلسل الحلقة الأولى كاملة بجودة عالية الدوري السعودي الهلال النصر الأهلي مصر الرياض
+      القاهرة`,
+    fa: `و در به از که این را با است برای آن یک خود تا کرد بر هم نیز گفت می شود شده بود شد ها کنید چگونه
+      چرا چه جدید ویدیو رسمی آهنگ قسمت کامل زنده امروز چه اتفاقی می افتد وقتی ما امتحان کردیم ایران
+      خیلی با دوستانمان به ساحل رفتیم و هوا آنقدر خوب بود که تا شب ماندیم این ساده ترین دستور پختی است
+      که تا به حال امتحان کرده اید و فقط ده دقیقه طول می کشد هر چیزی که باید قبل از خرید گوشی جدید
+      امسال بدانید زیباترین جاهای دنیا که هیچ کس نمی شناسد خلاصه بازی و گل های دیشب آخرین اخبار ایران
+      و جهان این زندگی من را تغییر داد کاش زودتر می دانستم نکته هایی برای مبتدی ها که واقعا جواب می
+      دهد آموزش پخت غذای خوشمزه در خانه بالاخره به خانه جدیدمان رفتیم تهران اصفهان شیراز مشهد ممنون که
+      تماشا می کنید`,
+    ur: `اور کے میں کی ہے کو سے نے یہ کہ پر ایک ہیں تھا کا بھی وہ جو ہو کر گیا کیسے کیوں کیا نیا ویڈیو
+      آفیشل گانا قسط مکمل لائیو آج کیا ہوتا ہے جب ہم نے آزمایا پاکستان بہت ہم دوستوں کے ساتھ سمندر پر
+      گئے اور موسم اتنا اچھا تھا کہ ہم شام تک رہے یہ سب سے آسان ترکیب ہے جو آپ نے کبھی آزمائی ہو گی
+      اور اس میں صرف دس منٹ لگتے ہیں اس سال نیا فون خریدنے سے پہلے آپ کو جو کچھ جاننا چاہیے دنیا کی سب
+      سے خوبصورت جگہیں جن کے بارے میں کوئی نہیں جانتا میچ کی جھلکیاں اور بہترین لمحات آج کی اہم خبریں
+      اور تازہ ترین صورتحال گھر پر مزیدار کھانا بنانے کا طریقہ لاہور کراچی اسلام آباد شکریہ دیکھنے کا`,
+    ps: `او د په چې دا له ته یې هم کې دی وو شو سره کوم څنګه ولې څه نوی ویډیو رسمي سندره برخه بشپړ ژوندی
+      نن څه پیښیږي کله چې موږ هڅه وکړه افغانستان ډېر موږ د ملګرو سره سمندر ته لاړو او هوا ډېره ښه وه
+      دا تر ټولو اسانه لاره ده چې تاسو به یې وازمویئ د هېواد تازه خبرونه او پېښې کابل کندهار ننګرهار
+      مننه`
+  },
+
+  Devanagari: {
+    hi: `के है में की और से को एक यह भी पर हैं था कि जो कर लिए नहीं तो ही या हो गया कैसे क्यों क्या नया
+      वीडियो आधिकारिक गाना एपिसोड पूरा लाइव आज क्या होता है जब हमने कोशिश की भारत बहुत हम दोस्तों के
+      साथ समुद्र किनारे गए और मौसम इतना अच्छा था कि हम शाम तक वहीं रहे यह सबसे आसान रेसिपी है जो आपने
+      कभी आज़माई होगी और इसमें सिर्फ़ दस मिनट लगते हैं इस साल नया फ़ोन ख़रीदने से पहले आपको जो कुछ
+      जानना चाहिए दुनिया की सबसे ख़ूबसूरत जगहें जिनके बारे में कोई नहीं जानता मैच की मुख्य बातें और
+      सबसे अच्छे पल आज की बड़ी ख़बरें और ताज़ा अपडेट देश और दुनिया से इसने मेरी ज़िंदगी बदल दी काश
+      मुझे पहले पता होता क्या यह ख़रीदने लायक है या इंतज़ार करें ईमानदार रिव्यू शुरुआत करने वालों के
+      लिए टिप्स जो सच में काम करते हैं घर पर स्वादिष्ट खाना बनाने का आसान तरीका आख़िरकार हम अपने नए घर
+      में आ गए भारत दिल्ली मुंबई धन्यवाद देखने के लिए`,
+    mr: `आणि आहे हे या च्या ला तो ती ते की नाही पण एक होते केले मध्ये साठी कसे का काय नवीन व्हिडिओ अधिकृत
+      गाणे भाग संपूर्ण थेट आज काय होते जेव्हा आम्ही प्रयत्न केला महाराष्ट्र खूप आम्ही मित्रांसोबत
+      समुद्रकिनारी गेलो आणि हवामान इतके छान होते की आम्ही संध्याकाळपर्यंत तिथेच थांबलो ही सर्वात सोपी
+      रेसिपी आहे आणि यासाठी फक्त दहा मिनिटे लागतात या वर्षी नवीन फोन घेण्यापूर्वी तुम्हाला माहीत
+      असायला हवे असे सर्व काही आजच्या ताज्या बातम्या महाराष्ट्र आणि देशातील घरी स्वादिष्ट जेवण
+      बनवण्याची सोपी पद्धत पुणे मुंबई नागपूर धन्यवाद`,
+    ne: `र को मा छ हो यो त्यो पनि भएको गरेको लागि छैन थियो गर्न हुन्छ कसरी किन के नयाँ भिडियो आधिकारिक
+      गीत भाग पूरा प्रत्यक्ष आज के हुन्छ जब हामीले प्रयास गर्यौं नेपाल धेरै हामी साथीहरूसँग समुद्र
+      किनार गयौं र मौसम यति राम्रो थियो कि हामी साँझसम्म त्यहीं बस्यौं यो सबैभन्दा सजिलो तरिका हो र
+      यसमा केवल दस मिनेट लाग्छ यो वर्ष नयाँ फोन किन्नु अघि तपाईंले जान्नुपर्ने सबै कुरा नेपालका आजका
+      ताजा समाचार काठमाडौं पोखरा धन्यवाद`
+  }
+};
+
+// Language most titles in a shared script are in (Cyrillic titles are mostly
+// Russian); it is favoured, and kept when the trigrams can't tell
+export const MAIN_LANGUAGES = {
+  Cyrillic: 'ru',
+  Arabic: 'ar',
+  Devanagari: 'hi'
+};
+
+// Scripts that identify a single language on their own
+export const SCRIPT_LANGUAGES = {
+  Hangul: 'ko',
+  Thai: 'th',
+  Greek: 'el',
+  Hebrew: 'he',
+  Armenian: 'hy',
+  Georgian: 'ka',
+  Bengali: 'bn',
+  Gurmukhi: 'pa',
+  Telugu: 'te',
+  Tamil: 'ta',
+  Gujarati: 'gu',
+  Kannada: 'kn',
+  Malayalam: 'ml',
+  Sinhala: 'si',
+  Khmer: 'km',
+  Ethiopic: 'am'
+};
+
+// Characters common in Chinese text (simplified, then traditional) but not used in Japanese
+export const CHINESE_ONLY_CHARS = '们这么说对为过还没发问见现经长开关东车门话书让给从吗呢吧啊个时后你她吃們這說沒發讓從嗎麼對國';
+
+// Japanese forms of kanji (and the 々 repeat mark) that Chinese writes differently
+export const JAPANESE_ONLY_CHARS = '々円駅発対図広売読実気楽薬様込働畑峠辻仏歳戦転変鉄県沢浜桜関経済権険検験黒営雑児';
@@ -4,42 +4,346 @@
  * @property {string} title - Video title
  * @property {string} thumbnail - Thumbnail URL
  * @property {string} channelTitle - Channel name
- * @property {string} channelId - Channel ID
- * @property {string} publishedAt - ISO date string
+ * @property {string} channelId - Channel ID (empty if only the handle is known)
+ * @property {string|null} channelHandle - Channel handle (e.g., "@name"), when scraped from the page
+ * @property {string|null} publishedAt - ISO date string (approximate for page-scraped videos)
  * @property {string} description - Video description
  * @property {string} defaultLanguage - Content language (e.g., "en")
  * @property {string} defaultAudioLanguage - Audio language (e.g., "en")
+ * @property {string} [detectedLanguage] - Language detected offline from the title and description ("unknown" if none)
+ * @property {number} [languageConfidence] - Confidence of detectedLanguage (0-1); used as defaultLanguage from LANGUAGE_DETECTION.MIN_CONFIDENCE up
  * @property {string} regionCode - Region code (e.g., "US")
+ * @property {{language: Provenance, country: Provenance}} [provenance] - Where defaultLanguage and regionCode came from
  * @property {number} capturedAt - Timestamp when captured
- * @property {string} captureSource - Source of capture ("homepage")
+ * @property {string} captureSource - Surface of the latest sighting ("homepage", "search", "channel", "subscriptions", "watch", "trending")
+ * @property {string|null} captureQuery - Search query, when last seen in search results
+ * @property {string|null} captureChannel - Channel handle or path, when last seen on a channel page
  * @property {number} viewCount - View count
  * @property {number} likeCount - Like count
+ * @property {number} [statsUpdatedAt] - When view/like/comment counts were last fetched from the API
+ * @property {Array<number[]>} [statsHistory] - Statistics points [timestamp, viewCount, likeCount] (oldest first, capped)
  * @property {string} categoryId - YouTube category ID
  * @property {string[]} tags - Video tags
+ * @property {string[]} topics - Topic names from the API's topic categories (Wikipedia article titles)
  * @property {string} duration - Video duration (ISO 8601 format)
+ * @property {string} [format] - VIDEO_FORMATS key: "regular", "short", "live", "upcoming" or "premiere"
+ * @property {string|null} [scheduledStartAt] - ISO start time of an upcoming stream or premiere
+ * @property {boolean} [caption] - Whether the API reports captions (manual tracks only)
+ * @property {CaptionTracks|null} [captionTracks] - Caption track languages, once looked up
+ * @property {number|null} [captionsCheckedAt] - When the caption tracks were looked up
+ * @property {FeedPosition[]} positions - Where the video appeared in each capture (oldest first)
+ * @property {number} firstSeen - Timestamp of the first sighting
+ * @property {number} lastSeen - Timestamp of the latest sighting
+ * @property {number} sightingCount - Number of captures/batches the video appeared in
+ * @property {number[]} sightings - Recent sighting timestamps (oldest first, capped)
+ * @property {string} metadataSource - "api" for YouTube Data API metadata, "page" for values scraped from the page
+ */
+
+/**
+ * @typedef {Object} Provenance
+ * @property {string} source - PROVENANCE_SOURCES key ('api-language', 'api-audio', 'channel', 'manual', 'channel-rule', 'detected', 'language-region', 'none')
+ * @property {number|null} confidence - How far the value can be trusted (0-1)
+ */
+
+/**
+ * @typedef {Object} FeedPosition
+ * @property {number} at - Capture timestamp
+ * @property {string} source - Capture source
+ * @property {number} rank - 1-based order in the feed
+ * @property {number|null} row - 1-based grid row (null if not laid out)
+ * @property {number|null} column - 1-based column within the row
+ * @property {string|null} shelf - Shelf/section title, null for the main feed
+ */
+
+/**
+ * @typedef {Object} PageVideo
+ * @property {string} id - YouTube video ID
+ * @property {string} title - Title as shown on the card
+ * @property {string} channelTitle - Channel name as shown on the card
+ * @property {string} channelId - Channel ID, when the card links to /channel/
+ * @property {string|null} channelHandle - Channel handle, when the card links to /@handle
+ * @property {number} viewCount - View count parsed from the card text
+ * @property {string|null} publishedAt - Approximate ISO date from the relative upload time
+ * @property {string|null} duration - ISO 8601 duration from the thumbnail overlay
+ * @property {string} thumbnail - Thumbnail URL
+ * @property {boolean} isShort - Linked as a Short (/shorts/ URL)
+ * @property {string|null} overlayStyle - Thumbnail overlay style ("LIVE", "UPCOMING", "SHORTS", "DEFAULT")
  */
 
 /**
  * @typedef {Object} Settings
- * @property {string} apiKey - YouTube Data API key
+ * @property {ApiKey[]} apiKeys - YouTube Data API keys, in failover order
  * @property {boolean} autoCapture - Enable automatic capture
  * @property {number} captureInterval - Auto-capture interval in minutes
  * @property {number} maxStoredVideos - Maximum videos to store
  * @property {number} targetVideoCount - Target video count for auto-scroll
+ * @property {boolean} passiveCapture - Record recommendations while browsing normally
+ * @property {string} metadataSource - Where video metadata comes from: "api" or "page"
+ * @property {string} metadataProvider - METADATA_PROVIDERS key used for "api" metadata
+ * @property {string} providerInstanceUrl - Base URL of the Invidious or Piped instance
+ * @property {string} apiMode - API transport: "live", "record" or "replay"
+ * @property {string} apiBaseUrl - Custom API base URL, or empty for googleapis.com
+ * @property {number} dailyQuotaBudget - Quota units captures may spend per day
+ * @property {number} channelCacheTtlHours - Hours before stored channel details are refetched
+ * @property {number} statsRefreshHours - Hours before statistics of re-captured videos are refreshed
+ * @property {boolean} statsPolling - Re-poll statistics of stored videos in the background
+ * @property {boolean} captionLookups - Look up caption track languages of stored videos in the background
+ * @property {number} captionQuotaBudget - Quota units caption lookups may spend per day
+ * @property {LanguageRule[]} languageRules - Language rules, applied in order to every capture
+ * @property {string} languageRuleMode - 'remove' (not stored) or 'hide' (stored, hidden in the feed)
+ * @property {string} selectorProfileId - Active selector profile ID
+ * @property {Object<string, SelectorProfile>} selectorProfiles - Custom selector profiles by ID
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} id - Key ID (changes when the key itself is replaced)
+ * @property {string} label - Name shown on the options page
+ * @property {string} key - YouTube Data API key
+ */
+
+/**
+ * @typedef {Object} MetadataProvider
+ * @property {string} id - METADATA_PROVIDERS key
+ * @property {number} batchSize - Most IDs per batch
+ * @property {function(string[], Object): Promise<ProviderVideo[]>} fetchVideos - Details of a batch;
+ *   IDs the provider does not know are left out
+ * @property {function(string[], Object): Promise<Object>} fetchStatistics - videoId -> {viewCount, likeCount, commentCount}
+ * @property {function(string[], Object): Promise<Object>} fetchChannels - channelId -> Channel (without fetchedAt)
+ * @property {function(string[], Object): Promise<Object>} fetchCategories - categoryId -> name
+ * @property {function(string, Object): Promise<CaptionTracks|null>} fetchCaptionTracks - Caption track languages
+ *   of one video; null if the provider does not know the video
+ * @property {function(Object): Promise<{isValid: boolean, message: string}>} validate - Check key or instance
+ */
+
+/**
+ * @typedef {Object} ProviderVideo
+ * @property {string} id - Video ID
+ * @property {string} title - Video title
+ * @property {string} description - Video description
+ * @property {string} thumbnail - Thumbnail URL
+ * @property {string} channelTitle - Channel name
+ * @property {string} channelId - Channel ID
+ * @property {string|null} publishedAt - ISO 8601 publish date
+ * @property {string|null} defaultLanguage - Uploader-set language, if the provider has it
+ * @property {string|null} defaultAudioLanguage - Audio language, if the provider has it
+ * @property {number} viewCount - View count
+ * @property {number} likeCount - Like count
+ * @property {number} commentCount - Comment count (0 if the provider has none)
+ * @property {string} categoryId - YouTube category ID, or empty
+ * @property {string[]} topics - Topic names
+ * @property {string[]} tags - Video tags
+ * @property {string} duration - ISO 8601 duration
+ * @property {string} definition - "hd" or "sd"
+ * @property {boolean} caption - Whether captions exist
+ * @property {CaptionTracks|null} captionTracks - Caption track languages, if the provider lists them with the details
+ * @property {string} liveBroadcastContent - "live", "upcoming" or "none"
+ * @property {string|null} scheduledStartTime - ISO start time of an upcoming stream or premiere
+ */
+
+/**
+ * @typedef {Object} CaptionTracks
+ * @property {string[]} manual - Language codes of uploaded caption tracks
+ * @property {string[]} auto - Language codes of auto-generated (speech recognition) tracks
+ */
+
+/**
+ * @typedef {Object} ApiFixtureBundle
+ * @property {string} format - Always API_FIXTURES.FORMAT
+ * @property {number} version - Bundle format version
+ * @property {number|null} recordedAt - Timestamp of the last recorded response
+ * @property {Object<string, Object>} videos - Recorded videos.list items by video ID
+ * @property {Object<string, Object>} channels - Recorded channels.list items by channel ID
+ * @property {Object<string, Object>} [videoCategories] - Recorded videoCategories.list items by category ID
+ */
+
+/**
+ * @typedef {Object} SelectorProfile
+ * @property {string} id - Profile ID ("default" or "custom-<timestamp>")
+ * @property {string} name - Display name
+ * @property {Object<string, {selectors: string[], skipContainers: string[], shorts?: string[]}>} surfaces - Video link
+ *   rules per capture source; `shorts` selectors find Shorts links, even inside skipped containers
+ * @property {Object<string, string[]>} metadata - Selectors for page-scraped metadata (title, channel, metadataItems,
+ *   duration, overlay)
+ */
+
+/**
+ * @typedef {Object} SelectorReport
+ * @property {string} profileId - Profile the report was made with
+ * @property {string} surface - Capture source
+ * @property {string} url - Page the selectors ran on
+ * @property {{selector: string, matches: number}[]} selectors - Match count per selector, primary first
+ * @property {number} videoCount - Videos extracted after skipping excluded sections
+ * @property {number} timestamp - When the report was recorded
+ * @property {string} status - "ok", "fallback" or "broken"
+ */
+
+/**
+ * @typedef {Object} PassiveTabState
+ * @property {boolean} paused - Passive capture paused in this tab
+ * @property {number} count - Videos recorded from this tab
+ * @property {string} url - Last URL a batch came from
  */
 
 /**
  * @typedef {Object} Filters
  * @property {string[]} selectedLanguages - Selected language codes
  * @property {string[]} selectedCountries - Selected country codes
- * @property {string} sortBy - Sort field: 'date', 'views', 'title'
+ * @property {string[]} selectedSources - Selected capture sources
+ * @property {string[]} selectedCategories - Selected category IDs
+ * @property {string[]} selectedTopics - Selected topic names
+ * @property {string[]} selectedChannels - Selected channel keys (channel ID, or handle/name without one)
+ * @property {string[]} selectedFormats - Selected VIDEO_FORMATS keys
+ * @property {string[]} selectedCaptionLanguages - Selected caption languages ("none" for no tracks,
+ *   "unknown" for tracks not looked up)
+ * @property {string} sortBy - Sort field: 'date', 'views', 'title', 'position', 'persistence'
  * @property {string} viewMode - View mode: 'grid', 'list'
+ * @property {boolean} confirmedOnly - Language/country facets only use API-confirmed values
+ */
+
+/**
+ * @typedef {Object} ChannelSummary
+ * @property {string} key - Channel key (see getChannelKey)
+ * @property {string} channelId - Channel ID (empty if only the handle or name is known)
+ * @property {string} title - Channel name
+ * @property {string} thumbnail - Avatar URL, if the channel details are stored
+ * @property {string|null} country - Country the channel declares
+ * @property {number|null} subscriberCount - Subscribers (null if hidden or unknown)
+ * @property {number} videoCount - Stored videos recommended from the channel
+ * @property {number} sightingCount - Times its videos were seen, across all captures
+ * @property {Array<{language: string, share: number}>} languages - Language mix of its videos, biggest first
+ * @property {number} firstSeen - First time one of its videos was recommended
+ * @property {number} lastSeen - Latest time one of its videos was recommended
  */
 
 /**
  * @typedef {Object} CaptureHistory
+ * @property {string} id - Snapshot ID
  * @property {number} timestamp - Capture timestamp
  * @property {number} videoCount - Number of videos captured
+ * @property {string[]} videoIds - Captured video IDs, in feed order
+ * @property {Object} source - Capture source ({type, query?, channel?})
+ * @property {Object} settings - Settings the capture ran with
+ * @property {VideoLookups|null} lookups - API lookups the capture needed (null in page mode)
+ * @property {LanguageFilter|null} languageFilter - What the language rules took out of the capture
+ */
+
+/**
+ * @typedef {Object} VideoLookups
+ * @property {number} new - Videos fetched in full
+ * @property {number} refreshed - Stored videos whose statistics were refreshed
+ * @property {number} skipped - Stored videos sighted again without any lookup
+ * @property {number} skippedForQuota - New videos left out to stay within the quota budget
+ * @property {number} failed - New videos whose details could not be fetched
+ */
+
+/**
+ * @typedef {Object} LanguageRule
+ * @property {string} id - Rule ID
+ * @property {string} action - 'exclude' (drop listed languages) or 'include' (drop all others)
+ * @property {string[]} languages - ISO 639-1 codes, or "unknown" for undetected languages
+ */
+
+/**
+ * @typedef {Object} LanguageFilter
+ * @property {string} mode - 'remove' (not stored) or 'hide' (stored, hidden in the feed)
+ * @property {Object[]} removals - Rules that matched videos ({ruleId, label, videoCount})
+ */
+
+/**
+ * @typedef {Object} VideoCategory
+ * @property {string} id - Category ID
+ * @property {string} title - Category name
+ * @property {number} fetchedAt - When the name was looked up
+ */
+
+/**
+ * @typedef {Object} ChannelOverride
+ * @property {string} channelId - Channel ID
+ * @property {string} channelTitle - Channel name
+ * @property {string} [language] - Language applied to the channel's videos
+ * @property {string} [country] - Country applied to the channel's videos
+ * @property {number} updatedAt - When the override was last changed
+ */
+
+/**
+ * @typedef {Object} LookupError
+ * @property {string} kind - API_ERROR_KINDS key ('quota', 'invalid-key', 'rate-limit', 'network', 'server', 'request')
+ * @property {string} lookup - 'details' (videos lost) or 'statistics' (old statistics kept)
+ * @property {string} message - Error message from the API
+ * @property {number} videoCount - Videos affected
+ */
+
+/**
+ * @typedef {Object} FailedLookup
+ * @property {string} videoId - Video ID
+ * @property {string} kind - API_ERROR_KINDS key of the last failure
+ * @property {string} message - Error message of the last failure
+ * @property {Object} source - Capture source the ID was scraped from
+ * @property {number} failedAt - When the lookup failed
+ */
+
+/**
+ * @typedef {Object} ScheduledRun
+ * @property {number} timestamp - When the run started
+ * @property {string} status - 'success', 'skipped' or 'error'
+ * @property {string} [reason] - Why the run was skipped or failed
+ * @property {number} [videoCount] - Number of videos captured
+ */
+
+/**
+ * @typedef {Object} CaptureSession
+ * @property {string} id - Session ID ("capture-<timestamp>"), reused as the capture history ID
+ * @property {string} trigger - 'manual' or 'scheduled'
+ * @property {string} source - Requested surface, or 'tab' for the last used YouTube tab
+ * @property {string} status - 'running', 'completed', 'failed' or 'canceled'
+ * @property {string} stage - 'opening-tab', 'scrolling', 'fetching' or 'saving'
+ * @property {number} startedAt - When the session started
+ * @property {number} stageStartedAt - When the current stage started
+ * @property {number} stageDeadline - When the current stage times out
+ * @property {number|null} tabId - YouTube tab doing the scrolling
+ * @property {boolean} closeTab - Close the tab when the session ends
+ * @property {Object} progress - Stage progress ({currentCount, targetCount} or {batch, batchCount})
+ * @property {Object|null} payload - Scraped CAPTURE_VIDEOS data, kept until the session ends
+ * @property {string|null} error - Why the session failed or was canceled
+ * @property {number} [videoCount] - Videos saved, once completed
+ * @property {number} [quotaUsed] - Quota units spent, once completed
+ * @property {VideoLookups|null} [lookups] - API lookups the capture needed, once completed (null in page mode)
+ * @property {LookupError[]} [lookupErrors] - Failed API lookups, grouped by error
+ * @property {LanguageFilter} [languageFilter] - What the language rules took out, once completed
+ * @property {number} [finishedAt] - When the session ended
+ */
+
+/**
+ * @typedef {Object} Channel
+ * @property {string} id - Channel ID
+ * @property {string} title - Channel name
+ * @property {string} customUrl - Channel handle (e.g. "@name")
+ * @property {string|null} country - Country code the channel declares
+ * @property {string} thumbnail - Avatar URL
+ * @property {number|null} subscriberCount - Subscribers, or null when the channel hides them
+ * @property {number} fetchedAt - When the details were fetched from the metadata provider
+ */
+
+/**
+ * @typedef {Object} QuotaLedgerDay
+ * @property {number} units - Quota units spent
+ * @property {Object<string, number>} calls - Request count per endpoint ("videos", "channels")
+ * @property {Object<string, number>} [keys] - Units spent per API key ID
+ * @property {Object<string, string>} [keyErrors] - API key ID -> error kind ("quota" or "invalid-key")
+ *   for keys that failed that day
+ */
+
+/**
+ * @typedef {Object} QuotaUsage
+ * @property {string} day - Current quota day (Pacific-time YYYY-MM-DD)
+ * @property {number} used - Units spent today
+ * @property {number} budget - Daily budget from settings
+ * @property {number} remaining - Units left in today's budget and on keys that still work
+ * @property {Object<string, number>} keys - Units spent today per API key ID
+ * @property {Object<string, string>} keyErrors - API key ID -> error kind for keys that failed today
+ * @property {Array<{day: string, units: number, calls: Object<string, number>, keys: Object<string, number>}>} history -
+ *   Recent days, oldest first
  */
 
 /**
@@ -49,6 +353,12 @@
  * @property {Filters} filters - Current filters
  * @property {number} lastCaptureTimestamp - Last capture timestamp
  * @property {CaptureHistory[]} captureHistory - History of captures
+ * @property {ScheduledRun[]} scheduledRuns - Outcomes of scheduled captures
+ * @property {Object<string, QuotaLedgerDay>} quotaLedger - Quota spent per Pacific-time day
+ * @property {Object<string, Channel>} channels - Stored channel details by channel ID
+ * @property {Object<string, FailedLookup>} failedLookups - Video IDs whose details could not be fetched
+ * @property {Object<string, VideoCategory>} videoCategories - Category names by category ID
+ * @property {Object<string, ChannelOverride>} channelOverrides - Language/country corrections by channel ID
  */
 
 /**
@@ -2,6 +2,8 @@
  * Utility functions shared across the extension
  */
 
+import { STATS_POLLING, LANGUAGE_RULE_ACTIONS, PROVENANCE_SOURCES, SHORTS_MAX_SECONDS } from './constants.js';
+
 /**
  * Extract video ID from YouTube URL
  * @param {string} url - YouTube URL
@@ -13,6 +15,42 @@ export function extractVideoId(url) {
   return match ? match[1] : null;
 }
 
+/**
+ * Work out which capturable YouTube surface a URL points to.
+ * The content script keeps a copy (youtube-scraper.js); keep the two in sync.
+ * @param {string} url - Page URL
+ * @returns {Object|null} Capture source ({type, query?, channel?, videoId?}) or null
+ */
+export function getCaptureSource(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.hostname !== 'www.youtube.com') return null;
+
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  const params = parsed.searchParams;
+
+  if (path === '/') return { type: 'homepage' };
+  if (path === '/feed/trending') return { type: 'trending' };
+  if (path === '/feed/subscriptions') return { type: 'subscriptions' };
+  if (path === '/results' && params.get('search_query')) {
+    return { type: 'search', query: params.get('search_query') };
+  }
+  if (path === '/watch' && params.get('v')) {
+    return { type: 'watch', videoId: params.get('v') };
+  }
+
+  const channelMatch = path.match(/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/videos$/);
+  if (channelMatch) {
+    return { type: 'channel', channel: decodeURIComponent(channelMatch[1]) };
+  }
+
+  return null;
+}
+
 /**
  * Format number with commas (e.g., 1000000 -> 1,000,000)
  * @param {number} num - Number to format
@@ -60,6 +98,20 @@ export function formatRelativeTime(timestamp) {
   return 'Just now';
 }
 
+/**
+ * Format time until a future timestamp (e.g., "in 25 minutes")
+ * @param {number} timestamp - Future timestamp
+ * @returns {string} Relative time string
+ */
+export function formatTimeUntil(timestamp) {
+  const diffMin = Math.round((timestamp - Date.now()) / 60000);
+  const diffHour = Math.floor(diffMin / 60);
+
+  if (diffMin < 1) return 'any moment';
+  if (diffHour > 0) return `in ${diffHour} hour${diffHour > 1 ? 's' : ''}`;
+  return `in ${diffMin} minute${diffMin > 1 ? 's' : ''}`;
+}
+
 /**
  * Parse ISO 8601 duration to seconds
  * @param {string} duration - ISO 8601 duration (e.g., "PT1H2M10S")
@@ -77,6 +129,65 @@ export function parseDuration(duration) {
   return hours * 3600 + minutes * 60 + seconds;
 }
 
+/**
+ * Classify a video as a regular video, Short, live stream, upcoming stream or premiere
+ * @param {Object} details - {liveBroadcastContent ("live", "upcoming" or "none"), duration (ISO 8601),
+ *   isShort (linked as a Short on the page), title, description, tags}
+ * @returns {string} VIDEO_FORMATS key
+ */
+export function classifyVideoFormat({ liveBroadcastContent = 'none', duration, isShort = false, title = '', description = '', tags = [] }) {
+  const seconds = duration ? parseDuration(duration) : 0;
+
+  if (liveBroadcastContent === 'live' || liveBroadcastContent === 'upcoming') {
+    // Premieres are uploaded ahead, so they already have a duration; streams do not
+    return seconds > 0 ? 'premiere' : liveBroadcastContent;
+  }
+
+  // The API has no Shorts flag, so without a Shorts link only the hashtag tells
+  if (isShort) return 'short';
+  if (seconds > 0 && seconds <= SHORTS_MAX_SECONDS && /#shorts\b/i.test([title, description, ...tags].join(' '))) {
+    return 'short';
+  }
+  return 'regular';
+}
+
+/**
+ * Get a stored video's format
+ * @param {Object} video - Video object
+ * @returns {string} VIDEO_FORMATS key ("regular" for videos stored before formats were recorded)
+ */
+export function getVideoFormat(video) {
+  return video.format || 'regular';
+}
+
+/**
+ * Sort a provider's caption tracks into manual and auto-generated languages
+ * @param {Array<{language: string, auto: boolean}>} tracks - Tracks as the provider lists them
+ * @returns {CaptionTracks} Language codes of each kind, normalized, sorted and without duplicates
+ */
+export function toCaptionTracks(tracks) {
+  const languagesOf = auto => [...new Set(tracks
+    .filter(track => Boolean(track.auto) === auto)
+    .map(track => normalizeLanguageCode(track.language))
+    .filter(language => language !== 'unknown'))].sort();
+
+  return { manual: languagesOf(false), auto: languagesOf(true) };
+}
+
+/**
+ * Get the languages a stored video has captions in, manual or auto-generated
+ * @param {Object} video - Video object
+ * @returns {string[]} Language codes, ["none"] if it has no caption tracks,
+ *   or ["unknown"] if its tracks were not looked up
+ */
+export function getCaptionLanguages(video) {
+  const tracks = video.captionTracks;
+  if (!tracks) return ['unknown'];
+
+  const languages = [...new Set([...tracks.manual, ...tracks.auto])];
+  return languages.length > 0 ? languages : ['none'];
+}
+
 /**
  * Format duration in HH:MM:SS or MM:SS
  * @param {string} isoDuration - ISO 8601 duration
@@ -104,260 +215,467 @@ export function normalizeLanguageCode(code) {
   return code.toLowerCase().split('-')[0];
 }
 
+// Language names by ISO 639-1 code (plus a few legacy and 639-3 codes YouTube uses)
+const LANGUAGE_NAMES = {
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ru': 'Russian',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'zh': 'Chinese',
+  'ar': 'Arabic',
+  'hi': 'Hindi',
+  'bn': 'Bengali',
+  'pa': 'Punjabi',
+  'te': 'Telugu',
+  'mr': 'Marathi',
+  'ta': 'Tamil',
+  'tr': 'Turkish',
+  'vi': 'Vietnamese',
+  'pl': 'Polish',
+  'uk': 'Ukrainian',
+  'nl': 'Dutch',
+  'sv': 'Swedish',
+  'no': 'Norwegian',
+  'da': 'Danish',
+  'fi': 'Finnish',
+  'el': 'Greek',
+  'cs': 'Czech',
+  'ro': 'Romanian',
+  'hu': 'Hungarian',
+  'th': 'Thai',
+  'id': 'Indonesian',
+  'ms': 'Malay',
+  'he': 'Hebrew',
+  'fa': 'Persian',
+  'ur': 'Urdu',
+  'sw': 'Swahili',
+  'am': 'Amharic',
+  'af': 'Afrikaans',
+  'sq': 'Albanian',
+  'hy': 'Armenian',
+  'az': 'Azerbaijani',
+  'eu': 'Basque',
+  'be': 'Belarusian',
+  'bs': 'Bosnian',
+  'bg': 'Bulgarian',
+  'ca': 'Catalan',
+  'hr': 'Croatian',
+  'et': 'Estonian',
+  'tl': 'Filipino',
+  'ka': 'Georgian',
+  'gu': 'Gujarati',
+  'ha': 'Hausa',
+  'is': 'Icelandic',
+  'ig': 'Igbo',
+  'ga': 'Irish',
+  'kn': 'Kannada',
+  'kk': 'Kazakh',
+  'km': 'Khmer',
+  'ku': 'Kurdish',
+  'lv': 'Latvian',
+  'lt': 'Lithuanian',
+  'mk': 'Macedonian',
+  'ml': 'Malayalam',
+  'mt': 'Maltese',
+  'mn': 'Mongolian',
+  'ne': 'Nepali',
+  'ps': 'Pashto',
+  'sr': 'Serbian',
+  'si': 'Sinhala',
+  'sk': 'Slovak',
+  'sl': 'Slovenian',
+  'so': 'Somali',
+  'uz': 'Uzbek',
+  'yo': 'Yoruba',
+  'zu': 'Zulu',
+  'sh': 'Serbo-Croatian',
+  'nan': 'Hokkien',
+  'iw': 'Hebrew',
+  'fil': 'Filipino'
+};
+
 /**
  * Get language name from language code
  * @param {string} code - ISO 639-1 language code (e.g., "en", "en-US", "en-GB")
  * @returns {string} Language name
  */
 export function getLanguageName(code) {
-  if (!code) return 'Unknown';
+  if (!code || code === 'unknown') return 'Unknown';
 
   const normalizedCode = normalizeLanguageCode(code);
 
-  const languages = {
-    'en': 'English',
-    'es': 'Spanish',
-    'fr': 'French',
-    'de': 'German',
-    'it': 'Italian',
-    'pt': 'Portuguese',
-    'ru': 'Russian',
-    'ja': 'Japanese',
-    'ko': 'Korean',
-    'zh': 'Chinese',
-    'ar': 'Arabic',
-    'hi': 'Hindi',
-    'bn': 'Bengali',
-    'pa': 'Punjabi',
-    'te': 'Telugu',
-    'mr': 'Marathi',
-    'ta': 'Tamil',
-    'tr': 'Turkish',
-    'vi': 'Vietnamese',
-    'pl': 'Polish',
-    'uk': 'Ukrainian',
-    'nl': 'Dutch',
-    'sv': 'Swedish',
-    'no': 'Norwegian',
-    'da': 'Danish',
-    'fi': 'Finnish',
-    'el': 'Greek',
-    'cs': 'Czech',
-    'ro': 'Romanian',
-    'hu': 'Hungarian',
-    'th': 'Thai',
-    'id': 'Indonesian',
-    'ms': 'Malay',
-    'he': 'Hebrew',
-    'fa': 'Persian',
-    'ur': 'Urdu',
-    'sw': 'Swahili',
-    'am': 'Amharic',
-    'af': 'Afrikaans',
-    'sq': 'Albanian',
-    'hy': 'Armenian',
-    'az': 'Azerbaijani',
-    'eu': 'Basque',
-    'be': 'Belarusian',
-    'bs': 'Bosnian',
-    'bg': 'Bulgarian',
-    'ca': 'Catalan',
-    'hr': 'Croatian',
-    'et': 'Estonian',
-    'tl': 'Filipino',
-    'ka': 'Georgian',
-    'gu': 'Gujarati',
-    'ha': 'Hausa',
-    'is': 'Icelandic',
-    'ig': 'Igbo',
-    'ga': 'Irish',
-    'kn': 'Kannada',
-    'kk': 'Kazakh',
-    'km': 'Khmer',
-    'ku': 'Kurdish',
-    'lv': 'Latvian',
-    'lt': 'Lithuanian',
-    'mk': 'Macedonian',
-    'ml': 'Malayalam',
-    'mt': 'Maltese',
-    'mn': 'Mongolian',
-    'ne': 'Nepali',
-    'ps': 'Pashto',
-    'sr': 'Serbian',
-    'si': 'Sinhala',
-    'sk': 'Slovak',
-    'sl': 'Slovenian',
-    'so': 'Somali',
-    'uz': 'Uzbek',
-    'yo': 'Yoruba',
-    'zu': 'Zulu',
-    'sh': 'Serbo-Croatian',
-    'nan': 'Hokkien',
-    'iw': 'Hebrew',
-    'fil': 'Filipino'
-  };
+  return LANGUAGE_NAMES[normalizedCode] || code.toUpperCase();
+}
+
+/**
+ * Get every named language, for pickers
+ * @returns {{code: string, name: string}[]} Languages sorted by name, one code per name
+ */
+export function getLanguageOptions() {
+  return toNamedOptions(LANGUAGE_NAMES);
+}
+
+/**
+ * Build a provenance record for a language or country value
+ * @param {string} source - PROVENANCE_SOURCES key
+ * @param {number} [confidence] - Confidence (0-1); defaults to the source's own
+ * @returns {{source: string, confidence: number|null}} Provenance
+ */
+export function toProvenance(source, confidence = PROVENANCE_SOURCES[source].confidence) {
+  return { source, confidence };
+}
+
+/**
+ * Get where a video's language or country came from
+ * @param {Object} video - Video object
+ * @param {string} field - 'language' or 'country'
+ * @returns {{source: string, confidence: number|null}} Stored provenance, or 'legacy' for
+ *   videos captured before provenance was recorded
+ */
+export function getProvenance(video, field) {
+  return video.provenance?.[field] || toProvenance('legacy');
+}
+
+/**
+ * Whether a video's language or country comes straight from an API field
+ * @param {Object} video - Video object
+ * @param {string} field - 'language' or 'country'
+ * @returns {boolean} True if API-confirmed
+ */
+export function isConfirmedValue(video, field) {
+  return PROVENANCE_SOURCES[getProvenance(video, field).source].confirmed;
+}
+
+/**
+ * Get the key a video's channel is grouped and filtered by
+ * @param {Object} video - Video object
+ * @returns {string} Channel ID, or the handle or name of page-scraped videos without one
+ */
+export function getChannelKey(video) {
+  return video.channelId || video.channelHandle || video.channelTitle || '';
+}
+
+/**
+ * Apply language rules in order. An exclude rule drops videos whose content or
+ * audio language it lists; an include rule drops videos where neither is listed.
+ * @param {Object[]} videos - Video objects
+ * @param {LanguageRule[]} rules - Rules, in order
+ * @returns {{videos: Object[], removals: Object[]}} Videos no rule matched, and how many
+ *   videos each rule took out ({ruleId, label, videoCount})
+ */
+export function applyLanguageRules(videos, rules = []) {
+  let kept = videos;
+
+  const removals = rules.map(rule => {
+    const languages = rule.languages.map(normalizeLanguageCode);
+    const before = kept.length;
+
+    kept = kept.filter(video => {
+      const listed = languages.includes(video.defaultLanguage) || languages.includes(video.defaultAudioLanguage);
+      return rule.action === 'include' ? listed : !listed;
+    });
+
+    return { ruleId: rule.id, label: describeLanguageRule(rule), videoCount: before - kept.length };
+  });
 
-  return languages[normalizedCode] || code.toUpperCase();
+  return { videos: kept, removals };
+}
+
+/**
+ * Describe a language rule (e.g., "Exclude English, French")
+ * @param {LanguageRule} rule - Language rule
+ * @returns {string} Rule label
+ */
+export function describeLanguageRule(rule) {
+  const names = rule.languages.map(getLanguageName);
+  return `${LANGUAGE_RULE_ACTIONS[rule.action]} ${names.join(', ')}`;
 }
 
+// Country names by ISO 3166-1 alpha-2 code
+const COUNTRY_NAMES = {
+  // North America
+  'US': 'United States',
+  'CA': 'Canada',
+  'MX': 'Mexico',
+
+  // South America
+  'AR': 'Argentina',
+  'BR': 'Brazil',
+  'CL': 'Chile',
+  'CO': 'Colombia',
+  'PE': 'Peru',
+  'VE': 'Venezuela',
+  'EC': 'Ecuador',
+  'BO': 'Bolivia',
+  'UY': 'Uruguay',
+  'PY': 'Paraguay',
+
+  // Europe
+  'GB': 'United Kingdom',
+  'DE': 'Germany',
+  'FR': 'France',
+  'ES': 'Spain',
+  'IT': 'Italy',
+  'NL': 'Netherlands',
+  'BE': 'Belgium',
+  'SE': 'Sweden',
+  'NO': 'Norway',
+  'DK': 'Denmark',
+  'FI': 'Finland',
+  'PL': 'Poland',
+  'UA': 'Ukraine',
+  'GR': 'Greece',
+  'CZ': 'Czech Republic',
+  'RO': 'Romania',
+  'HU': 'Hungary',
+  'PT': 'Portugal',
+  'AT': 'Austria',
+  'CH': 'Switzerland',
+  'IE': 'Ireland',
+  'RS': 'Serbia',
+  'HR': 'Croatia',
+  'BG': 'Bulgaria',
+  'SK': 'Slovakia',
+  'SI': 'Slovenia',
+  'LT': 'Lithuania',
+  'LV': 'Latvia',
+  'EE': 'Estonia',
+  'BY': 'Belarus',
+  'BA': 'Bosnia and Herzegovina',
+  'MK': 'North Macedonia',
+  'AL': 'Albania',
+  'ME': 'Montenegro',
+  'RU': 'Russia',
+
+  // Middle East & North Africa
+  'DZ': 'Algeria',
+  'MA': 'Morocco',
+  'TN': 'Tunisia',
+  'LY': 'Libya',
+  'EG': 'Egypt',
+  'SD': 'Sudan',
+  'SA': 'Saudi Arabia',
+  'AE': 'UAE',
+  'QA': 'Qatar',
+  'KW': 'Kuwait',
+  'BH': 'Bahrain',
+  'OM': 'Oman',
+  'YE': 'Yemen',
+  'IQ': 'Iraq',
+  'SY': 'Syria',
+  'JO': 'Jordan',
+  'LB': 'Lebanon',
+  'PS': 'Palestine',
+  'IL': 'Israel',
+  'IR': 'Iran',
+  'TR': 'Turkey',
+
+  // Asia
+  'CN': 'China',
+  'TW': 'Taiwan',
+  'HK': 'Hong Kong',
+  'JP': 'Japan',
+  'KR': 'South Korea',
+  'IN': 'India',
+  'PK': 'Pakistan',
+  'BD': 'Bangladesh',
+  'TH': 'Thailand',
+  'VN': 'Vietnam',
+  'PH': 'Philippines',
+  'ID': 'Indonesia',
+  'MY': 'Malaysia',
+  'SG': 'Singapore',
+  'MM': 'Myanmar',
+  'KH': 'Cambodia',
+  'LA': 'Laos',
+  'NP': 'Nepal',
+  'LK': 'Sri Lanka',
+  'AF': 'Afghanistan',
+  'UZ': 'Uzbekistan',
+  'KZ': 'Kazakhstan',
+  'TJ': 'Tajikistan',
+  'KG': 'Kyrgyzstan',
+  'TM': 'Turkmenistan',
+  'MN': 'Mongolia',
+  'GE': 'Georgia',
+  'AM': 'Armenia',
+  'AZ': 'Azerbaijan',
+
+  // Africa
+  'ZA': 'South Africa',
+  'NG': 'Nigeria',
+  'KE': 'Kenya',
+  'ET': 'Ethiopia',
+  'GH': 'Ghana',
+  'TZ': 'Tanzania',
+  'UG': 'Uganda',
+  'ZW': 'Zimbabwe',
+  'SN': 'Senegal',
+  'CI': 'Ivory Coast',
+  'CM': 'Cameroon',
+  'AO': 'Angola',
+  'MZ': 'Mozambique',
+  'MG': 'Madagascar',
+  'BW': 'Botswana',
+  'ZM': 'Zambia',
+  'MW': 'Malawi',
+  'RW': 'Rwanda',
+  'SO': 'Somalia',
+
+  // Oceania
+  'AU': 'Australia',
+  'NZ': 'New Zealand',
+  'FJ': 'Fiji',
+  'PG': 'Papua New Guinea',
+
+  // Caribbean & Central America
+  'CU': 'Cuba',
+  'DO': 'Dominican Republic',
+  'JM': 'Jamaica',
+  'TT': 'Trinidad and Tobago',
+  'CR': 'Costa Rica',
+  'PA': 'Panama',
+  'GT': 'Guatemala',
+  'HN': 'Honduras',
+  'SV': 'El Salvador',
+  'NI': 'Nicaragua'
+};
+
 /**
  * Get country name from country code
  * @param {string} code - ISO 3166-1 alpha-2 country code
  * @returns {string} Country name
  */
 export function getCountryName(code) {
-  if (!code) return 'Unknown';
-
-  const countries = {
-    // North America
-    'US': 'United States',
-    'CA': 'Canada',
-    'MX': 'Mexico',
-
-    // South America
-    'AR': 'Argentina',
-    'BR': 'Brazil',
-    'CL': 'Chile',
-    'CO': 'Colombia',
-    'PE': 'Peru',
-    'VE': 'Venezuela',
-    'EC': 'Ecuador',
-    'BO': 'Bolivia',
-    'UY': 'Uruguay',
-    'PY': 'Paraguay',
-
-    // Europe
-    'GB': 'United Kingdom',
-    'DE': 'Germany',
-    'FR': 'France',
-    'ES': 'Spain',
-    'IT': 'Italy',
-    'NL': 'Netherlands',
-    'BE': 'Belgium',
-    'SE': 'Sweden',
-    'NO': 'Norway',
-    'DK': 'Denmark',
-    'FI': 'Finland',
-    'PL': 'Poland',
-    'UA': 'Ukraine',
-    'GR': 'Greece',
-    'CZ': 'Czech Republic',
-    'RO': 'Romania',
-    'HU': 'Hungary',
-    'PT': 'Portugal',
-    'AT': 'Austria',
-    'CH': 'Switzerland',
-    'IE': 'Ireland',
-    'RS': 'Serbia',
-    'HR': 'Croatia',
-    'BG': 'Bulgaria',
-    'SK': 'Slovakia',
-    'SI': 'Slovenia',
-    'LT': 'Lithuania',
-    'LV': 'Latvia',
-    'EE': 'Estonia',
-    'BY': 'Belarus',
-    'BA': 'Bosnia and Herzegovina',
-    'MK': 'North Macedonia',
-    'AL': 'Albania',
-    'ME': 'Montenegro',
-    'RU': 'Russia',
-
-    // Middle East & North Africa
-    'DZ': 'Algeria',
-    'MA': 'Morocco',
-    'TN': 'Tunisia',
-    'LY': 'Libya',
-    'EG': 'Egypt',
-    'SD': 'Sudan',
-    'SA': 'Saudi Arabia',
-    'AE': 'UAE',
-    'QA': 'Qatar',
-    'KW': 'Kuwait',
-    'BH': 'Bahrain',
-    'OM': 'Oman',
-    'YE': 'Yemen',
-    'IQ': 'Iraq',
-    'SY': 'Syria',
-    'JO': 'Jordan',
-    'LB': 'Lebanon',
-    'PS': 'Palestine',
-    'IL': 'Israel',
-    'IR': 'Iran',
-    'TR': 'Turkey',
-
-    // Asia
-    'CN': 'China',
-    'TW': 'Taiwan',
-    'HK': 'Hong Kong',
-    'JP': 'Japan',
-    'KR': 'South Korea',
-    'IN': 'India',
-    'PK': 'Pakistan',
-    'BD': 'Bangladesh',
-    'TH': 'Thailand',
-    'VN': 'Vietnam',
-    'PH': 'Philippines',
-    'ID': 'Indonesia',
-    'MY': 'Malaysia',
-    'SG': 'Singapore',
-    'MM': 'Myanmar',
-    'KH': 'Cambodia',
-    'LA': 'Laos',
-    'NP': 'Nepal',
-    'LK': 'Sri Lanka',
-    'AF': 'Afghanistan',
-    'UZ': 'Uzbekistan',
-    'KZ': 'Kazakhstan',
-    'TJ': 'Tajikistan',
-    'KG': 'Kyrgyzstan',
-    'TM': 'Turkmenistan',
-    'MN': 'Mongolia',
-    'GE': 'Georgia',
-    'AM': 'Armenia',
-    'AZ': 'Azerbaijan',
-
-    // Africa
-    'ZA': 'South Africa',
-    'NG': 'Nigeria',
-    'KE': 'Kenya',
-    'ET': 'Ethiopia',
-    'GH': 'Ghana',
-    'TZ': 'Tanzania',
-    'UG': 'Uganda',
-    'ZW': 'Zimbabwe',
-    'SN': 'Senegal',
-    'CI': 'Ivory Coast',
-    'CM': 'Cameroon',
-    'AO': 'Angola',
-    'MZ': 'Mozambique',
-    'MG': 'Madagascar',
-    'BW': 'Botswana',
-    'ZM': 'Zambia',
-    'MW': 'Malawi',
-    'RW': 'Rwanda',
-    'SO': 'Somalia',
-
-    // Oceania
-    'AU': 'Australia',
-    'NZ': 'New Zealand',
-    'FJ': 'Fiji',
-    'PG': 'Papua New Guinea',
-
-    // Caribbean & Central America
-    'CU': 'Cuba',
-    'DO': 'Dominican Republic',
-    'JM': 'Jamaica',
-    'TT': 'Trinidad and Tobago',
-    'CR': 'Costa Rica',
-    'PA': 'Panama',
-    'GT': 'Guatemala',
-    'HN': 'Honduras',
-    'SV': 'El Salvador',
-    'NI': 'Nicaragua'
-  };
+  if (!code || code === 'unknown') return 'Unknown';
 
-  return countries[code.toUpperCase()] || code.toUpperCase();
+  return COUNTRY_NAMES[code.toUpperCase()] || code.toUpperCase();
+}
+
+/**
+ * Get every named country, for pickers
+ * @returns {{code: string, name: string}[]} Countries sorted by name
+ */
+export function getCountryOptions() {
+  return toNamedOptions(COUNTRY_NAMES);
+}
+
+// Code/name pairs sorted by name, keeping the first code of names listed twice
+function toNamedOptions(names) {
+  const seen = new Set();
+  return Object.entries(names)
+    .filter(([, name]) => !seen.has(name) && seen.add(name))
+    .map(([code, name]) => ({ code, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get every surface a video was recommended on
+ * @param {Object} video - Video object
+ * @returns {string[]} Capture sources of its kept feed positions and latest sighting
+ */
+export function getCaptureSources(video) {
+  const sources = (video.positions || []).map(position => position.source);
+  return [...new Set([...sources, video.captureSource || 'homepage'])];
+}
+
+/**
+ * Get the most recent feed position of a video
+ * @param {Object} video - Video object
+ * @returns {Object|null} FeedPosition or null
+ */
+export function getLatestPosition(video) {
+  const positions = video.positions || [];
+  return positions.length > 0 ? positions[positions.length - 1] : null;
+}
+
+/**
+ * Get the typical (median) feed rank of a video across captures
+ * @param {Object} video - Video object
+ * @returns {number|null} Median rank or null
+ */
+export function getTypicalRank(video) {
+  const ranks = (video.positions || []).map(position => position.rank).sort((a, b) => a - b);
+  if (ranks.length === 0) return null;
+
+  const middle = Math.floor(ranks.length / 2);
+  return ranks.length % 2 === 1
+    ? ranks[middle]
+    : Math.round((ranks[middle - 1] + ranks[middle]) / 2);
+}
+
+/**
+ * Compare videos by feed position: latest capture first, then by rank
+ * @param {Object} a - Video object
+ * @param {Object} b - Video object
+ * @returns {number} Sort order
+ */
+export function compareFeedPosition(a, b) {
+  const positionA = getLatestPosition(a);
+  const positionB = getLatestPosition(b);
+
+  if (!positionA || !positionB) {
+    return (positionA ? -1 : 0) + (positionB ? 1 : 0);
+  }
+  if (positionA.at !== positionB.at) {
+    return positionB.at - positionA.at;
+  }
+  return positionA.rank - positionB.rank;
+}
+
+/**
+ * Compare videos by how persistently they were recommended: most sightings
+ * first, then most recently seen
+ * @param {Object} a - Video object
+ * @param {Object} b - Video object
+ * @returns {number} Sort order
+ */
+export function comparePersistence(a, b) {
+  const countDiff = (b.sightingCount || 1) - (a.sightingCount || 1);
+  if (countDiff !== 0) return countDiff;
+  return (b.lastSeen || b.capturedAt) - (a.lastSeen || a.capturedAt);
+}
+
+/**
+ * Get how fast a video's views grew over its latest statistics points
+ * @param {Object} video - Video object with statsHistory ([timestamp, viewCount, likeCount] points)
+ * @returns {number|null} Views per hour, or null without two points at least an hour apart
+ */
+export function getViewGrowthRate(video) {
+  const points = video.statsHistory || [];
+  if (points.length < 2) return null;
+
+  const [latestAt, latestViews] = points[points.length - 1];
+  const windowStart = latestAt - STATS_POLLING.GROWTH_WINDOW_HOURS * 60 * 60 * 1000;
+
+  // Oldest point inside the window, or the one just before the latest
+  const baseline = points.find(([at]) => at >= windowStart && at < latestAt) || points[points.length - 2];
+  const hours = (latestAt - baseline[0]) / (60 * 60 * 1000);
+  if (hours < 1) return null;
+
+  return (latestViews - baseline[1]) / hours;
+}
+
+/**
+ * Compare videos by view growth: fastest growing first, videos without
+ * enough statistics points last
+ * @param {Object} a - Video object
+ * @param {Object} b - Video object
+ * @returns {number} Sort order
+ */
+export function compareGrowth(a, b) {
+  const rateA = getViewGrowthRate(a);
+  const rateB = getViewGrowthRate(b);
+
+  if (rateA === null || rateB === null) {
+    return (rateA === null ? 1 : 0) - (rateB === null ? 1 : 0);
+  }
+  return rateB - rateA;
 }
 
 /**
@@ -418,3 +736,15 @@ export function deduplicateBy(array, key) {
     return true;
   });
 }
+
+/**
+ * Get the configured YouTube Data API keys, in failover order
+ * @param {Object} settings - Settings (apiKeys, or the single apiKey of older versions)
+ * @returns {ApiKey[]} Keys with a value; a lone pre-list apiKey becomes one "API key" entry
+ */
+export function getApiKeys(settings) {
+  if (Array.isArray(settings.apiKeys) && settings.apiKeys.length > 0) {
+    return settings.apiKeys.filter(apiKey => apiKey.key);
+  }
+  return settings.apiKey ? [{ id: 'default', label: 'API key', key: settings.apiKey }] : [];
+}
@@ -0,0 +1,46 @@
+// Regression checks for the offline language detector on short, real-world
+// titles. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, toConfidentLanguage } from '../src/shared/language-detector.js';
+
+const CONFIDENT_TITLES = [
+  ['ru', 'Лучшая пицца дома'],
+  ['ru', 'Новости дня: главное за неделю'],
+  ['ru', 'Как приготовить борщ'],
+  ['ru', 'ТОП 10 фильмов 2024'],
+  ['ar', 'اخبار اليوم'],
+  ['hi', 'आज की ताजा खबर'],
+  ['pt', 'Gol do Flamengo hoje'],
+  ['es', 'Resumen del partido Real Madrid vs Barcelona'],
+  ['es', 'Noticias de última hora'],
+  ['en', 'How to make the perfect pancakes'],
+  ['fr', 'Les meilleurs buts de la saison'],
+  ['de', 'Die besten Tore der Saison'],
+  ['tr', 'Haftanın en iyi golleri'],
+  ['uk', 'Новини України сьогодні'],
+  ['fa', 'آشپزی ساده با مرغ'],
+  ['ja', '東京駅'],
+  ['ja', '今日の天気'],
+  ['zh', '你好世界'],
+  ['ko', '오늘의 뉴스']
+];
+
+for (const [language, title] of CONFIDENT_TITLES) {
+  test(`"${title}" is ${language}`, () => {
+    assert.equal(toConfidentLanguage(detectLanguage(title)), language);
+  });
+}
+
+test('a Ukrainian letter keeps a weak Cyrillic guess off Russian', () => {
+  assert.notEqual(toConfidentLanguage(detectLanguage('Київ')), 'ru');
+});
+
+test('kanji that Japanese and Chinese share are not confidently Chinese', () => {
+  assert.equal(toConfidentLanguage(detectLanguage('日本語')), 'unknown');
+});
+
+test('text without letters has no language', () => {
+  assert.equal(detectLanguage('2024 !!! 👍'), null);
+});